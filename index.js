@@ -7,50 +7,2066 @@
 import { t } from './lib/translator.js';
 import {
   escapeForPowerShellSingleQuotes,
+  formatDenoPermissionPaths,
   getDenoCommandCandidates,
-  getErrorMessage,
-  runFirstAvailableCommand,
-  runFirstAvailableCommandWithProgress,
-  runPowerShellScript,
+  getResolvedRuntimes,
+  POWERSHELL_READ_STDIN_PAYLOAD,
+  runCommand,
   getWindowsPowerShellCandidates,
 } from './lib/shell-runtime.js';
+import {
+  assertCommandSucceeded,
+  getCommandErrorMessage,
+  isCommandError,
+  parseCommandOutput,
+} from './lib/command-error.js';
+import {
+  getProcessDiagnosticsCandidates,
+  parseProcessDiagnosticsOutput,
+} from './lib/process-diagnostics.js';
+import {
+  buildPowerShellFileDetailsScript,
+  formatPosixMode,
+  getFileDetailsDenoArgs,
+  parseFileDetailsOutput,
+} from './lib/file-details.js';
+import {
+  buildDiagnosticsReport,
+  formatDiagnosticsReportJson,
+  formatDiagnosticsReportMarkdown,
+} from './lib/diagnostics-report.js';
+import {
+  buildPowerShellReadTextFileScript,
+  buildPowerShellSaveTextFileScript,
+  getReadTextFileDenoArgs,
+  getSaveTextFileDenoArgs,
+} from './lib/save-text-file.js';
+import {
+  EXTENSION_DATA_DIRECTORY_NAME,
+  EXTENSION_ID,
+  getExtensionsDirectory,
+} from './lib/user-data.js';
+import {
+  formatPaths,
+  getParentDirectories,
+  normalizePathFormat,
+  normalizePathSeparator,
+  PATH_FORMATS,
+} from './lib/path-formats.js';
+import {
+  buildPowerShellSelectionStatsScript,
+  getSelectionStatsDenoArgs,
+  parseSelectionStatsOutput,
+} from './lib/selection-stats.js';
+import {
+  buildRenamePlan,
+  DEFAULT_RENAME_TEMPLATE,
+  getBatchRenameDenoArgs,
+  parseBatchRenameOutput,
+  RENAME_CASES,
+  summarizeRenamePlan,
+} from './lib/batch-rename.js';
+import {
+  EXISTING_FILE_POLICIES,
+  getCompressZipDenoArgs,
+  getDefaultArchivePath,
+  getExtractZipDenoArgs,
+  isZipFileEntry,
+  parseCompressZipOutput,
+  parseExtractZipOutput,
+  summarizeExtractionResults,
+} from './lib/zip-archives.js';
+import {
+  formatSearchMatch,
+  getSearchFilesDenoArgs,
+  getSearchQueryError,
+  normalizeSearchMaxMatches,
+  parseGlobList,
+  parseSearchFilesOutput,
+  parseSearchMatchLine,
+} from './lib/content-search.js';
+import {
+  countLocaleProblems,
+  formatLocaleCheckReport,
+  getCheckLocalesDenoArgs,
+  parseCheckLocalesOutput,
+} from './lib/locale-check.js';
+import {
+  DEFAULT_FILE_SIZE_UNITS,
+  formatDateTime,
+  formatFileSize as formatLocalizedFileSize,
+  formatNumber,
+  normalizeFileSizeUnits,
+} from './lib/formatting.js';
+import {
+  getSettingDescriptors,
+  validateSettingValue,
+} from './lib/settings-editor.js';
+import { SETTINGS_SCHEMA_PROPERTIES } from './lib/settings-schema.js';
+import {
+  createNotificationService,
+  formatNotificationHistory,
+} from './lib/notifications.js';
+import {
+  OPERATION_HISTORY_FILE_NAME,
+  createOperationHistoryStore,
+  createOperationRecord,
+  formatOperationRecordDetails,
+} from './lib/operation-history.js';
+import {
+  createTaskQueue,
+  normalizeTaskConcurrency,
+} from './lib/task-queue.js';
+import {
+  DEFAULT_HASH_ALGORITHM_IDS,
+  HASH_ALGORITHMS,
+  buildPowerShellFileHashScript,
+  formatFileHashTable,
+  getFileHashDenoArgs,
+  parseFileHashOutput,
+} from './lib/file-hashing.js';
+import {
+  buildPowerShellGenerateManifestScript,
+  buildPowerShellVerifyManifestScript,
+  formatManifestVerificationReport,
+  getChecksumManifestFileName,
+  getGenerateManifestDenoArgs,
+  getVerifyManifestDenoArgs,
+  isChecksumManifestName,
+  parseManifestOutput,
+  summarizeManifestVerification,
+} from './lib/checksum-manifest.js';
+import {
+  buildPowerShellFindDuplicatesScript,
+  getDuplicateGroupWastedBytes,
+  getFindDuplicatesDenoArgs,
+  parseFindDuplicatesOutput,
+  summarizeDuplicateGroups,
+} from './lib/duplicate-finder.js';
+import {
+  JSON_FILE_FORMATS,
+  getFormatJsonFilesDenoArgs,
+  isJsonFileEntry,
+  parseFormatJsonFilesOutput,
+  summarizeJsonFileResults,
+} from './lib/json-files.js';
+
+const DEBUG = false;
+const POWERSHELL_JSON_TOOLS_ACTIONS = ['validate', 'pretty', 'minify'];
+const JSON_TOOLS_TIMEOUT = 60000;
+const PATH_FORMAT_LABEL_KEYS = {
+  absolute: 'pathFormatAbsolute',
+  relative: 'pathFormatRelative',
+  'forward-slash': 'pathFormatForwardSlash',
+  backslash: 'pathFormatBackslash',
+  'file-uri': 'pathFormatFileUri',
+  bash: 'pathFormatBash',
+  powershell: 'pathFormatPowerShell',
+  'name-without-extension': 'pathFormatNameWithoutExtension',
+};
+
+const SETTING_OPTION_LABEL_KEYS = {
+  copyPathDefaultFormat: PATH_FORMAT_LABEL_KEYS,
+  copyPathSeparator: { newline: 'pathSeparatorNewline', space: 'pathSeparatorSpace' },
+  fileSizeUnits: { binary: 'fileSizeUnitsBinary', decimal: 'fileSizeUnitsDecimal' },
+};
+const SETTING_ERROR_MESSAGE_KEYS = {
+  notANumber: 'settingNotANumber',
+  belowMinimum: 'settingBelowMinimum',
+  aboveMaximum: 'settingAboveMaximum',
+  notAnOption: 'settingNotAnOption',
+};
+
+function debugLog(...args) {
+  if (DEBUG) console.log(...args);
+}
+
+const notifications = createNotificationService();
+const taskQueue = createTaskQueue();
+
+let settingsChangeDisposable = null;
+let fileSizeUnitsChangeDisposable = null;
+let fileSizeUnits = DEFAULT_FILE_SIZE_UNITS;
+let lastRenameBatch = null;
+let operationHistory = null;
+let taskConcurrencyChangeDisposable = null;
+
+/**
+ * Recording never gets in the way of the operation itself; failures only reach the debug log.
+ */
+async function recordOperation(recordOptions) {
+  try {
+    const record = createOperationRecord(recordOptions);
+    if (!operationHistory || (await sigma.settings.get('recordOperationHistory')) === false) return;
+    await operationHistory.add(record);
+  } catch (error) {
+    debugLog('[Example] Could not record the operation:', error);
+  }
+}
+
+/**
+ * One progress notification covers a whole queue session: it shows the aggregate
+ * progress, cancelling it cancels every job, and it ends with a summary of succeeded,
+ * failed and cancelled jobs. A session with a single job skips the summary because the
+ * command that queued it already reports that job's outcome with its own notification
+ * or result modal.
+ */
+function trackTaskQueueSession() {
+  sigma.ui.withProgress(
+    {
+      subtitle: t('taskQueueRunning'),
+      location: 'notification',
+      cancellable: true,
+    },
+    (progress, cancellationToken) => new Promise((resolve) => {
+      let reportedProgress = 0;
+      const cancellationListener = cancellationToken.onCancellationRequested(() => taskQueue.cancelAll());
+      let subscription = null;
+
+      const handleQueueChange = (summary) => {
+        const finishedCount = summary.succeeded + summary.failed + summary.cancelled;
+        const [onlyJob] = summary.total === 1 ? taskQueue.getJobs() : [];
+        progress.report({
+          description: onlyJob ? onlyJob.label : t('taskQueueProgress', { done: finishedCount, total: summary.total }),
+          increment: Math.max(0, summary.progress - reportedProgress) * 100,
+        });
+        reportedProgress = Math.max(reportedProgress, summary.progress);
+
+        if (summary.queued === 0 && summary.running === 0) {
+          subscription?.dispose();
+          cancellationListener.dispose();
+          resolve(summary);
+        }
+      };
+
+      subscription = taskQueue.subscribe(handleQueueChange);
+      handleQueueChange(taskQueue.getSummary());
+    }),
+  ).then((summary) => {
+    if (summary.total < 2) return;
+
+    notifications.show({
+      title: t('taskQueueFinished'),
+      subtitle: t('taskQueueSummary', { succeeded: summary.succeeded, failed: summary.failed, cancelled: summary.cancelled }),
+      type: summary.failed > 0 || summary.cancelled > 0 ? 'warning' : 'success'
+    });
+  }).catch((error) => {
+    // The jobs keep running without the notification; they can still be followed in "Show Task Queue"
+    debugLog('[Example] Could not show the task queue progress:', error);
+  });
+}
+
+/**
+ * Adds a job to the shared task queue; see {@link createTaskQueue}.
+ */
+function enqueueTask(label, run) {
+  const startsSession = taskQueue.isIdle();
+  const job = taskQueue.add(label, run);
+  if (startsSession) {
+    trackTaskQueueSession();
+  }
+  return job;
+}
+
+/**
+ * Runs one job on the shared task queue and resolves to what `run` returned, a
+ * cancelled command result included, or to null when the job was cancelled before it
+ * started. Errors from `run` are rethrown.
+ */
+async function runQueuedTask(label, run) {
+  const { state, result, error } = await enqueueTask(label, run).promise;
+  if (state === 'succeeded' || state === 'cancelled') {
+    return result ?? null;
+  }
+  throw error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sizes are shown in the active locale with the units chosen in the `fileSizeUnits` setting.
+ */
+function formatFileSize(sizeBytes) {
+  return formatLocalizedFileSize(sizeBytes, { locale: t('locale'), units: fileSizeUnits, unknownLabel: t('unknownSize') });
+}
+
+function formatTimestamp(timestamp) {
+  return formatDateTime(timestamp, { locale: t('locale'), unknownLabel: t('notAvailable') });
+}
+
+function formatUptime(uptimeSeconds) {
+  return t('uptimeValue', {
+    days: Math.floor(uptimeSeconds / 86400),
+    hours: Math.floor((uptimeSeconds % 86400) / 3600),
+    minutes: Math.floor((uptimeSeconds % 3600) / 60),
+  });
+}
+
+/**
+ * Windows reports accumulated CPU seconds per process, `ps` reports a CPU percentage.
+ */
+function formatProcessSamples(processSamples, cpuUnit) {
+  const lines = processSamples.map(processSample => t('processSample', {
+    name: processSample.name,
+    pid: String(processSample.pid),
+    cpu: cpuUnit === 'percent'
+      ? `${formatNumber(processSample.cpu, t('locale'), 1)}%`
+      : `${formatNumber(processSample.cpu, t('locale'), 2)} s`,
+    memory: formatFileSize(processSample.memoryBytes),
+  }));
+  return lines.join('\n') || t('noProcessData');
+}
+
+function getEntryName(entryPath) {
+  return entryPath.split(/[\\/]/).pop() || entryPath;
+}
+
+function getParentPath(entryPath) {
+  const separatorIndex = Math.max(entryPath.lastIndexOf('/'), entryPath.lastIndexOf('\\'));
+  return separatorIndex > 0 ? entryPath.slice(0, separatorIndex) : entryPath;
+}
+
+function pickHashAlgorithms(fileCount) {
+  return new Promise((resolve) => {
+    let selectedAlgorithmIds = null;
+    const modal = sigma.ui.createModal({
+      title: t('analyzeFilesTitle', { count: fileCount }),
+      width: 480,
+      content: [
+        sigma.ui.text(t('selectHashAlgorithms')),
+        ...HASH_ALGORITHMS.map(hashAlgorithm => sigma.ui.checkbox({
+          id: hashAlgorithm.id,
+          label: hashAlgorithm.label,
+          checked: DEFAULT_HASH_ALGORITHM_IDS.includes(hashAlgorithm.id),
+        })),
+      ],
+      buttons: [
+        { id: 'analyze', label: t('analyze'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
+      ],
+    });
+
+    modal.onSubmit((values, buttonId) => {
+      if (buttonId !== 'analyze') return false;
+
+      const algorithmIds = HASH_ALGORITHMS
+        .map(hashAlgorithm => hashAlgorithm.id)
+        .filter(algorithmId => values[algorithmId] === true);
+
+      if (algorithmIds.length === 0) {
+        notifications.show({
+          title: t('analyzeFileDeno'),
+          subtitle: t('hashAlgorithmRequired'),
+          type: 'warning'
+        });
+        return false;
+      }
+
+      selectedAlgorithmIds = algorithmIds;
+      return true;
+    });
+
+    modal.onClose(() => resolve(selectedAlgorithmIds));
+  });
+}
+
+function pickChecksumManifestAlgorithm() {
+  return new Promise((resolve) => {
+    let selectedAlgorithmId = null;
+    const modal = sigma.ui.createModal({
+      title: t('generateChecksumManifest'),
+      width: 480,
+      content: [
+        sigma.ui.select({
+          id: 'algorithm',
+          label: t('algorithm'),
+          options: HASH_ALGORITHMS.map(hashAlgorithm => ({ value: hashAlgorithm.id, label: hashAlgorithm.label })),
+          value: DEFAULT_HASH_ALGORITHM_IDS[0],
+        }),
+      ],
+      buttons: [
+        { id: 'generate', label: t('generate'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
+      ],
+    });
+
+    modal.onSubmit((values, buttonId) => {
+      if (buttonId !== 'generate') return false;
+
+      selectedAlgorithmId = typeof values.algorithm === 'string' ? values.algorithm : DEFAULT_HASH_ALGORITHM_IDS[0];
+      return true;
+    });
+
+    modal.onClose(() => resolve(selectedAlgorithmId));
+  });
+}
+
+function pickExistingFilePolicy(archiveCount) {
+  return new Promise((resolve) => {
+    let selectedPolicy = null;
+    const modal = sigma.ui.createModal({
+      title: t('extractZipTitle', { count: archiveCount }),
+      width: 480,
+      content: [
+        sigma.ui.select({
+          id: 'existing',
+          label: t('existingFiles'),
+          options: [
+            { value: 'skip', label: t('existingFilesSkip') },
+            { value: 'overwrite', label: t('existingFilesOverwrite') },
+            { value: 'rename', label: t('existingFilesRename') },
+          ],
+          value: 'skip',
+        }),
+      ],
+      buttons: [
+        { id: 'extract', label: t('extract'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
+      ],
+    });
+
+    modal.onSubmit((values, buttonId) => {
+      if (buttonId !== 'extract') return false;
+
+      selectedPolicy = EXISTING_FILE_POLICIES.includes(values.existing) ? values.existing : 'skip';
+      return true;
+    });
+
+    modal.onClose(() => resolve(selectedPolicy));
+  });
+}
+
+function showManifestVerificationModal(manifestName, entries) {
+  const statusLabels = {
+    ok: t('checksumOk'),
+    mismatch: t('checksumMismatch'),
+    missing: t('checksumMissing'),
+    unsafe: t('checksumUnsafe'),
+    unreadable: t('checksumUnreadable'),
+  };
+
+  sigma.ui.createModal({
+    title: t('checksumVerificationTitle', { fileName: manifestName }),
+    width: 760,
+    content: [
+      sigma.ui.textarea({
+        id: 'verificationReport',
+        label: t('checksumVerificationReport'),
+        value: formatManifestVerificationReport(entries, statusLabels) || t('checksumManifestEmpty'),
+        rows: Math.min(Math.max(entries.length, 4), 20),
+        disabled: true,
+      }),
+    ],
+  });
+}
+
+function pickDuplicateScanOptions(currentPath, selectedEntries) {
+  return new Promise((resolve) => {
+    let scanOptions = null;
+    const scopeOptions = [];
+
+    if (selectedEntries.length > 0) {
+      scopeOptions.push({ value: 'selection', label: t('selectedItemsScope', { count: selectedEntries.length }) });
+    }
+    if (currentPath) {
+      scopeOptions.push({ value: 'currentPath', label: t('currentDirectoryScope', { path: currentPath }) });
+    }
+
+    const modal = sigma.ui.createModal({
+      title: t('findDuplicates'),
+      width: 560,
+      content: [
+        sigma.ui.select({
+          id: 'scope',
+          label: t('scanScope'),
+          options: scopeOptions,
+          value: scopeOptions[0].value,
+        }),
+        sigma.ui.checkbox({
+          id: 'recursive',
+          label: t('includeSubfolders'),
+          checked: true,
+        }),
+      ],
+      buttons: [
+        { id: 'scan', label: t('scan'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
+      ],
+    });
+
+    modal.onSubmit((values, buttonId) => {
+      if (buttonId !== 'scan') return false;
+
+      const targetPaths = values.scope === 'currentPath' || selectedEntries.length === 0
+        ? [currentPath]
+        : selectedEntries.map(entry => entry.path);
+      scanOptions = { targetPaths, recursive: values.recursive !== false };
+      return true;
+    });
+
+    modal.onClose(() => resolve(scanOptions));
+  });
+}
+
+function showDuplicateGroupsModal(scannedCount, groups) {
+  const summary = summarizeDuplicateGroups(groups);
+  const groupsText = groups
+    .map((group, groupIndex) => [
+      t('duplicateGroupHeader', {
+        n: groupIndex + 1,
+        count: group.paths.length,
+        size: formatFileSize(group.size),
+        wasted: formatFileSize(getDuplicateGroupWastedBytes(group)),
+      }),
+      ...group.paths.map(groupPath => `  ${groupPath}`),
+    ].join('\n'))
+    .join('\n\n');
+  const modal = sigma.ui.createModal({
+    title: t('duplicateFilesTitle'),
+    width: 860,
+    content: [
+      sigma.ui.text(t('duplicateScanSummary', {
+        scanned: scannedCount,
+        groups: summary.groupCount,
+        files: summary.fileCount,
+        wasted: formatFileSize(summary.wastedBytes),
+      })),
+      sigma.ui.textarea({
+        id: 'duplicateGroups',
+        label: t('duplicateGroups'),
+        value: groupsText || t('noDuplicatesFound'),
+        rows: 16,
+        disabled: true,
+      }),
+    ],
+    buttons: [
+      { id: 'copyRedundant', label: t('copyRedundantPaths') },
+      { id: 'copyAll', label: t('copyAllPaths'), variant: 'primary' },
+    ],
+  });
+
+  modal.onSubmit(async (values, buttonId) => {
+    if (buttonId !== 'copyAll' && buttonId !== 'copyRedundant') return false;
+
+    const copiedPaths = groups.flatMap(group => (buttonId === 'copyAll' ? group.paths : group.paths.slice(1)));
+    await sigma.ui.copyText(copiedPaths.join('\n'));
+    notifications.show({
+      title: t('pathsCopied', { count: copiedPaths.length }),
+      subtitle: t('copiedToClipboard'),
+      type: 'success'
+    });
+    return false;
+  });
+}
+
+function showSearchInFilesModal(searchFilesScriptPath, currentPath, selectedEntries, maxMatches) {
+  const scopeOptions = [];
+  if (selectedEntries.length > 0) {
+    scopeOptions.push({ value: 'selection', label: t('selectedItemsScope', { count: selectedEntries.length }) });
+  }
+  if (currentPath) {
+    scopeOptions.push({ value: 'currentPath', label: t('currentDirectoryScope', { path: currentPath }) });
+  }
+
+  let matches = [];
+  let searchController = null;
+  let refreshTimer = null;
+
+  const modal = sigma.ui.createModal({
+    title: t('searchInFiles'),
+    width: 900,
+    content: [
+      sigma.ui.input({ id: 'query', label: t('searchQuery'), placeholder: t('searchQueryPlaceholder') }),
+      sigma.ui.checkbox({ id: 'useRegex', label: t('useRegex'), checked: false }),
+      sigma.ui.checkbox({ id: 'matchCase', label: t('matchCase'), checked: false }),
+      sigma.ui.input({ id: 'include', label: t('includeFiles'), placeholder: '*.js, src/**/*.ts' }),
+      sigma.ui.input({ id: 'exclude', label: t('excludeFiles'), placeholder: 'node_modules, *.min.js' }),
+      sigma.ui.select({ id: 'scope', label: t('searchIn'), options: scopeOptions, value: scopeOptions[0].value }),
+      sigma.ui.input({ id: 'status', label: t('searchStatus'), value: '', disabled: true }),
+      sigma.ui.textarea({ id: 'results', label: t('searchResults'), value: '', rows: 14, disabled: true }),
+      sigma.ui.select({ id: 'result', label: t('searchResult'), options: [], value: '' }),
+    ],
+    buttons: [
+      { id: 'copyPath', label: t('copyPath') },
+      { id: 'copyAll', label: t('copyAllPaths') },
+      { id: 'stop', label: t('stopSearch') },
+      { id: 'search', label: t('search'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
+    ],
+  });
+
+  // Matches can arrive hundreds per second, so the modal is refreshed at most a few times per second
+  const refreshResults = () => {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+    modal.updateElement('results', { value: matches.map(formatSearchMatch).join('\n') });
+    modal.updateElement('result', {
+      options: matches.map((match, matchIndex) => ({ value: String(matchIndex), label: `${getEntryName(match.path)}:${match.line}  ${match.text}` })),
+      value: matches.length > 0 ? '0' : '',
+    });
+  };
+
+  const scheduleRefresh = () => {
+    if (!refreshTimer) {
+      refreshTimer = setTimeout(() => {
+        refreshResults();
+        modal.updateElement('status', { value: t('searchRunning', { count: matches.length }) });
+      }, 250);
+    }
+  };
+
+  const runSearch = async (targetPaths, searchOptions) => {
+    const controller = new AbortController();
+    searchController = controller;
+    matches = [];
+    refreshResults();
+    modal.updateElement('status', { value: t('searchRunning', { count: 0 }) });
+
+    try {
+      const searchExecution = await sigma.ui.withProgress(
+        {
+          subtitle: t('searchingFiles'),
+          location: 'notification',
+          cancellable: true,
+        },
+        async (progress, cancellationToken) => {
+          progress.report({
+            description: t('preparingAnalysis'),
+            increment: 6,
+          });
+
+          return runCommand(
+            await getDenoCommandCandidates(getSearchFilesDenoArgs(searchFilesScriptPath, targetPaths)),
+            {
+              stdin: JSON.stringify(searchOptions),
+              progress,
+              cancellationToken,
+              signal: controller.signal,
+              translate: t,
+              onOutputLine: (line) => {
+                const match = parseSearchMatchLine(line);
+                if (match && matches.length < searchOptions.maxMatches) {
+                  matches.push(match);
+                  scheduleRefresh();
+                }
+              },
+            },
+          );
+        },
+      );
+
+      refreshResults();
+      if (searchExecution.cancelled) {
+        modal.updateElement('status', { value: t('searchCancelled', { count: matches.length }) });
+        return;
+      }
+
+      assertCommandSucceeded(searchExecution);
+      const summary = parseCommandOutput(searchExecution, parseSearchFilesOutput);
+      const statusParts = [
+        matches.length > 0
+          ? t('searchSummary', { matches: summary.matchCount, files: summary.filesMatched, searched: summary.filesSearched })
+          : t('noSearchMatches', { searched: summary.filesSearched }),
+      ];
+      if (summary.binarySkipped + summary.unreadable > 0) {
+        statusParts.push(t('searchSkippedFiles', { binary: summary.binarySkipped, unreadable: summary.unreadable }));
+      }
+      if (summary.truncated) {
+        statusParts.push(t('searchStoppedAtMax', { max: searchOptions.maxMatches }));
+      }
+      modal.updateElement('status', { value: statusParts.join(' · ') });
+    } catch (error) {
+      refreshResults();
+      modal.updateElement('status', { value: t('searchFailed', { error: getCommandErrorMessage(error) }) });
+    } finally {
+      if (searchController === controller) {
+        searchController = null;
+      }
+    }
+  };
+
+  modal.onSubmit(async (values, buttonId) => {
+    if (buttonId === 'stop') {
+      searchController?.abort();
+      return false;
+    }
+
+    if (buttonId === 'copyPath' || buttonId === 'copyAll') {
+      const selectedMatch = matches[Number(values.result)];
+      const copiedPaths = buttonId === 'copyAll'
+        ? [...new Set(matches.map(match => match.path))]
+        : selectedMatch ? [selectedMatch.path] : [];
+      if (copiedPaths.length === 0) return false;
+
+      await sigma.ui.copyText(copiedPaths.join('\n'));
+      notifications.show({
+        title: copiedPaths.length === 1 ? t('pathCopied') : t('pathsCopied', { count: copiedPaths.length }),
+        subtitle: t('copiedToClipboard'),
+        type: 'success'
+      });
+      return false;
+    }
+
+    if (buttonId !== 'search' || searchController) return false;
+
+    const query = typeof values.query === 'string' ? values.query : '';
+    const regex = values.useRegex === true;
+    const caseSensitive = values.matchCase === true;
+    if (!query) {
+      modal.updateElement('status', { value: t('searchQueryRequired') });
+      return false;
+    }
+
+    const queryError = regex ? getSearchQueryError(query, caseSensitive) : null;
+    if (queryError) {
+      modal.updateElement('status', { value: t('invalidRegex', { error: queryError }) });
+      return false;
+    }
+
+    const targetPaths = values.scope === 'currentPath' || selectedEntries.length === 0
+      ? [currentPath]
+      : selectedEntries.map(entry => entry.path);
+
+    // Not awaited, so Stop and the copy buttons stay usable while the search runs
+    runSearch(targetPaths, {
+      query,
+      regex,
+      caseSensitive,
+      include: parseGlobList(values.include),
+      exclude: parseGlobList(values.exclude),
+      maxMatches,
+    });
+    return false;
+  });
+
+  modal.onClose(() => {
+    searchController?.abort();
+    clearTimeout(refreshTimer);
+  });
+}
+
+function showLocaleCheckModal(report) {
+  const problemCount = report.locales.reduce((total, result) => total + countLocaleProblems(result), 0);
+  const coverageText = report.locales
+    .map(result => `${result.locale.padEnd(6)} ${`${result.coverage}%`.padStart(7)}  ${t('localeProblemCount', { count: countLocaleProblems(result) })}`)
+    .join('\n');
+  const issuesText = formatLocaleCheckReport(report.locales, {
+    missing: t('localeMissingKey'),
+    stale: t('localeStaleKey'),
+    placeholders: t('localePlaceholderMismatch'),
+  });
+
+  const modal = sigma.ui.createModal({
+    title: t('checkLocales'),
+    width: 860,
+    content: [
+      sigma.ui.text(t('localeCheckSummary', { locales: report.locales.length, keys: report.sourceKeyCount, problems: problemCount })),
+      sigma.ui.textarea({
+        id: 'coverage',
+        label: t('localeCoverage'),
+        value: coverageText,
+        rows: Math.min(report.locales.length, 13),
+        disabled: true,
+      }),
+      sigma.ui.textarea({
+        id: 'issues',
+        label: t('localeIssues'),
+        value: issuesText || t('noLocaleIssues'),
+        rows: 14,
+        disabled: true,
+      }),
+    ],
+    buttons: [
+      { id: 'copy', label: t('copyReport'), variant: 'primary' },
+    ],
+  });
+
+  modal.onSubmit(async (values, buttonId) => {
+    if (buttonId !== 'copy') return false;
+
+    await sigma.ui.copyText(issuesText ? `${coverageText}\n\n${issuesText}` : coverageText);
+    notifications.show({
+      title: t('copiedToClipboard'),
+      type: 'success'
+    });
+    return false;
+  });
+}
+
+function showNotificationHistoryModal() {
+  const formatHistory = () => formatNotificationHistory(notifications.getHistory(), {
+    formatTime: formatTimestamp,
+    typeLabels: {
+      info: t('notificationTypeInfo'),
+      success: t('notificationTypeSuccess'),
+      warning: t('notificationTypeWarning'),
+      error: t('notificationTypeError'),
+    },
+    mutedLabel: t('notificationMuted'),
+  });
+  const historyText = formatHistory();
+
+  const modal = sigma.ui.createModal({
+    title: t('notificationHistory'),
+    width: 720,
+    content: [
+      sigma.ui.text(t('notificationHistoryNote')),
+      sigma.ui.textarea({
+        id: 'history',
+        label: t('notificationHistory'),
+        value: historyText || t('noNotificationHistory'),
+        rows: 16,
+        disabled: true,
+      }),
+    ],
+    buttons: [
+      { id: 'clear', label: t('clearHistory') },
+      { id: 'copy', label: t('copyAll'), variant: 'primary' },
+    ],
+  });
+
+  modal.onSubmit(async (values, buttonId) => {
+    if (buttonId === 'clear') {
+      notifications.clearHistory();
+      modal.updateElement('history', { value: t('noNotificationHistory') });
+      return false;
+    }
+    if (buttonId !== 'copy') return false;
+
+    await sigma.ui.copyText(formatHistory());
+    notifications.show({
+      title: t('copiedToClipboard'),
+      type: 'success'
+    });
+    return false;
+  });
+}
+
+function showTaskQueueModal() {
+  if (taskQueue.getJobs().length === 0) {
+    sigma.ui.createModal({
+      title: t('taskQueue'),
+      width: 480,
+      content: [sigma.ui.text(t('noTasks'))],
+    });
+    return;
+  }
+
+  const stateLabels = {
+    queued: t('taskQueued'),
+    succeeded: t('operationSucceeded'),
+    failed: t('operationFailed'),
+    cancelled: t('operationCancelled'),
+  };
+  const formatJob = job => `${job.label} · ${job.state === 'running'
+    ? t('taskRunning', { percent: Math.floor(job.progress * 100) })
+    : stateLabels[job.state]}`;
+  const formatStatus = summary => t('taskQueueStatus', {
+    running: summary.running,
+    queued: summary.queued,
+    percent: Math.floor(summary.progress * 100),
+  });
+  let refreshTimer = null;
+  let selectedJobId = '';
+
+  const modal = sigma.ui.createModal({
+    title: t('taskQueue'),
+    width: 720,
+    content: [
+      sigma.ui.input({ id: 'status', label: t('taskQueueStatusLabel'), value: formatStatus(taskQueue.getSummary()), disabled: true }),
+      sigma.ui.select({
+        id: 'job',
+        label: t('taskList'),
+        options: taskQueue.getJobs().map(job => ({ value: String(job.id), label: formatJob(job) })),
+        value: '',
+      }),
+    ],
+    buttons: [
+      { id: 'cancelAll', label: t('cancelAllTasks') },
+      { id: 'cancelJob', label: t('cancelTask'), variant: 'primary' },
+    ],
+  });
+
+  // Progress reports arrive for every job, so the modal is refreshed at most a few times per second
+  const refresh = () => {
+    refreshTimer = null;
+    const jobs = taskQueue.getJobs();
+    if (!jobs.some(job => String(job.id) === selectedJobId)) selectedJobId = '';
+    modal.updateElement('status', { value: formatStatus(taskQueue.getSummary()) });
+    modal.updateElement('job', {
+      options: jobs.map(job => ({ value: String(job.id), label: formatJob(job) })),
+      value: selectedJobId,
+    });
+  };
+  const subscription = taskQueue.subscribe(() => {
+    if (!refreshTimer) refreshTimer = setTimeout(refresh, 250);
+  });
+
+  modal.onValueChange((elementId, value) => {
+    if (elementId === 'job') selectedJobId = String(value || '');
+  });
+
+  modal.onSubmit((values, buttonId) => {
+    if (buttonId === 'cancelAll') {
+      taskQueue.cancelAll();
+    } else if (buttonId === 'cancelJob' && values.job) {
+      taskQueue.cancel(Number(values.job));
+    }
+    return false;
+  });
+
+  modal.onClose(() => {
+    clearTimeout(refreshTimer);
+    subscription.dispose();
+  });
+}
+
+const OPERATION_LABEL_KEYS = {
+  'file-analysis': 'analyzeFileDeno',
+  'json-tools': 'denoJsonTools',
+  'runtime-diagnostics': 'runtimeDiagnostics',
+};
+
+async function showOperationHistoryModal(operationRunners) {
+  const records = (await operationHistory.getRecords()).reverse();
+  if (records.length === 0) {
+    sigma.ui.createModal({
+      title: t('operationHistory'),
+      width: 480,
+      content: [sigma.ui.text(t('noOperationHistory'))],
+    });
+    return;
+  }
+
+  const outcomeLabels = {
+    success: t('operationSucceeded'),
+    failed: t('operationFailed'),
+    cancelled: t('operationCancelled'),
+  };
+  const detailLabels = {
+    operations: Object.fromEntries(Object.entries(OPERATION_LABEL_KEYS).map(([operation, labelKey]) => [operation, t(labelKey)])),
+    outcomes: outcomeLabels,
+    fields: {
+      started: t('operationStarted'),
+      outcome: t('operationOutcome'),
+      duration: t('operationDuration'),
+      runtime: t('runtime'),
+      inputs: t('operationInputs'),
+      error: t('operationError'),
+      output: t('operationOutput'),
+    },
+    formatTime: formatTimestamp,
+    formatDuration: milliseconds => t('durationSeconds', { seconds: milliseconds / 1000 }),
+  };
+  const findRecord = recordId => records.find(record => record.id === recordId) || records[0];
+
+  const modal = sigma.ui.createModal({
+    title: t('operationHistory'),
+    width: 840,
+    content: [
+      sigma.ui.select({
+        id: 'entry',
+        label: t('operationEntry'),
+        options: records.map(record => ({
+          value: record.id,
+          label: [
+            formatTimestamp(record.timestamp),
+            t(OPERATION_LABEL_KEYS[record.operation] || record.operation),
+            outcomeLabels[record.outcome] || record.outcome,
+          ].join(' · '),
+        })),
+        value: records[0].id,
+      }),
+      sigma.ui.textarea({
+        id: 'details',
+        label: t('operationDetails'),
+        value: formatOperationRecordDetails(records[0], detailLabels),
+        rows: 18,
+        disabled: true,
+      }),
+    ],
+    buttons: [
+      { id: 'clear', label: t('clearHistory') },
+      { id: 'copyOutput', label: t('copyOutput') },
+      { id: 'rerun', label: t('rerunOperation'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
+    ],
+  });
+
+  modal.onValueChange((elementId, value) => {
+    if (elementId !== 'entry') return;
+    modal.updateElement('details', { value: formatOperationRecordDetails(findRecord(value), detailLabels) });
+  });
+
+  modal.onSubmit(async (values, buttonId) => {
+    const record = findRecord(values.entry);
+
+    if (buttonId === 'clear') {
+      await operationHistory.clear();
+      notifications.show({
+        title: t('operationHistoryCleared'),
+        type: 'success'
+      });
+      return true;
+    }
+
+    if (buttonId === 'copyOutput') {
+      await sigma.ui.copyText(record.output || record.error);
+      notifications.show({
+        title: t('copiedToClipboard'),
+        type: 'success'
+      });
+      return false;
+    }
+
+    if (buttonId !== 'rerun') return false;
+
+    if (!record.rerunnable || !operationRunners[record.operation]) {
+      notifications.show({
+        title: t('operationHistory'),
+        subtitle: t('operationNotRerunnable'),
+        type: 'warning'
+      });
+      return false;
+    }
+
+    operationRunners[record.operation](record.inputs);
+    return true;
+  });
+}
+
+function getSettingLabel(settingKey) {
+  const labelKey = `settings.${settingKey}`;
+  const label = t(labelKey);
+  return label === labelKey ? settingKey : label;
+}
+
+function createSettingControl(descriptor, value) {
+  const label = getSettingLabel(descriptor.key);
+
+  if (descriptor.type === 'boolean') {
+    return sigma.ui.checkbox({ id: descriptor.key, label, checked: Boolean(value) });
+  }
+
+  if (descriptor.options) {
+    const labelKeys = SETTING_OPTION_LABEL_KEYS[descriptor.key] || {};
+    return sigma.ui.select({
+      id: descriptor.key,
+      label,
+      options: descriptor.options.map(option => ({ value: option, label: labelKeys[option] ? t(labelKeys[option]) : option })),
+      value: String(value),
+    });
+  }
+
+  if (descriptor.type === 'number') {
+    const hasRange = descriptor.minimum !== undefined && descriptor.maximum !== undefined;
+    return sigma.ui.input({
+      id: descriptor.key,
+      label,
+      type: 'number',
+      min: descriptor.minimum,
+      max: descriptor.maximum,
+      placeholder: hasRange ? `${descriptor.minimum}–${descriptor.maximum}` : '',
+      value: String(value),
+    });
+  }
+
+  return sigma.ui.input({ id: descriptor.key, label, value: String(value ?? '') });
+}
+
+async function showSettingsEditor() {
+  const currentValues = await sigma.settings.getAll();
+  const descriptors = getSettingDescriptors(SETTINGS_SCHEMA_PROPERTIES, currentValues);
+
+  const modal = sigma.ui.createModal({
+    title: t('extensionSettings'),
+    width: 640,
+    content: [
+      sigma.ui.text(t('currentConfigNote')),
+      sigma.ui.separator(),
+      ...descriptors.map(descriptor => createSettingControl(descriptor, currentValues[descriptor.key] ?? descriptor.defaultValue)),
+    ],
+    buttons: [
+      { id: 'reset', label: t('resetToDefaults') },
+      { id: 'save', label: t('saveSettings'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
+    ],
+  });
+
+  modal.onSubmit(async (values, buttonId) => {
+    if (buttonId !== 'save' && buttonId !== 'reset') return false;
+
+    const changes = [];
+    const problems = [];
+    for (const descriptor of descriptors) {
+      const { value, error } = buttonId === 'reset'
+        ? { value: descriptor.defaultValue, error: null }
+        : validateSettingValue(descriptor, values[descriptor.key]);
+      if (error) {
+        problems.push(t(SETTING_ERROR_MESSAGE_KEYS[error], {
+          setting: getSettingLabel(descriptor.key),
+          minimum: descriptor.minimum,
+          maximum: descriptor.maximum,
+        }));
+      } else if (value !== currentValues[descriptor.key]) {
+        changes.push([descriptor.key, value]);
+      }
+    }
+
+    if (problems.length > 0) {
+      notifications.show({
+        title: t('settingsInvalid'),
+        description: problems.join('\n'),
+        type: 'warning'
+      });
+      return false;
+    }
+
+    try {
+      for (const [settingKey, value] of changes) {
+        await sigma.settings.set(settingKey, value);
+      }
+    } catch (error) {
+      notifications.show({
+        title: t('settingsSaveFailed'),
+        subtitle: error instanceof Error ? error.message : String(error),
+        type: 'error'
+      });
+      return false;
+    }
+
+    notifications.show({
+      title: buttonId === 'reset' ? t('settingsReset') : t('settingsSaved'),
+      type: 'success'
+    });
+    return true;
+  });
+}
+
+function showSelectionStatsModal(stats) {
+  const formatDatedFile = datedFile => (datedFile
+    ? t('datedFile', { date: formatTimestamp(datedFile.modified), path: datedFile.path })
+    : t('notAvailable'));
+  const extensionsText = stats.extensions
+    .map(extensionStats => t('extensionStatsLine', {
+      extension: extensionStats.extension ? `.${extensionStats.extension}` : t('noExtension'),
+      count: extensionStats.count,
+      size: formatFileSize(extensionStats.bytes),
+    }))
+    .join('\n');
+  const largestFilesText = stats.largestFiles
+    .map(file => `${formatFileSize(file.size).padStart(12)}  ${file.path}`)
+    .join('\n');
+
+  const content = [
+    sigma.ui.text(t('selectionStatsSummary', {
+      files: stats.fileCount,
+      folders: stats.folderCount,
+      size: formatFileSize(stats.totalBytes),
+    })),
+  ];
+  if (stats.unreadableCount > 0) {
+    content.push(sigma.ui.text(t('selectionStatsUnreadable', { count: stats.unreadableCount })));
+  }
+  content.push(
+    sigma.ui.input({ id: 'newest', label: t('newestFile'), value: formatDatedFile(stats.newest), disabled: true }),
+    sigma.ui.input({ id: 'oldest', label: t('oldestFile'), value: formatDatedFile(stats.oldest), disabled: true }),
+    sigma.ui.textarea({
+      id: 'extensions',
+      label: t('sizeByExtension'),
+      value: extensionsText || t('none'),
+      rows: Math.min(Math.max(stats.extensions.length, 3), 10),
+      disabled: true,
+    }),
+    sigma.ui.textarea({
+      id: 'largestFiles',
+      label: t('largestFiles', { count: stats.largestFiles.length }),
+      value: largestFilesText || t('none'),
+      rows: Math.min(Math.max(stats.largestFiles.length, 3), 10),
+      disabled: true,
+    }),
+  );
+
+  sigma.ui.createModal({
+    title: t('selectionStatistics'),
+    width: 860,
+    content,
+  });
+}
+
+async function runFormatJsonFiles(jsonToolsScriptPath, filePaths, format, options) {
+  try {
+    const result = await runCommand(
+      await getDenoCommandCandidates(getFormatJsonFilesDenoArgs(jsonToolsScriptPath, filePaths, format, options)),
+    );
+
+    return parseCommandOutput(assertCommandSucceeded(result), parseFormatJsonFilesOutput);
+  } catch (error) {
+    if (isCommandError(error, 'RUNTIME_MISSING') && sigma.platform.isWindows) {
+      throw new Error(t('jsonActionRequiresDeno'));
+    }
+    throw error;
+  }
+}
+
+function formatJsonFileResults(results) {
+  const statusLabels = {
+    changed: t('jsonFileWillChange'),
+    unchanged: t('jsonFileUnchanged'),
+    written: t('jsonFileFormatted'),
+  };
+
+  return results
+    .map((result) => {
+      const statusLabel = result.status === 'error'
+        ? t('jsonFileFailed', { error: result.error || '' })
+        : statusLabels[result.status];
+      const header = `== ${getEntryName(result.path)}: ${statusLabel}`;
+      return result.diff ? `${header}\n${result.diff}` : header;
+    })
+    .join('\n\n');
+}
+
+function showJsonFilesFormatterModal(jsonToolsScriptPath, files) {
+  const filePaths = files.map(file => file.path);
+  let previewedFormat = null;
+  const modal = sigma.ui.createModal({
+    title: t('formatJsonFilesTitle', { count: files.length }),
+    width: 860,
+    content: [
+      sigma.ui.select({
+        id: 'format',
+        label: t('action'),
+        options: [
+          { value: 'pretty', label: t('prettyPrint') },
+          { value: 'minify', label: t('minify') },
+          { value: 'sort-keys', label: t('sortKeys') },
+        ],
+        value: 'pretty',
+      }),
+      sigma.ui.checkbox({
+        id: 'backup',
+        label: t('keepBackup'),
+        checked: true,
+      }),
+      sigma.ui.textarea({
+        id: 'preview',
+        label: t('preview'),
+        value: t('jsonPreviewHint'),
+        rows: 16,
+        disabled: true,
+      }),
+    ],
+    buttons: [
+      { id: 'preview', label: t('preview') },
+      { id: 'apply', label: t('apply'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
+    ],
+  });
+
+  modal.onSubmit(async (values, buttonId) => {
+    if (buttonId !== 'preview' && buttonId !== 'apply') return false;
+
+    const format = JSON_FILE_FORMATS.includes(values.format) ? values.format : 'pretty';
+    const backup = values.backup !== false;
+
+    try {
+      // Apply only writes what the user has already seen for the chosen format
+      if (buttonId === 'preview' || previewedFormat !== format) {
+        const previewResults = await runFormatJsonFiles(jsonToolsScriptPath, filePaths, format, { write: false, backup: false });
+        const previewText = formatJsonFileResults(previewResults);
+        previewedFormat = format;
+        modal.updateElement('preview', {
+          value: buttonId === 'apply' ? `${t('jsonReviewBeforeApply')}\n\n${previewText}` : previewText,
+        });
+        return false;
+      }
+
+      const results = await runFormatJsonFiles(jsonToolsScriptPath, filePaths, format, { write: true, backup });
+      const summary = summarizeJsonFileResults(results);
+      previewedFormat = null;
+      modal.updateElement('preview', { value: formatJsonFileResults(results) });
+      notifications.show({
+        title: t('jsonFilesFormatted'),
+        subtitle: t('jsonFilesSummary', summary),
+        type: summary.failed === 0 ? 'success' : 'warning'
+      });
+    } catch (error) {
+      modal.updateElement('preview', { value: getCommandErrorMessage(error) });
+    }
+
+    return false;
+  });
+}
+
+/**
+ * The Markdown report always uses English labels and sizes, whatever the UI language.
+ */
+function formatDiagnosticsMarkdown(report) {
+  return formatDiagnosticsReportMarkdown(
+    report,
+    sizeBytes => formatLocalizedFileSize(sizeBytes, { locale: 'en', units: fileSizeUnits, unknownLabel: '-' }),
+  );
+}
+
+async function showRuntimeDiagnostics({ manifestPath, runtimeInfoScriptPath, saveTextFileScriptPath }) {
+  const startedAt = Date.now();
+  let systemInfoExecution = null;
+
+  try {
+    const powerShellSystemInfoScript = `$computerInfo = Get-ComputerInfo; $osName = if ($computerInfo.OsName) { $computerInfo.OsName } else { 'Windows' }; $osVersion = if ($computerInfo.OsVersion) { $computerInfo.OsVersion } else { '' }; $hostName = $env:COMPUTERNAME; $homePath = $env:USERPROFILE; $extensionVersion = (Get-Content -Raw -LiteralPath '${escapeForPowerShellSingleQuotes(manifestPath)}' | ConvertFrom-Json).version; [PSCustomObject]@{ os = 'windows'; arch = $env:PROCESSOR_ARCHITECTURE; denoVersion = ''; v8Version = ''; typescriptVersion = ''; hostname = $hostName; homeDir = $homePath; osName = $osName; osVersion = $osVersion; extensionVersion = $extensionVersion } | ConvertTo-Json -Compress`;
+    const fallbackCandidates = sigma.platform.isWindows
+      ? getWindowsPowerShellCandidates(powerShellSystemInfoScript)
+      : [];
+    systemInfoExecution = await sigma.ui.withProgress(
+      {
+        subtitle: t('collectingSystemInfo'),
+        location: 'notification',
+        cancellable: true,
+      },
+      async (progress, cancellationToken) => {
+        progress.report({
+          description: t('preparingRuntime'),
+          increment: 6,
+        });
+
+        const denoCommandCandidates = await getDenoCommandCandidates([
+          'run',
+          '--quiet',
+          '--allow-env',
+          '--allow-sys',
+          `--allow-read=${formatDenoPermissionPaths([manifestPath])}`,
+          runtimeInfoScriptPath,
+          manifestPath,
+        ]);
+        return runCommand(
+          [
+            ...denoCommandCandidates,
+            ...fallbackCandidates,
+          ],
+          { progress, cancellationToken, translate: t },
+        );
+      },
+    );
+
+    if (systemInfoExecution.cancelled) {
+      recordOperation({ operation: 'runtime-diagnostics', inputs: {}, startedAt, result: systemInfoExecution });
+      notifications.show({
+        title: t('systemInfoCancelled'),
+        subtitle: t('stoppedCollecting'),
+        type: 'warning'
+      });
+      return;
+    }
+
+    assertCommandSucceeded(systemInfoExecution);
+
+    const info = parseCommandOutput(systemInfoExecution, stdout => JSON.parse(stdout.trim()));
+    const runtimeLabel = systemInfoExecution.runtime === 'deno' ? 'Deno' : 'PowerShell';
+    const resolvedRuntimes = await getResolvedRuntimes();
+    let processDiagnostics = null;
+    let processDiagnosticsErrorMessage = null;
+
+    try {
+      const processDiagnosticsResult = await runCommand(getProcessDiagnosticsCandidates(), { timeout: 15000 });
+      assertCommandSucceeded(processDiagnosticsResult);
+      processDiagnostics = parseCommandOutput(processDiagnosticsResult, parseProcessDiagnosticsOutput);
+    } catch (error) {
+      processDiagnosticsErrorMessage = getCommandErrorMessage(error);
+    }
+
+    const infoContent = [
+      sigma.ui.input({ id: 'runtime', label: t('runtime'), value: runtimeLabel, disabled: true }),
+      sigma.ui.input({ id: 'os', label: t('os'), value: info.os, disabled: true }),
+      sigma.ui.input({ id: 'arch', label: t('arch'), value: info.arch, disabled: true }),
+      sigma.ui.separator(),
+      sigma.ui.text(t('resolvedRuntimes')),
+      ...resolvedRuntimes.map(({ runtime: runtimeId, resolved }) => sigma.ui.input({
+        id: `resolved-${runtimeId}`,
+        label: runtimeId === 'deno' ? 'Deno' : 'PowerShell',
+        value: resolved
+          ? t('resolvedRuntimeValue', { command: resolved.command, version: resolved.version || t('notAvailable') })
+          : t('runtimeNotFound'),
+        disabled: true,
+      })),
+      sigma.ui.separator(),
+      sigma.ui.input({ id: 'deno', label: 'Deno', value: info.denoVersion ? `v${info.denoVersion}` : t('notAvailable'), disabled: true }),
+      sigma.ui.input({ id: 'v8', label: 'V8', value: info.v8Version ? `v${info.v8Version}` : t('notAvailable'), disabled: true }),
+      sigma.ui.input({ id: 'typescript', label: 'TypeScript', value: info.typescriptVersion ? `v${info.typescriptVersion}` : t('notAvailable'), disabled: true }),
+      sigma.ui.separator(),
+      sigma.ui.input({ id: 'hostname', label: t('hostname'), value: info.hostname, disabled: true }),
+      sigma.ui.input({ id: 'home', label: t('home'), value: info.homeDir, disabled: true }),
+    ];
+
+    if (info.osName) {
+      infoContent.push(sigma.ui.input({ id: 'osName', label: t('osName'), value: info.osName, disabled: true }));
+    }
+    if (info.osVersion) {
+      infoContent.push(sigma.ui.input({ id: 'osVersion', label: t('osVersion'), value: info.osVersion, disabled: true }));
+    }
+    infoContent.push(sigma.ui.separator());
+    infoContent.push(sigma.ui.text(t('processDiagnostics')));
+    if (processDiagnostics) {
+      const { memory, loadAverage } = processDiagnostics;
+
+      infoContent.push(
+        sigma.ui.input({
+          id: 'processCount',
+          label: t('runningProcesses'),
+          value: String(processDiagnostics.processCount),
+          disabled: true,
+        }),
+        sigma.ui.input({
+          id: 'loadAverage',
+          label: t('loadAverage'),
+          value: loadAverage ? loadAverage.map(load => formatNumber(load, t('locale'), 2)).join(' / ') : t('notAvailable'),
+          disabled: true,
+        }),
+        sigma.ui.input({
+          id: 'memory',
+          label: t('memory'),
+          value: memory
+            ? t('memoryUsage', {
+              used: formatFileSize(memory.totalBytes - memory.availableBytes),
+              total: formatFileSize(memory.totalBytes),
+            })
+            : t('notAvailable'),
+          disabled: true,
+        }),
+        sigma.ui.input({
+          id: 'uptime',
+          label: t('uptime'),
+          value: processDiagnostics.uptimeSeconds == null ? t('notAvailable') : formatUptime(processDiagnostics.uptimeSeconds),
+          disabled: true,
+        }),
+        sigma.ui.textarea({
+          id: 'topCpuProcesses',
+          label: t('topCpuProcesses'),
+          value: formatProcessSamples(processDiagnostics.topCpuProcesses, processDiagnostics.cpuUnit),
+          rows: 6,
+          disabled: true,
+        }),
+        sigma.ui.textarea({
+          id: 'topMemoryProcesses',
+          label: t('topMemoryProcesses'),
+          value: formatProcessSamples(processDiagnostics.topMemoryProcesses, processDiagnostics.cpuUnit),
+          rows: 6,
+          disabled: true,
+        }),
+      );
+    } else {
+      infoContent.push(
+        sigma.ui.text(processDiagnosticsErrorMessage || t('diagnosticsUnavailable'))
+      );
+    }
+
+    const report = buildDiagnosticsReport({
+      appVersion: await sigma.context.getAppVersion(),
+      runtime: runtimeLabel,
+      info,
+      resolvedRuntimes,
+      processDiagnostics,
+      processDiagnosticsError: processDiagnosticsErrorMessage,
+    });
+    recordOperation({
+      operation: 'runtime-diagnostics',
+      inputs: {},
+      startedAt,
+      result: systemInfoExecution,
+      output: formatDiagnosticsMarkdown(report),
+    });
+
+    const modal = sigma.ui.createModal({
+      title: t('systemInfo'),
+      width: 720,
+      content: infoContent,
+      buttons: [
+        { id: 'copyMarkdown', label: t('copyAsMarkdown'), variant: 'primary' },
+        { id: 'saveJson', label: t('saveAsJson') },
+      ],
+    });
+
+    modal.onSubmit(async (values, buttonId) => {
+      if (buttonId === 'copyMarkdown') {
+        await sigma.ui.copyText(formatDiagnosticsMarkdown(report));
+        notifications.show({
+          title: t('diagnosticsCopied'),
+          subtitle: t('copiedToClipboard'),
+          type: 'success'
+        });
+      } else if (buttonId === 'saveJson') {
+        await saveDiagnosticsReport(saveTextFileScriptPath, report);
+      }
+      return false;
+    });
+  } catch (error) {
+    const errorMessage = getCommandErrorMessage(error) || t('failedSystemInfo');
+    recordOperation({ operation: 'runtime-diagnostics', inputs: {}, startedAt, result: systemInfoExecution, error, errorMessage });
+    notifications.show({
+      title: t('systemInfo'),
+      subtitle: errorMessage,
+      type: 'error'
+    });
+  }
+}
+
+/**
+ * `createDirectory` creates the target's folder first, e.g. for the extension data folder.
+ */
+async function writeTextFile(saveTextFileScriptPath, targetPath, content, { createDirectory = false } = {}) {
+  const result = await runCommand(
+    [
+      ...(await getDenoCommandCandidates(getSaveTextFileDenoArgs(saveTextFileScriptPath, targetPath, { createDirectory }))),
+      ...(sigma.platform.isWindows ? getWindowsPowerShellCandidates(buildPowerShellSaveTextFileScript(targetPath, { createDirectory })) : []),
+    ],
+    { stdin: JSON.stringify({ content }), timeout: 15000 },
+  );
+  assertCommandSucceeded(result);
+}
+
+/**
+ * Resolves to null when the file does not exist.
+ */
+async function readTextFile(readTextFileScriptPath, targetPath) {
+  const result = await runCommand(
+    [
+      ...(await getDenoCommandCandidates(getReadTextFileDenoArgs(readTextFileScriptPath, targetPath))),
+      ...(sigma.platform.isWindows ? getWindowsPowerShellCandidates(buildPowerShellReadTextFileScript(targetPath)) : []),
+    ],
+    { timeout: 15000 },
+  );
+  assertCommandSucceeded(result);
+  return parseCommandOutput(result, stdout => JSON.parse(stdout.trim()).content ?? null);
+}
+
+async function saveDiagnosticsReport(saveTextFileScriptPath, report) {
+  const targetPath = await sigma.dialog.saveFile({
+    title: t('saveDiagnostics'),
+    defaultPath: `sigma-diagnostics-${report.generatedAt.slice(0, 10)}.json`,
+    filters: [
+      { name: 'JSON', extensions: ['json'] }
+    ]
+  });
+
+  if (!targetPath) {
+    return;
+  }
+
+  try {
+    await writeTextFile(saveTextFileScriptPath, targetPath, formatDiagnosticsReportJson(report));
+
+    notifications.show({
+      title: t('diagnosticsSaved'),
+      subtitle: targetPath,
+      type: 'success'
+    });
+  } catch (error) {
+    notifications.show({
+      title: t('diagnosticsSaveFailed'),
+      subtitle: getCommandErrorMessage(error),
+      type: 'error'
+    });
+  }
+}
+
+function getFileDetailsContent(details) {
+  const lineEndingLabels = {
+    lf: t('lineEndingLf'),
+    crlf: t('lineEndingCrlf'),
+    cr: t('lineEndingCr'),
+    mixed: t('lineEndingMixed'),
+    none: t('none'),
+  };
+  const content = [
+    sigma.ui.input({ id: 'mimeType', label: t('mimeType'), value: details.mimeType || t('notAvailable'), disabled: true }),
+    sigma.ui.separator(),
+    sigma.ui.input({ id: 'created', label: t('created'), value: formatTimestamp(details.created), disabled: true }),
+    sigma.ui.input({ id: 'modified', label: t('modified'), value: formatTimestamp(details.modified), disabled: true }),
+    sigma.ui.input({ id: 'accessed', label: t('accessed'), value: formatTimestamp(details.accessed), disabled: true }),
+    sigma.ui.separator(),
+    sigma.ui.input({ id: 'mode', label: t('permissions'), value: details.mode == null ? t('notAvailable') : formatPosixMode(details.mode), disabled: true }),
+    sigma.ui.input({
+      id: 'owner',
+      label: t('owner'),
+      value: details.uid == null ? t('notAvailable') : t('ownerIds', { uid: String(details.uid), gid: String(details.gid ?? '-') }),
+      disabled: true,
+    }),
+  ];
+
+  if (details.symlinkTarget) {
+    content.push(sigma.ui.input({ id: 'symlinkTarget', label: t('symlinkTarget'), value: details.symlinkTarget, disabled: true }));
+  }
+
+  if (details.text) {
+    content.push(
+      sigma.ui.separator(),
+      sigma.ui.input({ id: 'encoding', label: t('encoding'), value: details.text.encoding, disabled: true }),
+      sigma.ui.input({ id: 'lineEnding', label: t('lineEndings'), value: lineEndingLabels[details.text.lineEnding], disabled: true }),
+      sigma.ui.input({ id: 'lineCount', label: t('lineCount'), value: String(details.text.lineCount), disabled: true }),
+      sigma.ui.input({ id: 'wordCount', label: t('wordCount'), value: String(details.text.wordCount), disabled: true }),
+    );
+  }
+
+  return content;
+}
+
+function getFileHashTableLabels() {
+  return {
+    file: t('file'),
+    algorithm: t('algorithm'),
+    digest: t('digest'),
+    formatError: message => t('hashFailedForFile', { error: message }),
+  };
+}
+
+function showFileAnalysisModal(title, results, algorithmIds) {
+  const labels = getFileHashTableLabels();
+  const hashTable = formatFileHashTable(results, algorithmIds, labels, result => getEntryName(result.path));
+  const modal = sigma.ui.createModal({
+    title,
+    width: 960,
+    content: [
+      sigma.ui.textarea({
+        id: 'fileHashes',
+        label: t('hashResults'),
+        value: hashTable,
+        rows: Math.min(Math.max(results.length * algorithmIds.length + 1, 4), 20),
+        disabled: true,
+      }),
+    ],
+    buttons: [
+      { id: 'copyAll', label: t('copyAll'), variant: 'primary' },
+    ],
+  });
 
-const DEBUG = false;
+  modal.onSubmit(async (values, buttonId) => {
+    if (buttonId !== 'copyAll') return false;
 
-function debugLog(...args) {
-  if (DEBUG) console.log(...args);
+    await sigma.ui.copyText(formatFileHashTable(results, algorithmIds, labels));
+    notifications.show({
+      title: t('hashesCopied'),
+      subtitle: t('copiedToClipboard'),
+      type: 'success'
+    });
+    return false;
+  });
 }
 
-let settingsChangeDisposable = null;
+/**
+ * Each file is one job on the task queue, so large selections share the queue's
+ * concurrency limit and aggregate progress, and single files can be cancelled.
+ * Shared by the context menu item and re-runs from the operation history.
+ */
+async function analyzeFiles(fileAnalysisScriptPath, filePaths, algorithmIds) {
+  const selectionLabel = filePaths.length === 1 ? getEntryName(filePaths[0]) : t('nFiles', { count: filePaths.length });
+  const operationInputs = { filePaths, algorithmIds };
+  const startedAt = Date.now();
+
+  const jobs = filePaths.map(filePath => enqueueTask(
+    t('analyzingFile', { fileName: getEntryName(filePath) }),
+    async (cancellationToken, progress) => {
+      const commandResult = await runCommand(
+        [
+          ...(await getDenoCommandCandidates(getFileHashDenoArgs(fileAnalysisScriptPath, [filePath], algorithmIds))),
+          ...(sigma.platform.isWindows ? getWindowsPowerShellCandidates(buildPowerShellFileHashScript([filePath], algorithmIds)) : []),
+        ],
+        { progress, cancellationToken, translate: t },
+      );
+      assertCommandSucceeded(commandResult);
+      return { commandResult, hashResults: parseCommandOutput(commandResult, parseFileHashOutput) };
+    },
+  ));
+  const outcomes = await Promise.all(jobs.map(job => job.promise));
+
+  const succeededOutcomes = outcomes.filter(outcome => outcome.state === 'succeeded');
+  const firstUnsuccessfulOutcome = outcomes.find(outcome => outcome.state !== 'succeeded');
+
+  if (succeededOutcomes.length === 0) {
+    const { error } = firstUnsuccessfulOutcome;
+    if (outcomes.every(outcome => outcome.state === 'cancelled')) {
+      recordOperation({ operation: 'file-analysis', inputs: operationInputs, startedAt, error });
+      notifications.show({
+        title: t('analysisCancelled'),
+        subtitle: t('stoppedAnalyzing', { fileName: selectionLabel }),
+        type: 'warning'
+      });
+      return;
+    }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+    const errorMessage = getCommandErrorMessage(error) || t('failedAnalyzeFile');
+    recordOperation({ operation: 'file-analysis', inputs: operationInputs, startedAt, error, errorMessage });
+    notifications.show({
+      title: isCommandError(error, 'NON_ZERO_EXIT') ? t('analysisFailed') : t('analysisError'),
+      subtitle: errorMessage,
+      type: 'error'
+    });
+    return;
+  }
+
+  const analysisResults = outcomes.flatMap((outcome, index) => (outcome.state === 'succeeded'
+    ? outcome.result.hashResults
+    : [{ path: filePaths[index], error: getCommandErrorMessage(outcome.error) || t('failedAnalyzeFile') }]));
+  recordOperation({
+    operation: 'file-analysis',
+    inputs: operationInputs,
+    startedAt,
+    result: succeededOutcomes[0].result.commandResult,
+    output: formatFileHashTable(analysisResults, algorithmIds, getFileHashTableLabels()),
+  });
+  showFileAnalysisModal(t('fileAnalysisTitle', { fileName: selectionLabel }), analysisResults, algorithmIds);
 }
 
-function formatFileSize(sizeBytes) {
-  if (sizeBytes == null) return 'Unknown';
-  if (sizeBytes < 1024) return `${sizeBytes} B`;
-  if (sizeBytes < 1048576) return `${(sizeBytes / 1024).toFixed(2)} KB`;
-  return `${(sizeBytes / 1048576).toFixed(2)} MB`;
+function getJsonToolsRequest(values) {
+  return {
+    action: typeof values.action === 'string' ? values.action : 'validate',
+    jsonInput: typeof values.jsonInput === 'string' ? values.jsonInput.trim() : '',
+    schemaInput: typeof values.schemaInput === 'string' ? values.schemaInput.trim() : '',
+    schemaPath: typeof values.schemaPath === 'string' ? values.schemaPath.trim() : '',
+    queryInput: typeof values.queryInput === 'string' ? values.queryInput.trim() : '',
+  };
 }
 
-function showFileAnalysisModal(fileName, hashValue) {
-  sigma.ui.createModal({
-    title: t('fileAnalysisTitle', { fileName }),
-    width: 760,
+/**
+ * Runs one JSON tools request and returns the text for the result box. Every run
+ * that reaches a runtime is recorded in the operation history.
+ */
+async function runJsonToolsRequest(jsonToolsScriptPath, request) {
+  const { action, jsonInput, schemaInput, schemaPath, queryInput } = request;
+
+  if (!jsonInput) {
+    return t('jsonInputRequired');
+  }
+  if (action === 'schema' && !schemaInput && !schemaPath) {
+    return t('jsonSchemaRequired');
+  }
+  if (action === 'query' && !queryInput) {
+    return t('jsonQueryRequired');
+  }
+
+  const isPowerShellSupportedAction = POWERSHELL_JSON_TOOLS_ACTIONS.includes(action);
+  const startedAt = Date.now();
+  let result = null;
+
+  try {
+    const escapedAction = escapeForPowerShellSingleQuotes(action);
+    const powerShellJsonToolsScript = `${POWERSHELL_READ_STDIN_PAYLOAD} $jsonInput = [string]$payload.input; $action = '${escapedAction}'; try { $parsed = $jsonInput | ConvertFrom-Json; switch ($action) { 'validate' { $output = 'JSON is valid.' } 'pretty' { $output = $parsed | ConvertTo-Json -Depth 100 } 'minify' { $output = ($parsed | ConvertTo-Json -Depth 100 -Compress) } default { throw "Unsupported action: $action" } }; [PSCustomObject]@{ output = [string]$output } | ConvertTo-Json -Compress } catch { Write-Error $_.Exception.Message; exit 1 }`;
+    const fallbackCandidates = sigma.platform.isWindows && isPowerShellSupportedAction
+      ? getWindowsPowerShellCandidates(powerShellJsonToolsScript)
+      : [];
+    const denoArgs = action === 'schema' && schemaPath
+      ? ['run', '--quiet', `--allow-read=${formatDenoPermissionPaths([schemaPath])}`, jsonToolsScriptPath, action, `--schema-file=${schemaPath}`]
+      : ['run', '--quiet', jsonToolsScriptPath, action];
+    const denoCommandCandidates = await getDenoCommandCandidates(denoArgs);
+    const payload = JSON.stringify({
+      input: jsonInput,
+      extra: action === 'query' ? queryInput : schemaInput,
+    });
+    result = await runCommand([
+      ...denoCommandCandidates,
+      ...fallbackCandidates,
+    ], { stdin: payload, timeout: JSON_TOOLS_TIMEOUT });
+
+    const parsedResult = parseCommandOutput(assertCommandSucceeded(result), stdout => JSON.parse(stdout.trim()));
+    recordOperation({ operation: 'json-tools', inputs: request, startedAt, result, output: parsedResult.output });
+    return parsedResult.output;
+  } catch (error) {
+    let errorMessage = getCommandErrorMessage(error);
+    if (isCommandError(error, 'NON_ZERO_EXIT') && error.details) {
+      errorMessage = error.details;
+    } else if (isCommandError(error, 'RUNTIME_MISSING') && sigma.platform.isWindows && !isPowerShellSupportedAction) {
+      errorMessage = t('jsonActionRequiresDeno');
+    }
+    recordOperation({ operation: 'json-tools', inputs: request, startedAt, result, error, errorMessage });
+    return errorMessage;
+  }
+}
+
+/**
+ * `initialRequest` fills the form and runs it right away, which is how the operation history re-runs an entry.
+ */
+function showJsonToolsModal(jsonToolsScriptPath, initialRequest = null) {
+  return new Promise((resolve) => {
+    const modal = sigma.ui.createModal({
+      title: t('denoJsonTools'),
+      width: 720,
+      content: [
+        sigma.ui.select({
+          id: 'action',
+          label: t('action'),
+          options: [
+            { value: 'validate', label: t('validateJson') },
+            { value: 'pretty', label: t('prettyPrint') },
+            { value: 'minify', label: t('minify') },
+            { value: 'schema', label: t('validateAgainstSchema') },
+            { value: 'query', label: t('queryJson') },
+          ],
+          value: initialRequest ? initialRequest.action : 'validate',
+        }),
+        sigma.ui.textarea({
+          id: 'jsonInput',
+          label: t('json'),
+          placeholder: '{\n  "name": "Sigma"\n}',
+          value: initialRequest ? initialRequest.jsonInput : '',
+          rows: 10,
+        }),
+        sigma.ui.textarea({
+          id: 'schemaInput',
+          label: t('jsonSchema'),
+          placeholder: '{\n  "$schema": "https://json-schema.org/draft/2020-12/schema",\n  "type": "object"\n}',
+          value: initialRequest ? initialRequest.schemaInput : '',
+          rows: 6,
+        }),
+        sigma.ui.input({
+          id: 'schemaPath',
+          label: t('jsonSchemaFilePath'),
+          placeholder: t('jsonSchemaFilePathPlaceholder'),
+          value: initialRequest ? initialRequest.schemaPath : '',
+        }),
+        sigma.ui.input({
+          id: 'queryInput',
+          label: t('jsonQuery'),
+          placeholder: '$.items[?(@.price < 10)].name',
+          value: initialRequest ? initialRequest.queryInput : '',
+        }),
+        sigma.ui.textarea({
+          id: 'resultOutput',
+          label: t('result'),
+          value: '',
+          rows: 8,
+          disabled: true,
+        }),
+      ],
+      buttons: [
+        { id: 'run', label: t('run'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
+      ],
+    });
+
+    const runRequest = async (request) => {
+      modal.updateElement('resultOutput', { value: await runJsonToolsRequest(jsonToolsScriptPath, request) });
+    };
+
+    modal.onSubmit(async (values, buttonId) => {
+      if (buttonId !== 'run') return false;
+
+      await runRequest(getJsonToolsRequest(values));
+      return false;
+    });
+
+    modal.onClose(() => resolve());
+
+    if (initialRequest) {
+      runRequest(getJsonToolsRequest(initialRequest));
+    }
+  });
+}
+
+function getRenameOptions(values) {
+  return {
+    find: typeof values.find === 'string' ? values.find : '',
+    replace: typeof values.replace === 'string' ? values.replace : '',
+    useRegex: values.useRegex === true,
+    ignoreCase: values.ignoreCase === true,
+    caseConversion: RENAME_CASES.includes(values.caseConversion) ? values.caseConversion : 'keep',
+    template: typeof values.template === 'string' && values.template.trim() ? values.template : DEFAULT_RENAME_TEMPLATE,
+  };
+}
+
+function formatRenamePlan(plan) {
+  const problemLabels = {
+    conflict: t('renameConflict'),
+    invalid: t('renameInvalidName'),
+  };
+  const summary = summarizeRenamePlan(plan);
+  const lines = plan.map((item) => {
+    if (item.status === 'unchanged') return t('renamePlanUnchanged', { name: item.oldName });
+    if (item.status === 'rename') return `${item.oldName} → ${item.newName}`;
+    return t('renamePlanProblem', { oldName: item.oldName, newName: item.newName, problem: problemLabels[item.status] });
+  });
+
+  return [t('renamePlanSummary', { count: summary.renameCount, problems: summary.problemCount }), '', ...lines].join('\n');
+}
+
+async function runBatchRename(batchRenameScriptPath, renames) {
+  const result = await runCommand(
+    await getDenoCommandCandidates(getBatchRenameDenoArgs(
+      batchRenameScriptPath,
+      getParentDirectories(renames.flatMap(rename => [rename.from, rename.to])),
+    )),
+    { stdin: JSON.stringify({ renames }), timeout: 60000 },
+  );
+  return parseCommandOutput(assertCommandSucceeded(result), parseBatchRenameOutput);
+}
+
+function showBatchRenameModal(batchRenameScriptPath, entries) {
+  const isWindows = sigma.platform.isWindows;
+  const getPreview = (values) => {
+    try {
+      return formatRenamePlan(buildRenamePlan(entries, getRenameOptions(values), { isWindows }));
+    } catch (error) {
+      return t('invalidRegex', { error: error instanceof Error ? error.message : String(error) });
+    }
+  };
+  const initialValues = { template: DEFAULT_RENAME_TEMPLATE };
+  const modal = sigma.ui.createModal({
+    title: t('batchRenameTitle', { count: entries.length }),
+    width: 860,
+    content: [
+      sigma.ui.input({ id: 'find', label: t('find'), value: '' }),
+      sigma.ui.input({ id: 'replace', label: t('replaceWith'), value: '' }),
+      sigma.ui.checkbox({ id: 'useRegex', label: t('useRegex'), checked: false }),
+      sigma.ui.checkbox({ id: 'ignoreCase', label: t('ignoreCase'), checked: false }),
+      sigma.ui.select({
+        id: 'caseConversion',
+        label: t('caseConversion'),
+        options: [
+          { value: 'keep', label: t('caseKeep') },
+          { value: 'lower', label: t('caseLower') },
+          { value: 'upper', label: t('caseUpper') },
+          { value: 'title', label: t('caseTitle') },
+        ],
+        value: 'keep',
+      }),
+      sigma.ui.input({ id: 'template', label: t('renameTemplate'), value: DEFAULT_RENAME_TEMPLATE }),
+      sigma.ui.text(t('renameTemplateHint', {
+        nameToken: '{name}',
+        extToken: '{ext}',
+        numberToken: '{n}',
+        paddedNumberToken: '{n:3}',
+        dateToken: '{date}',
+      })),
+      sigma.ui.textarea({
+        id: 'preview',
+        label: t('preview'),
+        value: getPreview(initialValues),
+        rows: Math.min(Math.max(entries.length + 2, 6), 16),
+        disabled: true,
+      }),
+    ],
+    buttons: [
+      { id: 'rename', label: t('rename'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
+    ],
+  });
+
+  modal.onValueChange((elementId, value, values) => {
+    if (elementId === 'preview') return;
+    modal.updateElement('preview', { value: getPreview(values) });
+  });
+
+  modal.onSubmit(async (values, buttonId) => {
+    if (buttonId !== 'rename') return false;
+
+    let plan;
+    try {
+      plan = buildRenamePlan(entries, getRenameOptions(values), { isWindows });
+    } catch {
+      modal.updateElement('preview', { value: getPreview(values) });
+      return false;
+    }
+
+    const summary = summarizeRenamePlan(plan);
+    if (summary.problemCount > 0 || summary.renameCount === 0) {
+      modal.updateElement('preview', { value: formatRenamePlan(plan) });
+      notifications.show({
+        title: t('batchRename'),
+        subtitle: summary.problemCount > 0 ? t('renameFixProblems', { count: summary.problemCount }) : t('renameNothingToDo'),
+        type: 'warning'
+      });
+      return false;
+    }
+
+    try {
+      const { renamed } = await runBatchRename(
+        batchRenameScriptPath,
+        plan.filter(item => item.status === 'rename').map(item => ({ from: item.path, to: item.newPath })),
+      );
+      lastRenameBatch = { renamed, createdAt: new Date().toISOString() };
+      notifications.show({
+        title: t('batchRenameDone', { count: renamed.length }),
+        subtitle: t('batchRenameUndoHint'),
+        type: 'success'
+      });
+      return true;
+    } catch (error) {
+      modal.updateElement('preview', { value: `${t('batchRenameFailed')}\n${getCommandErrorMessage(error)}\n\n${formatRenamePlan(plan)}` });
+      return false;
+    }
+  });
+}
+
+async function getCopyPathPreferences() {
+  return {
+    format: normalizePathFormat(await sigma.settings.get('copyPathDefaultFormat')),
+    separator: normalizePathSeparator(await sigma.settings.get('copyPathSeparator')),
+  };
+}
+
+async function copyFormattedPaths(entries, format, separator) {
+  const basePath = await sigma.context.getCurrentPath();
+  const text = formatPaths(entries, format, { basePath: basePath || '', separator });
+  await sigma.ui.copyText(text);
+
+  notifications.show({
+    title: entries.length === 1 ? t('pathCopied') : t('pathsCopied', { count: entries.length }),
+    subtitle: t('copiedToClipboard'),
+    description: entries.length === 1 ? text : '',
+    type: 'success'
+  });
+}
+
+async function showCopyPathAsModal(entries, preferences) {
+  const basePath = await sigma.context.getCurrentPath() || '';
+  const getPreview = (format, separator) => formatPaths(entries, format, { basePath, separator });
+  const modal = sigma.ui.createModal({
+    title: t('copyPathAs'),
+    width: 640,
     content: [
-      sigma.ui.input({
-        id: 'fileHash',
-        label: t('sha256Hash'),
-        value: hashValue,
+      sigma.ui.select({
+        id: 'format',
+        label: t('pathFormat'),
+        options: PATH_FORMATS.map(format => ({ value: format, label: t(PATH_FORMAT_LABEL_KEYS[format]) })),
+        value: preferences.format,
+      }),
+      sigma.ui.select({
+        id: 'separator',
+        label: t('pathSeparator'),
+        options: [
+          { value: 'newline', label: t('pathSeparatorNewline') },
+          { value: 'space', label: t('pathSeparatorSpace') },
+        ],
+        value: preferences.separator,
+      }),
+      sigma.ui.textarea({
+        id: 'preview',
+        label: t('preview'),
+        value: getPreview(preferences.format, preferences.separator),
+        rows: Math.min(Math.max(entries.length, 3), 12),
         disabled: true,
       }),
     ],
+    buttons: [
+      { id: 'preview', label: t('preview') },
+      { id: 'copy', label: t('copy'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
+    ],
+  });
+
+  modal.onSubmit(async (values, buttonId) => {
+    if (buttonId !== 'preview' && buttonId !== 'copy') return false;
+
+    const format = normalizePathFormat(values.format);
+    const separator = normalizePathSeparator(values.separator);
+    if (buttonId === 'preview') {
+      modal.updateElement('preview', { value: getPreview(format, separator) });
+      return false;
+    }
+
+    await copyFormattedPaths(entries, format, separator);
+    return true;
   });
 }
 
 async function registerContextMenuHandlers(context) {
   const fileAnalysisScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'file-analysis.js');
+  const checksumManifestScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'checksum-manifest.js');
+  const jsonToolsScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'json-tools.js');
+  const fileDetailsScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'file-details.js');
+  const selectionStatsScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'selection-stats.js');
+  const batchRenameScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'batch-rename.js');
+  const compressZipScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'compress-zip.js');
+  const extractZipScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'extract-zip.js');
 
   sigma.contextMenu.registerItem(
     {
@@ -61,102 +2077,435 @@ async function registerContextMenuHandlers(context) {
       order: 1
     },
     async (menuContext) => {
-      const showNotifications = await sigma.settings.get('showNotifications');
-      if (!showNotifications) {
-        debugLog('[Example] Notifications disabled, skipping');
+      const entry = menuContext.selectedEntries[0];
+
+      notifications.show({
+        title: t('extensionNotification'),
+        subtitle: t('actionFromContextMenu'),
+        description: entry ? entry.name : '',
+        type: 'info'
+      });
+    }
+  );
+
+  sigma.contextMenu.registerItem(
+    {
+      id: 'selection-statistics',
+      title: t('selectionStatistics'),
+      icon: 'ChartPie',
+      group: 'extensions',
+      order: 2
+    },
+    async (menuContext) => {
+      const targetPaths = menuContext.selectedEntries.map(entry => entry.path);
+      if (targetPaths.length === 0) {
+        return;
+      }
+
+      try {
+        const fallbackCandidates = sigma.platform.isWindows
+          ? getWindowsPowerShellCandidates(buildPowerShellSelectionStatsScript(targetPaths))
+          : [];
+        const statsExecution = await runQueuedTask(
+          t('collectingSelectionStats'),
+          async (cancellationToken, progress) => {
+            progress.report({
+              description: t('preparingAnalysis'),
+              increment: 6,
+            });
+
+            return runCommand(
+              [
+                ...(await getDenoCommandCandidates(getSelectionStatsDenoArgs(selectionStatsScriptPath, targetPaths))),
+                ...fallbackCandidates,
+              ],
+              { progress, cancellationToken, translate: t },
+            );
+          },
+        );
+
+        if (!statsExecution || statsExecution.cancelled) {
+          notifications.show({
+            title: t('selectionStatsCancelled'),
+            type: 'warning'
+          });
+          return;
+        }
+
+        assertCommandSucceeded(statsExecution);
+        showSelectionStatsModal(parseCommandOutput(statsExecution, parseSelectionStatsOutput));
+      } catch (error) {
+        notifications.show({
+          title: t('selectionStatsFailed'),
+          subtitle: getCommandErrorMessage(error),
+          type: 'error'
+        });
+      }
+    }
+  );
+
+  sigma.contextMenu.registerItem(
+    {
+      id: 'file-info',
+      title: t('showFileDetails'),
+      icon: 'Info',
+      group: 'extensions',
+      order: 3,
+      when: {
+        selectionType: 'single',
+        entryType: 'file'
+      }
+    },
+    async (menuContext) => {
+      const file = menuContext.selectedEntries[0];
+      if (!file) return;
+
+      let details = null;
+      let detailsErrorMessage = '';
+      try {
+        const fallbackCandidates = sigma.platform.isWindows
+          ? getWindowsPowerShellCandidates(buildPowerShellFileDetailsScript(file.path))
+          : [];
+        const result = await sigma.ui.withProgress(
+          {
+            subtitle: t('readingFileDetails', { fileName: file.name }),
+            location: 'notification',
+            cancellable: true,
+          },
+          async (progress, cancellationToken) => runCommand(
+            [
+              ...(await getDenoCommandCandidates(getFileDetailsDenoArgs(fileDetailsScriptPath, file.path))),
+              ...fallbackCandidates,
+            ],
+            { timeout: 30000, progress, cancellationToken, translate: t },
+          ),
+        );
+
+        if (result.cancelled) {
+          notifications.show({
+            title: t('fileDetailsCancelled'),
+            subtitle: file.name,
+            type: 'warning'
+          });
+          return;
+        }
+
+        details = parseCommandOutput(assertCommandSucceeded(result), parseFileDetailsOutput);
+      } catch (error) {
+        detailsErrorMessage = getCommandErrorMessage(error);
+      }
+
+      const content = [
+        sigma.ui.input({ id: 'name', label: t('name'), value: file.name, disabled: true }),
+        sigma.ui.input({ id: 'path', label: t('path'), value: file.path, disabled: true }),
+        sigma.ui.input({ id: 'extension', label: t('extension'), value: file.extension || t('none'), disabled: true }),
+        sigma.ui.input({ id: 'size', label: t('size'), value: formatFileSize(details ? details.size : file.size), disabled: true }),
+      ];
+
+      if (details) {
+        content.push(...getFileDetailsContent(details));
+      } else {
+        content.push(sigma.ui.separator(), sigma.ui.text(t('fileDetailsUnavailable', { error: detailsErrorMessage })));
+      }
+
+      sigma.ui.createModal({
+        title: t('fileDetailsTitle', { fileName: file.name }),
+        width: 640,
+        content,
+      });
+    }
+  );
+
+  sigma.contextMenu.registerItem(
+    {
+      id: 'copy-path',
+      title: t('copyPath'),
+      icon: 'Copy',
+      group: 'extensions',
+      order: 4
+    },
+    async (menuContext) => {
+      if (menuContext.selectedEntries.length === 0) return;
+
+      const { format, separator } = await getCopyPathPreferences();
+      await copyFormattedPaths(menuContext.selectedEntries, format, separator);
+    }
+  );
+
+  sigma.contextMenu.registerItem(
+    {
+      id: 'copy-path-as',
+      title: t('copyPathAs'),
+      icon: 'ClipboardList',
+      group: 'extensions',
+      order: 4
+    },
+    async (menuContext) => {
+      if (menuContext.selectedEntries.length === 0) return;
+
+      await showCopyPathAsModal(menuContext.selectedEntries, await getCopyPathPreferences());
+    }
+  );
+
+  sigma.contextMenu.registerItem(
+    {
+      id: 'analyze-file-deno',
+      title: t('analyzeFileDeno'),
+      icon: 'FileSearch',
+      group: 'extensions',
+      order: 5,
+      when: {
+        entryType: 'file'
+      }
+    },
+    async (menuContext) => {
+      const files = menuContext.selectedEntries.filter(entry => !entry.isDirectory);
+      if (files.length === 0) {
+        return;
+      }
+
+      const algorithmIds = await pickHashAlgorithms(files.length);
+      if (!algorithmIds) {
+        return;
+      }
+
+      await analyzeFiles(fileAnalysisScriptPath, files.map(file => file.path), algorithmIds);
+    }
+  );
+
+  sigma.contextMenu.registerItem(
+    {
+      id: 'generate-checksum-manifest',
+      title: t('generateChecksumManifest'),
+      icon: 'ListChecks',
+      group: 'extensions',
+      order: 6
+    },
+    async (menuContext) => {
+      const entries = menuContext.selectedEntries;
+      if (entries.length === 0) {
+        return;
+      }
+
+      const algorithmId = await pickChecksumManifestAlgorithm();
+      if (!algorithmId) {
         return;
       }
-
-      const duration = await sigma.settings.get('notificationDuration');
-      const entry = menuContext.selectedEntries[0];
-
-      sigma.ui.showNotification({
-        title: t('extensionNotification'),
-        subtitle: t('actionFromContextMenu'),
-        description: entry ? entry.name : '',
-        type: 'info',
-        duration: duration || 3000
-      });
+
+      const manifestDirectory = entries.length === 1 && entries[0].isDirectory
+        ? entries[0].path
+        : getParentPath(entries[0].path);
+      const manifestPath = await sigma.platform.joinPath(manifestDirectory, getChecksumManifestFileName(algorithmId));
+      const targetPaths = entries.map(entry => entry.path);
+      const manifestName = getEntryName(manifestPath);
+
+      try {
+        const fallbackCandidates = sigma.platform.isWindows
+          ? getWindowsPowerShellCandidates(buildPowerShellGenerateManifestScript(manifestPath, algorithmId, targetPaths))
+          : [];
+        const manifestExecution = await runQueuedTask(
+          t('generatingChecksumManifest', { fileName: manifestName }),
+          async (cancellationToken, progress) => {
+            progress.report({
+              description: t('preparingAnalysis'),
+              increment: 6,
+            });
+
+            return runCommand(
+              [
+                ...(await getDenoCommandCandidates(getGenerateManifestDenoArgs(checksumManifestScriptPath, manifestPath, algorithmId, targetPaths))),
+                ...fallbackCandidates,
+              ],
+              { progress, cancellationToken, translate: t },
+            );
+          },
+        );
+
+        if (!manifestExecution || manifestExecution.cancelled) {
+          notifications.show({
+            title: t('analysisCancelled'),
+            subtitle: t('stoppedAnalyzing', { fileName: manifestName }),
+            type: 'warning'
+          });
+          return;
+        }
+
+        assertCommandSucceeded(manifestExecution);
+
+        const manifest = parseCommandOutput(manifestExecution, parseManifestOutput);
+        notifications.show({
+          title: t('checksumManifestCreated'),
+          subtitle: t('checksumManifestSummary', { count: manifest.fileCount || 0, fileName: manifestName }),
+          description: manifest.manifestPath,
+          type: 'success'
+        });
+      } catch (error) {
+        notifications.show({
+          title: t('checksumManifestFailed'),
+          subtitle: getCommandErrorMessage(error),
+          type: 'error'
+        });
+      }
     }
   );
 
   sigma.contextMenu.registerItem(
     {
-      id: 'count-selected',
-      title: t('countSelectedItems'),
-      icon: 'Hash',
+      id: 'verify-checksum-manifest',
+      title: t('verifyChecksumManifest'),
+      icon: 'ShieldCheck',
       group: 'extensions',
-      order: 2,
+      order: 7,
       when: {
-        selectionType: 'multiple'
+        selectionType: 'single',
+        entryType: 'file'
       }
     },
     async (menuContext) => {
-      const count = menuContext.selectedEntries.length;
-      const files = menuContext.selectedEntries.filter(entry => !entry.isDirectory).length;
-      const folders = menuContext.selectedEntries.filter(entry => entry.isDirectory).length;
-
-      sigma.ui.showNotification({
-        title: t('selectionCount'),
-        subtitle: t('selectedItemsSummary', { count, files, folders }),
-        type: 'success',
-        duration: 4000
-      });
+      const manifestFile = menuContext.selectedEntries[0];
+      if (!manifestFile) {
+        return;
+      }
+
+      if (!isChecksumManifestName(manifestFile.name)) {
+        notifications.show({
+          title: t('verifyChecksumManifest'),
+          subtitle: t('notAChecksumManifest', { fileName: manifestFile.name }),
+          type: 'warning'
+        });
+        return;
+      }
+
+      try {
+        const fallbackCandidates = sigma.platform.isWindows
+          ? getWindowsPowerShellCandidates(buildPowerShellVerifyManifestScript(manifestFile.path))
+          : [];
+        const verificationExecution = await runQueuedTask(
+          t('verifyingChecksumManifest', { fileName: manifestFile.name }),
+          async (cancellationToken, progress) => {
+            progress.report({
+              description: t('preparingAnalysis'),
+              increment: 6,
+            });
+
+            return runCommand(
+              [
+                ...(await getDenoCommandCandidates(getVerifyManifestDenoArgs(checksumManifestScriptPath, manifestFile.path))),
+                ...fallbackCandidates,
+              ],
+              { progress, cancellationToken, translate: t },
+            );
+          },
+        );
+
+        if (!verificationExecution || verificationExecution.cancelled) {
+          notifications.show({
+            title: t('analysisCancelled'),
+            subtitle: t('stoppedAnalyzing', { fileName: manifestFile.name }),
+            type: 'warning'
+          });
+          return;
+        }
+
+        assertCommandSucceeded(verificationExecution);
+
+        const { entries } = parseCommandOutput(verificationExecution, parseManifestOutput);
+        const summary = summarizeManifestVerification(entries);
+        const problemCount = summary.mismatch + summary.missing + summary.unsafe + summary.unreadable;
+
+        showManifestVerificationModal(manifestFile.name, entries);
+        notifications.show({
+          title: problemCount === 0 ? t('checksumsVerified') : t('checksumProblemsFound'),
+          subtitle: t('checksumVerificationSummary', summary),
+          type: problemCount === 0 ? 'success' : 'warning'
+        });
+      } catch (error) {
+        notifications.show({
+          title: t('checksumVerificationFailed'),
+          subtitle: getCommandErrorMessage(error),
+          type: 'error'
+        });
+      }
     }
   );
 
   sigma.contextMenu.registerItem(
     {
-      id: 'file-info',
-      title: t('showFileDetails'),
-      icon: 'Info',
+      id: 'format-json-files',
+      title: t('formatJsonFiles'),
+      icon: 'Braces',
       group: 'extensions',
-      order: 3,
+      order: 8,
       when: {
-        selectionType: 'single',
         entryType: 'file'
       }
     },
     async (menuContext) => {
-      const file = menuContext.selectedEntries[0];
-      if (!file) return;
+      const jsonFiles = menuContext.selectedEntries.filter(isJsonFileEntry);
 
-      sigma.ui.createModal({
-        title: t('fileDetailsTitle', { fileName: file.name }),
-        width: 640,
-        content: [
-          sigma.ui.input({ id: 'name', label: t('name'), value: file.name, disabled: true }),
-          sigma.ui.input({ id: 'path', label: t('path'), value: file.path, disabled: true }),
-          sigma.ui.input({ id: 'extension', label: t('extension'), value: file.extension || t('none'), disabled: true }),
-          sigma.ui.input({ id: 'size', label: t('size'), value: formatFileSize(file.size), disabled: true }),
-        ],
-      });
+      if (jsonFiles.length === 0) {
+        notifications.show({
+          title: t('formatJsonFiles'),
+          subtitle: t('noJsonFilesSelected'),
+          type: 'warning'
+        });
+        return;
+      }
+
+      showJsonFilesFormatterModal(jsonToolsScriptPath, jsonFiles);
     }
   );
 
   sigma.contextMenu.registerItem(
     {
-      id: 'copy-path',
-      title: t('copyPath'),
-      icon: 'Copy',
+      id: 'compress-zip',
+      title: t('compressToZip'),
+      icon: 'FileArchive',
       group: 'extensions',
-      order: 4,
-      when: {
-        selectionType: 'single'
-      }
+      order: 10
     },
     async (menuContext) => {
-      const entry = menuContext.selectedEntries[0];
+      const entries = menuContext.selectedEntries;
+      if (entries.length === 0) return;
+
+      const archivePath = getDefaultArchivePath(entries);
+      try {
+        const compressExecution = await runQueuedTask(
+          t('compressingToZip', { fileName: getEntryName(archivePath) }),
+          async (cancellationToken, progress) => {
+            progress.report({
+              description: t('preparingArchive'),
+              increment: 6,
+            });
 
-      if (entry) {
-        await sigma.ui.copyText(entry.path);
+            return runCommand(
+              await getDenoCommandCandidates(getCompressZipDenoArgs(compressZipScriptPath, archivePath, entries.map(entry => entry.path))),
+              { progress, cancellationToken, translate: t },
+            );
+          },
+        );
 
-        sigma.ui.showNotification({
-          title: t('pathCopied'),
-          subtitle: t('copiedToClipboard'),
-          description: entry.path,
-          type: 'success',
-          duration: 2000
+        if (!compressExecution || compressExecution.cancelled) {
+          notifications.show({
+            title: t('zipCancelled'),
+            type: 'warning'
+          });
+          return;
+        }
+
+        assertCommandSucceeded(compressExecution);
+        const archive = parseCommandOutput(compressExecution, parseCompressZipOutput);
+        notifications.show({
+          title: t('zipCreated', { fileName: getEntryName(archive.path) }),
+          subtitle: t('zipCreatedSummary', { count: archive.entryCount, size: formatFileSize(archive.archiveBytes) }),
+          description: archive.path,
+          type: 'success'
+        });
+      } catch (error) {
+        notifications.show({
+          title: t('zipFailed'),
+          subtitle: getCommandErrorMessage(error),
+          type: 'error'
         });
       }
     }
@@ -164,124 +2513,114 @@ async function registerContextMenuHandlers(context) {
 
   sigma.contextMenu.registerItem(
     {
-      id: 'analyze-file-deno',
-      title: t('analyzeFileDeno'),
-      icon: 'FileSearch',
+      id: 'extract-zip',
+      title: t('extractHere'),
+      icon: 'PackageOpen',
       group: 'extensions',
-      order: 5,
+      order: 11,
       when: {
-        selectionType: 'single',
         entryType: 'file'
       }
     },
     async (menuContext) => {
-      const file = menuContext.selectedEntries[0];
-      if (!file) {
+      const archives = menuContext.selectedEntries.filter(isZipFileEntry);
+      if (archives.length === 0) {
+        notifications.show({
+          title: t('extractHere'),
+          subtitle: t('noZipFilesSelected'),
+          type: 'warning'
+        });
         return;
       }
 
-      const powerShellPath = escapeForPowerShellSingleQuotes(file.path);
-      const powerShellScript = `$targetPath = '${powerShellPath}'; $hash = (Get-FileHash -LiteralPath $targetPath -Algorithm SHA256).Hash.ToLower(); [PSCustomObject]@{ hash = $hash } | ConvertTo-Json -Compress`;
+      const existingFilePolicy = await pickExistingFilePolicy(archives.length);
+      if (!existingFilePolicy) {
+        return;
+      }
 
       try {
-        const fallbackCandidates = sigma.platform.isWindows
-          ? getWindowsPowerShellCandidates(powerShellScript)
-          : [];
-        const analysisExecution = await sigma.ui.withProgress(
-          {
-            subtitle: t('analyzingFile', { fileName: file.name }),
-            location: 'notification',
-            cancellable: true,
-          },
-          async (progress, cancellationToken) => {
+        const extractExecution = await runQueuedTask(
+          t('extractingZip', { count: archives.length }),
+          async (cancellationToken, progress) => {
             progress.report({
-              description: t('preparingAnalysis'),
+              description: t('preparingArchive'),
               increment: 6,
             });
 
-            try {
-              const executionResult = await runFirstAvailableCommandWithProgress(
-                [
-                  ...(await getDenoCommandCandidates(['run', '--quiet', '--allow-read', fileAnalysisScriptPath, file.path])),
-                  ...fallbackCandidates,
-                ],
-                progress,
-                cancellationToken,
-                t,
-              );
-              return executionResult;
-            } catch (error) {
-              if (cancellationToken.isCancellationRequested) {
-                return { cancelled: true };
-              }
-              throw error;
-            }
+            return runCommand(
+              await getDenoCommandCandidates(getExtractZipDenoArgs(extractZipScriptPath, archives.map(archive => archive.path), existingFilePolicy)),
+              { progress, cancellationToken, translate: t },
+            );
           },
         );
 
-        if (analysisExecution.cancelled) {
-          sigma.ui.showNotification({
-            title: t('analysisCancelled'),
-            subtitle: t('stoppedAnalyzing', { fileName: file.name }),
+        if (!extractExecution || extractExecution.cancelled) {
+          notifications.show({
+            title: t('zipCancelled'),
             type: 'warning'
           });
           return;
         }
 
-        const { result, commandName } = analysisExecution;
-
-        if (result.code !== 0) {
-          sigma.ui.showNotification({
-            title: t('analysisFailed'),
-            subtitle: result.stderr || `${commandName} exited with an error`,
-            type: 'error'
-          });
-          return;
-        }
-
-        const analysis = JSON.parse(result.stdout.trim());
-        showFileAnalysisModal(file.name, analysis.hash);
+        assertCommandSucceeded(extractExecution);
+        const results = parseCommandOutput(extractExecution, parseExtractZipOutput);
+        const summary = summarizeExtractionResults(results);
+        const problems = results.flatMap(result => [
+          ...result.unsafeEntries.map(entryName => t('zipEntryBlocked', { entry: entryName })),
+          ...result.errors.map(entryError => `${entryError.entry}: ${entryError.error}`),
+        ]);
+
+        notifications.show({
+          title: t('zipExtracted'),
+          subtitle: t('zipExtractSummary', summary),
+          description: problems.slice(0, 5).join('\n'),
+          type: problems.length === 0 ? 'success' : 'warning'
+        });
       } catch (error) {
-        sigma.ui.showNotification({
-          title: t('analysisError'),
-          subtitle: getErrorMessage(error) || t('failedAnalyzeFile'),
+        notifications.show({
+          title: t('zipExtractFailed'),
+          subtitle: getCommandErrorMessage(error),
           type: 'error'
         });
       }
     }
   );
+
+  sigma.contextMenu.registerItem(
+    {
+      id: 'batch-rename',
+      title: t('batchRename'),
+      icon: 'TextCursorInput',
+      group: 'extensions',
+      order: 9,
+      when: {
+        selectionType: 'multiple'
+      }
+    },
+    async (menuContext) => {
+      if (menuContext.selectedEntries.length === 0) return;
+
+      showBatchRenameModal(batchRenameScriptPath, menuContext.selectedEntries);
+    }
+  );
 }
 
 async function registerCommands(context) {
   const jsonToolsScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'json-tools.js');
+  const fileAnalysisScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'file-analysis.js');
   const runtimeInfoScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'runtime-info.js');
+  const findDuplicatesScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'find-duplicates.js');
+  const searchFilesScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'search-files.js');
+  const checkLocalesScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'check-locales.js');
+  const localesPath = await sigma.platform.joinPath(context.extensionPath, 'locales');
+  const saveTextFileScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'save-text-file.js');
+  const manifestPath = await sigma.platform.joinPath(context.extensionPath, 'package.json');
+  const batchRenameScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'batch-rename.js');
 
   sigma.commands.registerCommand(
     { id: 'show-settings', title: t('showSettings'), description: t('showSettingsDesc') },
     async () => {
-      const allSettings = await sigma.settings.getAll();
-      const settingsContent = [];
-
-      for (const [key, value] of Object.entries(allSettings)) {
-        settingsContent.push(
-          sigma.ui.input({
-            id: key,
-            label: key,
-            value: String(value),
-            disabled: true,
-          })
-        );
-      }
-
-      sigma.ui.createModal({
-        title: t('extensionSettings'),
-        width: 640,
-        content: [
-          sigma.ui.text(t('currentConfigNote')),
-          sigma.ui.separator(),
-          ...settingsContent,
-        ],
-      });
+      await showSettingsEditor();
     }
   );
 
@@ -313,9 +2652,7 @@ async function registerCommands(context) {
           );
         }
         if (selectedEntries.length > maxDisplay) {
-          const hiddenEntriesCount = selectedEntries.length - maxDisplay;
-          const hiddenEntriesLabel = hiddenEntriesCount === 1 ? t('oneEntry') : t('nEntries');
-          content.push(sigma.ui.text(t('moreEntriesNotShown', { count: hiddenEntriesCount, entries: hiddenEntriesLabel })));
+          content.push(sigma.ui.text(t('moreEntriesNotShown', { count: selectedEntries.length - maxDisplay })));
         }
       }
 
@@ -339,7 +2676,7 @@ async function registerCommands(context) {
       });
 
       if (result) {
-        sigma.ui.showNotification({
+        notifications.show({
           title: t('fileSelected'),
           subtitle: t('youSelected'),
           description: Array.isArray(result) ? result.join(', ') : result,
@@ -391,7 +2728,7 @@ async function registerCommands(context) {
       );
 
       if (!result.completed) {
-        sigma.ui.showNotification({
+        notifications.show({
           title: t('processingCancelled'),
           subtitle: t('processedBeforeCancel', { processed: result.processed, total: totalItems }),
           type: 'warning'
@@ -407,242 +2744,173 @@ async function registerCommands(context) {
       description: t('denoJsonToolsDesc'),
     },
     async () => {
-      return new Promise((resolve) => {
-        const modal = sigma.ui.createModal({
-          title: t('denoJsonTools'),
-          width: 720,
-          content: [
-            sigma.ui.select({
-              id: 'action',
-              label: t('action'),
-              options: [
-                { value: 'validate', label: t('validateJson') },
-                { value: 'pretty', label: t('prettyPrint') },
-                { value: 'minify', label: t('minify') },
-              ],
-              value: 'validate',
-            }),
-            sigma.ui.textarea({
-              id: 'jsonInput',
-              label: t('json'),
-              placeholder: '{\n  "name": "Sigma"\n}',
-              rows: 10,
-            }),
-            sigma.ui.textarea({
-              id: 'resultOutput',
-              label: t('result'),
-              value: '',
-              rows: 8,
-              disabled: true,
-            }),
-          ],
-          buttons: [
-            { id: 'run', label: t('run'), variant: 'primary', shortcut: { key: 'Enter', modifiers: ['ctrl'] } },
-          ],
-        });
-
-        modal.onSubmit(async (values, buttonId) => {
-          if (buttonId !== 'run') return false;
-
-          const action = typeof values.action === 'string' ? values.action : 'validate';
-          const jsonInput = typeof values.jsonInput === 'string' ? values.jsonInput.trim() : '';
-
-          if (!jsonInput) {
-            modal.updateElement('resultOutput', {
-              value: t('jsonInputRequired'),
-            });
-            return false;
-          }
-
-          try {
-            const escapedJsonInput = escapeForPowerShellSingleQuotes(jsonInput);
-            const escapedAction = escapeForPowerShellSingleQuotes(action);
-            const powerShellJsonToolsScript = `$jsonInput = '${escapedJsonInput}'; $action = '${escapedAction}'; try { $parsed = $jsonInput | ConvertFrom-Json; switch ($action) { 'validate' { $output = 'JSON is valid.' } 'pretty' { $output = $parsed | ConvertTo-Json -Depth 100 } 'minify' { $output = ($parsed | ConvertTo-Json -Depth 100 -Compress) } default { throw "Unsupported action: $action" } }; [PSCustomObject]@{ output = [string]$output } | ConvertTo-Json -Compress } catch { Write-Error $_.Exception.Message; exit 1 }`;
-            const fallbackCandidates = sigma.platform.isWindows
-              ? getWindowsPowerShellCandidates(powerShellJsonToolsScript)
-              : [];
-            const denoCommandCandidates = await getDenoCommandCandidates(['run', '--quiet', jsonToolsScriptPath, action, jsonInput]);
-            const { result, commandName } = await runFirstAvailableCommand([
-              ...denoCommandCandidates,
-              ...fallbackCandidates,
-            ]);
-
-            if (result.code !== 0) {
-              modal.updateElement('resultOutput', {
-                value: result.stderr || `${commandName} exited with a non-zero code`,
-              });
-              return false;
-            }
-
-            const parsedResult = JSON.parse(result.stdout.trim());
-            modal.updateElement('resultOutput', {
-              value: parsedResult.output,
-            });
-          } catch (error) {
-            modal.updateElement('resultOutput', {
-              value: getErrorMessage(error) || t('noRuntimeFound'),
-            });
-          }
-
-          return false;
-        });
-
-        modal.onClose(() => resolve());
-      });
+      await showJsonToolsModal(jsonToolsScriptPath);
     }
   );
 
   sigma.commands.registerCommand(
     { id: 'runtime-diagnostics', title: t('runtimeDiagnostics'), description: t('runtimeDiagnosticsDesc') },
     async () => {
+      await showRuntimeDiagnostics({ manifestPath, runtimeInfoScriptPath, saveTextFileScriptPath });
+    }
+  );
+
+  sigma.commands.registerCommand(
+    { id: 'find-duplicates', title: t('findDuplicates'), description: t('findDuplicatesDesc') },
+    async () => {
+      const currentPath = await sigma.context.getCurrentPath();
+      const selectedEntries = await sigma.context.getSelectedEntries();
+
+      if (!currentPath && selectedEntries.length === 0) {
+        notifications.show({
+          title: t('findDuplicates'),
+          subtitle: t('nothingToScan'),
+          type: 'warning'
+        });
+        return;
+      }
+
+      const scanOptions = await pickDuplicateScanOptions(currentPath, selectedEntries);
+      if (!scanOptions) {
+        return;
+      }
+
       try {
-        const powerShellSystemInfoScript = `$computerInfo = Get-ComputerInfo; $osName = if ($computerInfo.OsName) { $computerInfo.OsName } else { 'Windows' }; $osVersion = if ($computerInfo.OsVersion) { $computerInfo.OsVersion } else { '' }; $hostName = $env:COMPUTERNAME; $homePath = $env:USERPROFILE; [PSCustomObject]@{ os = 'windows'; arch = $env:PROCESSOR_ARCHITECTURE; denoVersion = ''; v8Version = ''; typescriptVersion = ''; hostname = $hostName; homeDir = $homePath; osName = $osName; osVersion = $osVersion } | ConvertTo-Json -Compress`;
         const fallbackCandidates = sigma.platform.isWindows
-          ? getWindowsPowerShellCandidates(powerShellSystemInfoScript)
+          ? getWindowsPowerShellCandidates(buildPowerShellFindDuplicatesScript(scanOptions.targetPaths, scanOptions.recursive))
           : [];
-        const systemInfoExecution = await sigma.ui.withProgress(
-          {
-            subtitle: t('collectingSystemInfo'),
-            location: 'notification',
-            cancellable: true,
-          },
-          async (progress, cancellationToken) => {
+        const scanExecution = await runQueuedTask(
+          t('scanningForDuplicates'),
+          async (cancellationToken, progress) => {
             progress.report({
-              description: t('preparingRuntime'),
+              description: t('preparingAnalysis'),
               increment: 6,
             });
 
-            try {
-              const denoCommandCandidates = await getDenoCommandCandidates([
-                'run',
-                '--quiet',
-                '--allow-env',
-                '--allow-sys',
-                runtimeInfoScriptPath,
-              ]);
-              const executionResult = await runFirstAvailableCommandWithProgress(
-                [
-                  ...denoCommandCandidates,
-                  ...fallbackCandidates,
-                ],
-                progress,
-                cancellationToken,
-                t,
-              );
-              return executionResult;
-            } catch (error) {
-              if (cancellationToken.isCancellationRequested) {
-                return { cancelled: true };
-              }
-              throw error;
-            }
+            return runCommand(
+              [
+                ...(await getDenoCommandCandidates(getFindDuplicatesDenoArgs(findDuplicatesScriptPath, scanOptions.targetPaths, scanOptions.recursive))),
+                ...fallbackCandidates,
+              ],
+              { progress, cancellationToken, translate: t },
+            );
           },
         );
 
-        if (systemInfoExecution.cancelled) {
-          sigma.ui.showNotification({
-            title: t('systemInfoCancelled'),
-            subtitle: t('stoppedCollecting'),
+        if (!scanExecution || scanExecution.cancelled) {
+          notifications.show({
+            title: t('duplicateScanCancelled'),
             type: 'warning'
           });
           return;
         }
 
-        const { result, commandName } = systemInfoExecution;
+        assertCommandSucceeded(scanExecution);
 
-        if (result.code !== 0) {
-          sigma.ui.showNotification({
-            title: t('systemInfo'),
-            subtitle: result.stderr || `${commandName} failed to get system info`,
-            type: 'error'
-          });
-          return;
-        }
+        const { scannedCount, groups } = parseCommandOutput(scanExecution, parseFindDuplicatesOutput);
+        showDuplicateGroupsModal(scannedCount, groups);
+      } catch (error) {
+        notifications.show({
+          title: t('duplicateScanFailed'),
+          subtitle: getCommandErrorMessage(error),
+          type: 'error'
+        });
+      }
+    }
+  );
 
-        const info = JSON.parse(result.stdout.trim());
-        const runtimeLabel = commandName === 'deno' ? 'Deno' : 'PowerShell';
-        let processDiagnostics = null;
-        let processDiagnosticsErrorMessage = null;
-
-        if (sigma.platform.isWindows) {
-          try {
-            processDiagnostics = await runPowerShellScript(
-              '$topProcesses = Get-Process | Sort-Object CPU -Descending | Select-Object -First 5 ProcessName, Id, CPU; [PSCustomObject]@{ processCount = (Get-Process).Count; topProcesses = $topProcesses } | ConvertTo-Json -Compress',
-              {
-                timeout: 15000,
-                parseOutput: ({ stdout }) => JSON.parse(stdout),
-              },
-            );
-          } catch (error) {
-            processDiagnosticsErrorMessage = getErrorMessage(error) || 'PowerShell process diagnostics are unavailable.';
-          }
-        }
+  sigma.commands.registerCommand(
+    { id: 'search-in-files', title: t('searchInFiles'), description: t('searchInFilesDesc') },
+    async () => {
+      const currentPath = await sigma.context.getCurrentPath();
+      const selectedEntries = await sigma.context.getSelectedEntries();
 
-        const infoContent = [
-          sigma.ui.input({ id: 'runtime', label: t('runtime'), value: runtimeLabel, disabled: true }),
-          sigma.ui.input({ id: 'os', label: t('os'), value: info.os, disabled: true }),
-          sigma.ui.input({ id: 'arch', label: t('arch'), value: info.arch, disabled: true }),
-          sigma.ui.separator(),
-          sigma.ui.input({ id: 'deno', label: 'Deno', value: info.denoVersion ? `v${info.denoVersion}` : t('notAvailable'), disabled: true }),
-          sigma.ui.input({ id: 'v8', label: 'V8', value: info.v8Version ? `v${info.v8Version}` : t('notAvailable'), disabled: true }),
-          sigma.ui.input({ id: 'typescript', label: 'TypeScript', value: info.typescriptVersion ? `v${info.typescriptVersion}` : t('notAvailable'), disabled: true }),
-          sigma.ui.separator(),
-          sigma.ui.input({ id: 'hostname', label: t('hostname'), value: info.hostname, disabled: true }),
-          sigma.ui.input({ id: 'home', label: t('home'), value: info.homeDir, disabled: true }),
-        ];
-
-        if (info.osName) {
-          infoContent.push(sigma.ui.input({ id: 'osName', label: t('osName'), value: info.osName, disabled: true }));
-        }
-        if (info.osVersion) {
-          infoContent.push(sigma.ui.input({ id: 'osVersion', label: t('osVersion'), value: info.osVersion, disabled: true }));
-        }
-        if (sigma.platform.isWindows) {
-          infoContent.push(sigma.ui.separator());
-          infoContent.push(sigma.ui.text(t('powerShellDiagnostics')));
-          if (processDiagnostics) {
-            const topProcesses = Array.isArray(processDiagnostics.topProcesses)
-              ? processDiagnostics.topProcesses
-              : processDiagnostics.topProcesses
-                ? [processDiagnostics.topProcesses]
-                : [];
-            const topProcessesText = topProcesses
-              .map(processItem => `${processItem.ProcessName} (PID ${processItem.Id}) CPU ${Number(processItem.CPU || 0).toFixed(2)}`)
-              .join('\n');
-
-            infoContent.push(
-              sigma.ui.input({
-                id: 'processCount',
-                label: t('runningProcesses'),
-                value: String(processDiagnostics.processCount || 0),
-                disabled: true,
-              })
-            );
-            infoContent.push(
-              sigma.ui.textarea({
-                id: 'topProcesses',
-                label: t('topCpuProcesses'),
-                value: topProcessesText || t('noProcessData'),
-                rows: 8,
-                disabled: true,
-              })
-            );
-          } else {
-            infoContent.push(
-              sigma.ui.text(processDiagnosticsErrorMessage || t('diagnosticsUnavailable'))
-            );
-          }
-        }
+      if (!currentPath && selectedEntries.length === 0) {
+        notifications.show({
+          title: t('searchInFiles'),
+          subtitle: t('nothingToSearch'),
+          type: 'warning'
+        });
+        return;
+      }
+
+      const maxMatches = normalizeSearchMaxMatches(await sigma.settings.get('searchMaxMatches'));
+      showSearchInFilesModal(searchFilesScriptPath, currentPath, selectedEntries, maxMatches);
+    }
+  );
+
+  sigma.commands.registerCommand(
+    { id: 'check-locales', title: t('checkLocales'), description: t('checkLocalesDesc') },
+    async () => {
+      try {
+        const result = await runCommand(
+          await getDenoCommandCandidates(getCheckLocalesDenoArgs(checkLocalesScriptPath, localesPath)),
+          { timeout: 60000 },
+        );
+        showLocaleCheckModal(parseCommandOutput(assertCommandSucceeded(result), parseCheckLocalesOutput));
+      } catch (error) {
+        notifications.show({
+          title: t('localeCheckFailed'),
+          subtitle: getCommandErrorMessage(error),
+          type: 'error'
+        });
+      }
+    }
+  );
+
+  const operationRunners = {
+    'file-analysis': inputs => analyzeFiles(fileAnalysisScriptPath, inputs.filePaths, inputs.algorithmIds),
+    'json-tools': inputs => showJsonToolsModal(jsonToolsScriptPath, inputs),
+    'runtime-diagnostics': () => showRuntimeDiagnostics({ manifestPath, runtimeInfoScriptPath, saveTextFileScriptPath }),
+  };
+
+  sigma.commands.registerCommand(
+    { id: 'operation-history', title: t('operationHistory'), description: t('operationHistoryDesc') },
+    async () => {
+      await showOperationHistoryModal(operationRunners);
+    }
+  );
+
+  sigma.commands.registerCommand(
+    { id: 'show-task-queue', title: t('showTaskQueue'), description: t('showTaskQueueDesc') },
+    async () => {
+      showTaskQueueModal();
+    }
+  );
+
+  sigma.commands.registerCommand(
+    { id: 'notification-history', title: t('notificationHistory'), description: t('notificationHistoryDesc') },
+    async () => {
+      showNotificationHistoryModal();
+    }
+  );
+
+  sigma.commands.registerCommand(
+    { id: 'undo-batch-rename', title: t('undoBatchRename'), description: t('undoBatchRenameDesc') },
+    async () => {
+      if (!lastRenameBatch) {
+        notifications.show({
+          title: t('undoBatchRename'),
+          subtitle: t('nothingToUndo'),
+          type: 'info'
+        });
+        return;
+      }
 
-        sigma.ui.createModal({
-          title: t('systemInfo'),
-          width: 720,
-          content: infoContent,
+      try {
+        const { renamed } = await runBatchRename(
+          batchRenameScriptPath,
+          lastRenameBatch.renamed.map(rename => ({ from: rename.to, to: rename.from })),
+        );
+        lastRenameBatch = null;
+        notifications.show({
+          title: t('batchRenameUndone', { count: renamed.length }),
+          type: 'success'
         });
       } catch (error) {
-        sigma.ui.showNotification({
-          title: t('systemInfo'),
-          subtitle: getErrorMessage(error) || t('failedSystemInfo'),
+        notifications.show({
+          title: t('undoBatchRenameFailed'),
+          subtitle: getCommandErrorMessage(error),
           type: 'error'
         });
       }
@@ -661,10 +2929,38 @@ export async function activate(context) {
   const settings = await sigma.settings.getAll();
   debugLog('[Example] Current settings:', settings);
 
+  await notifications.initialize();
+
+  const readTextFileScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'read-text-file.js');
+  const saveTextFileScriptPath = await sigma.platform.joinPath(context.extensionPath, 'scripts', 'save-text-file.js');
+  // The install folder is replaced on update, so the history lives in the shared extension data folder.
+  const operationHistoryPath = await sigma.platform.joinPath(
+    getExtensionsDirectory(context.extensionPath),
+    EXTENSION_DATA_DIRECTORY_NAME,
+    EXTENSION_ID,
+    OPERATION_HISTORY_FILE_NAME,
+  );
+  operationHistory = createOperationHistoryStore({
+    load: () => readTextFile(readTextFileScriptPath, operationHistoryPath),
+    save: content => writeTextFile(saveTextFileScriptPath, operationHistoryPath, content, { createDirectory: true }),
+    onLoadError: error => console.error('[Example] Could not read the operation history; changes will not be saved this session:', error),
+    onSaveError: error => debugLog('[Example] Could not save the operation history:', error),
+  });
+
   settingsChangeDisposable = sigma.settings.onChange('showNotifications', (newValue, oldValue) => {
     debugLog(`[Example] showNotifications changed from ${oldValue} to ${newValue}`);
   });
 
+  taskQueue.setConcurrency(normalizeTaskConcurrency(settings.taskConcurrency));
+  taskConcurrencyChangeDisposable = sigma.settings.onChange('taskConcurrency', (newValue) => {
+    taskQueue.setConcurrency(normalizeTaskConcurrency(newValue));
+  });
+
+  fileSizeUnits = normalizeFileSizeUnits(settings.fileSizeUnits);
+  fileSizeUnitsChangeDisposable = sigma.settings.onChange('fileSizeUnits', (newValue) => {
+    fileSizeUnits = normalizeFileSizeUnits(newValue);
+  });
+
   await registerContextMenuHandlers(context);
   await registerCommands(context);
 
@@ -672,8 +2968,22 @@ export async function activate(context) {
 }
 
 export async function deactivate() {
+  taskQueue.cancelAll();
+  notifications.dispose();
+  if (taskConcurrencyChangeDisposable) {
+    taskConcurrencyChangeDisposable.dispose();
+    taskConcurrencyChangeDisposable = null;
+  }
   if (settingsChangeDisposable) {
     settingsChangeDisposable.dispose();
     settingsChangeDisposable = null;
   }
+  if (fileSizeUnitsChangeDisposable) {
+    fileSizeUnitsChangeDisposable.dispose();
+    fileSizeUnitsChangeDisposable = null;
+  }
+  if (operationHistory) {
+    await operationHistory.flush();
+    operationHistory = null;
+  }
 }
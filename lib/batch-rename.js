@@ -0,0 +1,196 @@
+// @ts-check
+
+import { formatDenoPermissionPaths } from './shell-runtime.js';
+
+export const RENAME_CASES = Object.freeze(['keep', 'lower', 'upper', 'title']);
+
+export const DEFAULT_RENAME_TEMPLATE = '{name}{ext}';
+
+const WINDOWS_RESERVED_NAME = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+const WINDOWS_INVALID_CHARACTERS = /[<>:"|?*\u0000-\u001f]/;
+
+/**
+ * @typedef {{ path: string, name: string, isDirectory?: boolean }} RenameEntry
+ * @typedef {{
+ *   find: string,
+ *   replace: string,
+ *   useRegex: boolean,
+ *   ignoreCase: boolean,
+ *   caseConversion: string,
+ *   template: string,
+ * }} RenameOptions
+ * @typedef {'rename' | 'unchanged' | 'conflict' | 'invalid'} RenameStatus
+ * @typedef {{ path: string, oldName: string, newName: string, newPath: string, status: RenameStatus }} RenamePlanItem
+ */
+
+/**
+ * Folders and dotfiles such as `.gitignore` have no extension.
+ * @param {string} name
+ * @param {boolean} isDirectory
+ */
+function splitExtension(name, isDirectory) {
+  const extensionIndex = isDirectory ? -1 : name.lastIndexOf('.');
+  return extensionIndex > 0
+    ? { stem: name.slice(0, extensionIndex), extension: name.slice(extensionIndex) }
+    : { stem: name, extension: '' };
+}
+
+/**
+ * @param {string} text
+ * @param {string} caseConversion
+ */
+function convertCase(text, caseConversion) {
+  if (caseConversion === 'lower') return text.toLowerCase();
+  if (caseConversion === 'upper') return text.toUpperCase();
+  if (caseConversion === 'title') {
+    return text.toLowerCase().replace(/(^|[\s_\-.])(\p{L})/gu, (match, separator, letter) => `${separator}${letter.toUpperCase()}`);
+  }
+  return text;
+}
+
+/**
+ * @param {Date} date
+ */
+function formatDateToken(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Expands `{name}`, `{ext}`, `{date}` and `{n}` / `{n:3}` (zero-padded to three digits).
+ * Unknown tokens are left as typed.
+ * @param {string} template
+ * @param {{ stem: string, extension: string, number: number, date: Date }} values
+ */
+export function expandRenameTemplate(template, values) {
+  return template.replace(/\{(name|ext|date|n)(?::(\d+))?\}/g, (token, tokenName, width) => {
+    if (tokenName === 'name') return values.stem;
+    if (tokenName === 'ext') return values.extension;
+    if (tokenName === 'date') return formatDateToken(values.date);
+    return String(values.number).padStart(Number(width) || 0, '0');
+  });
+}
+
+/**
+ * Throws a `SyntaxError` for an invalid regular expression so the caller can show it.
+ * @param {RenameOptions} options
+ * @returns {(name: string) => string}
+ */
+function createFindReplace(options) {
+  if (!options.find) {
+    return name => name;
+  }
+
+  const flags = options.ignoreCase ? 'gi' : 'g';
+  if (options.useRegex) {
+    const pattern = new RegExp(options.find, flags);
+    return name => name.replace(pattern, options.replace);
+  }
+
+  const escapedFind = options.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(escapedFind, flags);
+  return name => name.replace(pattern, () => options.replace);
+}
+
+/**
+ * `/` and NUL are rejected everywhere; Windows additionally rejects its reserved
+ * characters and device names and names ending in a space or dot.
+ * @param {string} name
+ * @param {boolean} isWindows
+ */
+export function isValidFileName(name, isWindows) {
+  if (!name || name === '.' || name === '..' || /[/\u0000]/.test(name)) return false;
+  if (!isWindows) return true;
+  return !name.includes('\\')
+    && !WINDOWS_INVALID_CHARACTERS.test(name)
+    && !WINDOWS_RESERVED_NAME.test(name)
+    && !/[ .]$/.test(name);
+}
+
+/**
+ * @param {string} entryPath
+ * @param {string} newName
+ */
+function replaceFileName(entryPath, newName) {
+  const separatorIndex = Math.max(entryPath.lastIndexOf('/'), entryPath.lastIndexOf('\\'));
+  return `${entryPath.slice(0, separatorIndex + 1)}${newName}`;
+}
+
+/**
+ * Builds the old→new list in selection order. An entry whose new path is also the
+ * new path of another entry, or the path of an entry that keeps its name, is marked
+ * as a conflict. A target that exists on disk but is not selected is only detected
+ * by the rename script.
+ * @param {RenameEntry[]} entries
+ * @param {RenameOptions} options
+ * @param {{ isWindows: boolean, date?: Date }} environment
+ * @returns {RenamePlanItem[]}
+ */
+export function buildRenamePlan(entries, options, environment) {
+  const findReplace = createFindReplace(options);
+  const date = environment.date || new Date();
+  const template = options.template || DEFAULT_RENAME_TEMPLATE;
+  // Windows file systems are case-insensitive, so `a.txt` and `A.txt` collide.
+  const toPathKey = entryPath => (environment.isWindows ? entryPath.toLowerCase() : entryPath);
+
+  const plan = entries.map((entry, entryIndex) => {
+    const replacedName = findReplace(entry.name);
+    const { stem, extension } = splitExtension(replacedName, Boolean(entry.isDirectory));
+    const newName = expandRenameTemplate(template, {
+      stem: convertCase(stem, options.caseConversion),
+      extension,
+      number: entryIndex + 1,
+      date,
+    });
+    /** @type {RenameStatus} */
+    const status = !isValidFileName(newName, environment.isWindows)
+      ? 'invalid'
+      : newName === entry.name ? 'unchanged' : 'rename';
+
+    return { path: entry.path, oldName: entry.name, newName, newPath: replaceFileName(entry.path, newName), status };
+  });
+
+  const targetCounts = new Map();
+  for (const item of plan) {
+    const targetKey = toPathKey(item.status === 'rename' ? item.newPath : item.path);
+    targetCounts.set(targetKey, (targetCounts.get(targetKey) || 0) + 1);
+  }
+
+  for (const item of plan) {
+    if (item.status === 'rename' && targetCounts.get(toPathKey(item.newPath)) > 1) {
+      item.status = 'conflict';
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * @param {RenamePlanItem[]} plan
+ */
+export function summarizeRenamePlan(plan) {
+  return {
+    renameCount: plan.filter(item => item.status === 'rename').length,
+    problemCount: plan.filter(item => item.status === 'conflict' || item.status === 'invalid').length,
+  };
+}
+
+/**
+ * @param {string} scriptPath
+ * @param {string[]} directoryPaths
+ */
+export function getBatchRenameDenoArgs(scriptPath, directoryPaths) {
+  const scope = formatDenoPermissionPaths(directoryPaths);
+  return ['run', '--quiet', `--allow-read=${scope}`, `--allow-write=${scope}`, scriptPath];
+}
+
+/**
+ * @param {string} stdout
+ * @returns {{ renamed: { from: string, to: string }[] }}
+ */
+export function parseBatchRenameOutput(stdout) {
+  const parsedOutput = JSON.parse(stdout);
+  return {
+    renamed: Array.isArray(parsedOutput.renamed) ? parsedOutput.renamed : [],
+  };
+}
@@ -0,0 +1,128 @@
+// @ts-check
+
+import { HASH_ALGORITHMS } from './file-hashing.js';
+import { getParentDirectories } from './path-formats.js';
+import { escapeForPowerShellSingleQuotes, formatDenoPermissionPaths, stripProgressLines } from './shell-runtime.js';
+
+/**
+ * Matches `SHA256SUMS`-style manifests and single-file `*.sha256`-style checksum files.
+ * @param {string} fileName
+ */
+export function isChecksumManifestName(fileName) {
+  return /SUMS$/i.test(fileName) || /\.(md5|sha1|sha256|sha384|sha512)$/i.test(fileName);
+}
+
+/**
+ * @param {string} algorithmId
+ */
+export function getChecksumManifestFileName(algorithmId) {
+  return `${algorithmId.toUpperCase()}SUMS`;
+}
+
+/**
+ * @param {string} scriptPath
+ * @param {string} manifestPath
+ * @param {string} algorithmId
+ * @param {string[]} targetPaths
+ */
+export function getGenerateManifestDenoArgs(scriptPath, manifestPath, algorithmId, targetPaths) {
+  return [
+    'run',
+    '--quiet',
+    '--allow-read',
+    `--allow-write=${manifestPath}`,
+    scriptPath,
+    'generate',
+    `--algorithm=${algorithmId}`,
+    `--output=${manifestPath}`,
+    ...targetPaths,
+  ];
+}
+
+/**
+ * Reads are limited to the manifest's folder, which every entry must stay inside.
+ * @param {string} scriptPath
+ * @param {string} manifestPath
+ */
+export function getVerifyManifestDenoArgs(scriptPath, manifestPath) {
+  return ['run', '--quiet', `--allow-read=${formatDenoPermissionPaths(getParentDirectories([manifestPath]))}`, scriptPath, 'verify', manifestPath];
+}
+
+/**
+ * @param {string} manifestPath
+ * @param {string} algorithmId
+ * @param {string[]} targetPaths
+ */
+export function buildPowerShellGenerateManifestScript(manifestPath, algorithmId, targetPaths) {
+  const hashAlgorithm = HASH_ALGORITHMS.find(algorithm => algorithm.id === algorithmId);
+  const powerShellTargets = targetPaths
+    .map(targetPath => `'${escapeForPowerShellSingleQuotes(targetPath)}'`)
+    .join(', ');
+
+  return `$manifestPath = '${escapeForPowerShellSingleQuotes(manifestPath)}'; $algorithm = '${hashAlgorithm ? hashAlgorithm.powerShellName : 'SHA256'}'; $targetPaths = @(${powerShellTargets}); $basePath = Split-Path -Parent $manifestPath; $files = foreach ($targetPath in $targetPaths) { if (Test-Path -LiteralPath $targetPath -PathType Container) { Get-ChildItem -LiteralPath $targetPath -Recurse -File } else { Get-Item -LiteralPath $targetPath } }; $lines = foreach ($file in ($files | Where-Object { $_.FullName -ne $manifestPath } | Sort-Object FullName)) { $relativePath = $file.FullName.Substring($basePath.Length).TrimStart('\\', '/') -replace '\\\\', '/'; $hash = (Get-FileHash -LiteralPath $file.FullName -Algorithm $algorithm -ErrorAction Stop).Hash.ToLower(); "$hash  $relativePath" }; $lines = @($lines); $content = if ($lines.Count -gt 0) { ($lines -join "\`n") + "\`n" } else { '' }; [IO.File]::WriteAllText($manifestPath, $content); [PSCustomObject]@{ manifestPath = $manifestPath; fileCount = $lines.Count } | ConvertTo-Json -Compress`;
+}
+
+/**
+ * Like `scripts/checksum-manifest.js verify`, except that an entry reached through any
+ * symlink or junction counts as outside the folder, wherever the link points.
+ * @param {string} manifestPath
+ */
+export function buildPowerShellVerifyManifestScript(manifestPath) {
+  return `$manifestPath = '${escapeForPowerShellSingleQuotes(manifestPath)}'; $basePath = Split-Path -Parent $manifestPath; $manifestName = Split-Path -Leaf $manifestPath; $implicitTarget = $manifestName -replace '\\.(md5|sha1|sha256|sha384|sha512)$', ''; $entries = foreach ($line in Get-Content -LiteralPath $manifestPath) { if ($line.Trim() -notmatch '^([0-9a-fA-F]+)(?: [ *](.+))?$') { continue }; $expected = $Matches[1].ToLower(); $relativePath = if ($Matches[2]) { $Matches[2] } elseif ($implicitTarget -ne $manifestName) { $implicitTarget } else { continue }; $entry = [PSCustomObject]@{ path = $relativePath; status = ''; expected = $expected; actual = ''; error = '' }; if ($relativePath -match '^[\\\\/]|:|(^|[\\\\/])\\.\\.([\\\\/]|$)') { $entry.status = 'unsafe'; $entry; continue }; $probePath = $basePath; $throughLink = $false; foreach ($segment in ($relativePath -split '[\\\\/]' | Where-Object { $_ -and $_ -ne '.' })) { $probePath = Join-Path $probePath $segment; $probeItem = Get-Item -LiteralPath $probePath -Force -ErrorAction SilentlyContinue; if ($probeItem -and ($probeItem.Attributes -band [IO.FileAttributes]::ReparsePoint)) { $throughLink = $true; break } }; if ($throughLink) { $entry.status = 'unsafe'; $entry; continue }; $algorithm = switch ($expected.Length) { 32 { 'MD5' } 40 { 'SHA1' } 64 { 'SHA256' } 96 { 'SHA384' } 128 { 'SHA512' } default { $null } }; $targetPath = Join-Path $basePath $relativePath; if (-not $algorithm) { $entry.status = 'mismatch' } elseif (-not (Test-Path -LiteralPath $targetPath)) { $entry.status = 'missing' } elseif (-not (Test-Path -LiteralPath $targetPath -PathType Leaf)) { $entry.status = 'unreadable'; $entry.error = 'Not a file' } else { try { $entry.actual = (Get-FileHash -LiteralPath $targetPath -Algorithm $algorithm -ErrorAction Stop).Hash.ToLower(); $entry.status = if ($entry.actual -eq $expected) { 'ok' } else { 'mismatch' } } catch { $entry.status = 'unreadable'; $entry.error = $_.Exception.Message } }; $entry }; [PSCustomObject]@{ manifestPath = $manifestPath; entries = @($entries) } | ConvertTo-Json -Compress -Depth 4`;
+}
+
+/**
+ * `unsafe` entries point outside the manifest's folder and are not read; `unreadable`
+ * ones, such as folders, carry the reason in `error`.
+ * @typedef {{
+ *   path: string,
+ *   status: 'ok' | 'mismatch' | 'missing' | 'unsafe' | 'unreadable',
+ *   expected: string,
+ *   actual: string,
+ *   error?: string,
+ * }} ManifestEntryResult
+ */
+
+/**
+ * @param {string} stdout
+ * @returns {{ manifestPath: string, fileCount?: number, entries: ManifestEntryResult[] }}
+ */
+export function parseManifestOutput(stdout) {
+  const outputLines = stripProgressLines(stdout).split('\n');
+  const parsedOutput = JSON.parse(outputLines[outputLines.length - 1]);
+  const entries = Array.isArray(parsedOutput.entries)
+    ? parsedOutput.entries
+    : parsedOutput.entries
+      ? [parsedOutput.entries]
+      : [];
+
+  return { ...parsedOutput, entries };
+}
+
+/**
+ * @param {ManifestEntryResult[]} entries
+ */
+export function summarizeManifestVerification(entries) {
+  return {
+    ok: entries.filter(entry => entry.status === 'ok').length,
+    mismatch: entries.filter(entry => entry.status === 'mismatch').length,
+    missing: entries.filter(entry => entry.status === 'missing').length,
+    unsafe: entries.filter(entry => entry.status === 'unsafe').length,
+    unreadable: entries.filter(entry => entry.status === 'unreadable').length,
+  };
+}
+
+/**
+ * Lists problems first so mismatches are visible without scrolling.
+ * @param {ManifestEntryResult[]} entries
+ * @param {Record<ManifestEntryResult['status'], string>} statusLabels
+ */
+export function formatManifestVerificationReport(entries, statusLabels) {
+  const statusOrder = ['unsafe', 'mismatch', 'missing', 'unreadable', 'ok'];
+  const statusColumnWidth = Math.max(...Object.values(statusLabels).map(label => label.length));
+
+  return [...entries]
+    .sort((firstEntry, secondEntry) => statusOrder.indexOf(firstEntry.status) - statusOrder.indexOf(secondEntry.status))
+    .map(entry => `${statusLabels[entry.status].padEnd(statusColumnWidth)}  ${entry.path}${entry.error ? ` (${entry.error})` : ''}`)
+    .join('\n');
+}
@@ -0,0 +1,156 @@
+// @ts-check
+
+import { t } from './translator.js';
+
+/**
+ * Failure categories for shell commands. Fallback and notification logic branch on
+ * these instead of matching OS error text, which is localized and can also appear
+ * in a script's own output.
+ */
+export const COMMAND_ERROR_CODES = Object.freeze({
+  RUNTIME_MISSING: 'RUNTIME_MISSING',
+  PERMISSION_DENIED: 'PERMISSION_DENIED',
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  NON_ZERO_EXIT: 'NON_ZERO_EXIT',
+  OUTPUT_PARSE_FAILED: 'OUTPUT_PARSE_FAILED',
+  INPUT_TOO_LARGE: 'INPUT_TOO_LARGE',
+});
+
+/**
+ * @typedef {keyof typeof COMMAND_ERROR_CODES} CommandErrorCode
+ */
+
+const COMMAND_ERROR_MESSAGE_KEYS = {
+  RUNTIME_MISSING: 'errors.runtimeMissing',
+  PERMISSION_DENIED: 'errors.permissionDenied',
+  TIMEOUT: 'errors.timeout',
+  CANCELLED: 'errors.cancelled',
+  NON_ZERO_EXIT: 'errors.nonZeroExit',
+  OUTPUT_PARSE_FAILED: 'errors.outputParseFailed',
+  INPUT_TOO_LARGE: 'errors.inputTooLarge',
+};
+
+export class CommandError extends Error {
+  /**
+   * @param {CommandErrorCode} code
+   * @param {string} message
+   * @param {{ command?: string, exitCode?: number | null, details?: string, cause?: unknown }} [context]
+   */
+  constructor(code, message, context = {}) {
+    super(message);
+    this.name = 'CommandError';
+    this.code = code;
+    this.command = context.command || '';
+    this.exitCode = context.exitCode ?? null;
+    this.details = context.details || '';
+    this.cause = context.cause;
+  }
+}
+
+/**
+ * @param {unknown} error
+ * @param {CommandErrorCode} [code]
+ * @returns {error is CommandError}
+ */
+export function isCommandError(error, code) {
+  return error instanceof CommandError && (code === undefined || error.code === code);
+}
+
+/**
+ * Node-style `code` properties and Rust `(os error N)` suffixes are stable across OS
+ * languages: 2/3 are "file/path not found" on both POSIX and Windows, 13 is EACCES,
+ * 1 is EPERM and 5 is ERROR_ACCESS_DENIED on Windows.
+ * @param {unknown} error
+ * @returns {CommandErrorCode | null}
+ */
+function getSpawnErrorCode(error) {
+  const errorCode = error && typeof error === 'object' && 'code' in error
+    ? String(/** @type {{ code: unknown }} */ (error).code)
+    : '';
+  if (errorCode === 'ENOENT') return 'RUNTIME_MISSING';
+  if (errorCode === 'EACCES' || errorCode === 'EPERM') return 'PERMISSION_DENIED';
+
+  const errorText = error instanceof Error ? error.message : String(error);
+  const osErrorMatch = errorText.match(/\(os error (\d+)\)/);
+  const osErrorNumber = osErrorMatch ? Number(osErrorMatch[1]) : null;
+  if (osErrorNumber === 2 || osErrorNumber === 3) return 'RUNTIME_MISSING';
+  if (osErrorNumber === 1 || osErrorNumber === 5 || osErrorNumber === 13) return 'PERMISSION_DENIED';
+
+  return null;
+}
+
+/**
+ * Classifies an error thrown while starting a command. Errors that cannot be
+ * classified are returned unchanged.
+ * @param {unknown} error
+ * @param {string} command
+ */
+export function toSpawnError(error, command) {
+  if (error instanceof CommandError) {
+    return error;
+  }
+
+  const code = getSpawnErrorCode(error);
+  if (!code) {
+    return error;
+  }
+
+  const errorText = error instanceof Error ? error.message : String(error);
+  return new CommandError(code, `${command}: ${errorText}`, { command, cause: error });
+}
+
+/**
+ * Turns a cancelled, timed-out or failed {@link import('./shell-runtime.js').CommandResult} into a {@link CommandError}.
+ * @param {import('./shell-runtime.js').CommandResult} result
+ */
+export function assertCommandSucceeded(result) {
+  if (result.cancelled) {
+    throw new CommandError('CANCELLED', `${result.command} was cancelled`, { command: result.command });
+  }
+  if (result.timedOut) {
+    throw new CommandError('TIMEOUT', `${result.command} timed out`, { command: result.command });
+  }
+  if (result.exitCode !== 0) {
+    throw new CommandError('NON_ZERO_EXIT', result.stderr || `${result.command} exited with code ${result.exitCode}`, {
+      command: result.command,
+      exitCode: result.exitCode,
+      details: String(result.stderr || '').trim(),
+    });
+  }
+  return result;
+}
+
+/**
+ * @template T
+ * @param {import('./shell-runtime.js').CommandResult} result
+ * @param {(stdout: string) => T} parse
+ * @returns {T}
+ */
+export function parseCommandOutput(result, parse) {
+  try {
+    return parse(result.stdout);
+  } catch (error) {
+    throw new CommandError('OUTPUT_PARSE_FAILED', `Could not parse output of ${result.command}`, {
+      command: result.command,
+      details: error instanceof Error ? error.message : String(error),
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Localized text for notifications. Script errors (stderr) follow on a second line.
+ * @param {unknown} error
+ */
+export function getCommandErrorMessage(error) {
+  if (!(error instanceof CommandError)) {
+    return error instanceof Error ? error.message : String(error);
+  }
+
+  const message = t(COMMAND_ERROR_MESSAGE_KEYS[error.code], {
+    command: error.command,
+    exitCode: String(error.exitCode ?? ''),
+  });
+  return error.details ? `${message}\n${error.details}` : message;
+}
@@ -0,0 +1,116 @@
+// @ts-check
+
+import { formatDenoPermissionPaths, stripProgressLines } from './shell-runtime.js';
+
+export const DEFAULT_SEARCH_MAX_MATCHES = 500;
+
+/**
+ * @typedef {{
+ *   query: string,
+ *   regex: boolean,
+ *   caseSensitive: boolean,
+ *   include: string[],
+ *   exclude: string[],
+ *   maxMatches: number,
+ * }} SearchOptions
+ *
+ * @typedef {{ path: string, line: number, column: number, text: string }} SearchMatch
+ *
+ * @typedef {{
+ *   filesSearched: number,
+ *   filesMatched: number,
+ *   binarySkipped: number,
+ *   unreadable: number,
+ *   matchCount: number,
+ *   truncated: boolean,
+ * }} SearchSummary
+ */
+
+/**
+ * Splits `*.js, *.ts` or one pattern per line into a list of globs.
+ * @param {unknown} text
+ */
+export function parseGlobList(text) {
+  return String(text || '')
+    .split(/[,\n]/)
+    .map(glob => glob.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @param {unknown} maxMatches
+ */
+export function normalizeSearchMaxMatches(maxMatches) {
+  const value = Math.floor(Number(maxMatches));
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_SEARCH_MAX_MATCHES;
+}
+
+/**
+ * Returns the syntax error of a regex query, so it can be shown before the search starts.
+ * @param {string} query
+ * @param {boolean} caseSensitive
+ * @returns {string | null}
+ */
+export function getSearchQueryError(query, caseSensitive) {
+  try {
+    new RegExp(query, caseSensitive ? '' : 'i');
+    return null;
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error);
+  }
+}
+
+/**
+ * Searching only reads, and only below the searched paths.
+ * @param {string} scriptPath
+ * @param {string[]} targetPaths
+ */
+export function getSearchFilesDenoArgs(scriptPath, targetPaths) {
+  return ['run', '--quiet', `--allow-read=${formatDenoPermissionPaths(targetPaths)}`, scriptPath, ...targetPaths];
+}
+
+/**
+ * @param {string} line
+ * @returns {SearchMatch | null}
+ */
+export function parseSearchMatchLine(line) {
+  const trimmedLine = line.trim();
+  if (!trimmedLine.startsWith('{"match":')) return null;
+
+  try {
+    const { match } = JSON.parse(trimmedLine);
+    return {
+      path: String(match.path),
+      line: Number(match.line) || 0,
+      column: Number(match.column) || 0,
+      text: String(match.text),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} stdout
+ * @returns {SearchSummary}
+ */
+export function parseSearchFilesOutput(stdout) {
+  const outputLines = stripProgressLines(stdout).split('\n');
+  const { summary } = JSON.parse(outputLines[outputLines.length - 1]);
+  return {
+    filesSearched: Number(summary.filesSearched) || 0,
+    filesMatched: Number(summary.filesMatched) || 0,
+    binarySkipped: Number(summary.binarySkipped) || 0,
+    unreadable: Number(summary.unreadable) || 0,
+    matchCount: Number(summary.matchCount) || 0,
+    truncated: Boolean(summary.truncated),
+  };
+}
+
+/**
+ * `path:line:column: text`, the format editors and terminals turn into links.
+ * @param {SearchMatch} match
+ */
+export function formatSearchMatch(match) {
+  return `${match.path}:${match.line}:${match.column}: ${match.text}`;
+}
@@ -0,0 +1,159 @@
+// @ts-check
+
+/**
+ * @typedef {import('./process-diagnostics.js').ProcessDiagnostics} ProcessDiagnostics
+ * @typedef {import('./process-diagnostics.js').ProcessSample} ProcessSample
+ * @typedef {import('./shell-runtime.js').ResolvedRuntime} ResolvedRuntime
+ */
+
+/**
+ * @typedef {{
+ *   generatedAt: string,
+ *   appVersion: string,
+ *   extensionVersion: string,
+ *   os: string,
+ *   arch: string,
+ *   osName: string,
+ *   osVersion: string,
+ *   runtime: string,
+ *   resolvedRuntimes: { runtime: string, command: string | null, version: string | null }[],
+ *   denoVersion: string,
+ *   v8Version: string,
+ *   typescriptVersion: string,
+ *   processDiagnostics: ProcessDiagnostics | null,
+ *   processDiagnosticsError: string | null,
+ * }} DiagnosticsReport
+ */
+
+/**
+ * Hostname and home directory are left out on purpose: the report is meant to be
+ * pasted into public bug reports.
+ * @param {{
+ *   appVersion: string,
+ *   runtime: string,
+ *   info: Record<string, string>,
+ *   resolvedRuntimes: { runtime: string, resolved: ResolvedRuntime | null }[],
+ *   processDiagnostics: ProcessDiagnostics | null,
+ *   processDiagnosticsError: string | null,
+ * }} sources
+ * @returns {DiagnosticsReport}
+ */
+export function buildDiagnosticsReport(sources) {
+  const { info } = sources;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    appVersion: sources.appVersion || '',
+    extensionVersion: info.extensionVersion || '',
+    os: info.os || '',
+    arch: info.arch || '',
+    osName: info.osName || '',
+    osVersion: info.osVersion || '',
+    runtime: sources.runtime,
+    resolvedRuntimes: sources.resolvedRuntimes.map(({ runtime, resolved }) => ({
+      runtime,
+      command: resolved ? resolved.command : null,
+      version: resolved ? resolved.version : null,
+    })),
+    denoVersion: info.denoVersion || '',
+    v8Version: info.v8Version || '',
+    typescriptVersion: info.typescriptVersion || '',
+    processDiagnostics: sources.processDiagnostics,
+    processDiagnosticsError: sources.processDiagnostics ? null : sources.processDiagnosticsError,
+  };
+}
+
+/**
+ * @param {string} text
+ */
+function escapeMarkdownTableCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * @param {string[]} header
+ * @param {string[][]} rows
+ */
+function formatMarkdownTable(header, rows) {
+  return [
+    `| ${header.map(escapeMarkdownTableCell).join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escapeMarkdownTableCell).join(' | ')} |`),
+  ].join('\n');
+}
+
+/**
+ * @param {ProcessSample[]} processSamples
+ * @param {'percent' | 'seconds'} cpuUnit
+ * @param {(sizeBytes: number) => string} formatSize
+ */
+function formatProcessTable(processSamples, cpuUnit, formatSize) {
+  return formatMarkdownTable(
+    ['Name', 'PID', cpuUnit === 'percent' ? 'CPU %' : 'CPU time (s)', 'Memory'],
+    processSamples.map(processSample => [
+      processSample.name,
+      String(processSample.pid),
+      processSample.cpu.toFixed(cpuUnit === 'percent' ? 1 : 2),
+      formatSize(processSample.memoryBytes),
+    ]),
+  );
+}
+
+/**
+ * The Markdown is kept in English because it ends up in bug reports read by maintainers.
+ * @param {DiagnosticsReport} report
+ * @param {(sizeBytes: number) => string} formatSize
+ */
+export function formatDiagnosticsReportMarkdown(report, formatSize) {
+  const versionOrDash = version => (version ? `v${version}` : '-');
+  const sections = [
+    '## Diagnostics',
+    formatMarkdownTable(['Field', 'Value'], [
+      ['Generated', report.generatedAt],
+      ['App version', versionOrDash(report.appVersion)],
+      ['Extension version', versionOrDash(report.extensionVersion)],
+      ['OS', [report.os, report.arch].filter(Boolean).join(' / ')],
+      ...(report.osName ? [['OS name', [report.osName, report.osVersion].filter(Boolean).join(' ')]] : []),
+      ['Runtime used', report.runtime],
+      ['Deno', versionOrDash(report.denoVersion)],
+      ['V8', versionOrDash(report.v8Version)],
+      ['TypeScript', versionOrDash(report.typescriptVersion)],
+    ]),
+    '### Resolved runtimes',
+    report.resolvedRuntimes
+      .map(({ runtime, command, version }) => (command
+        ? `- ${runtime}: \`${command}\` (${versionOrDash(version)})`
+        : `- ${runtime}: not found`))
+      .join('\n'),
+    '### Processes',
+  ];
+
+  const { processDiagnostics } = report;
+  if (!processDiagnostics) {
+    sections.push(`Unavailable: ${report.processDiagnosticsError || 'unknown error'}`);
+    return `${sections.join('\n\n')}\n`;
+  }
+
+  const { memory, loadAverage, uptimeSeconds } = processDiagnostics;
+  sections.push(
+    formatMarkdownTable(['Field', 'Value'], [
+      ['Process count', String(processDiagnostics.processCount)],
+      ['Load average', loadAverage ? loadAverage.map(load => load.toFixed(2)).join(' / ') : '-'],
+      ['Memory', memory ? `${formatSize(memory.totalBytes - memory.availableBytes)} used of ${formatSize(memory.totalBytes)}` : '-'],
+      ['Uptime', uptimeSeconds == null ? '-' : `${uptimeSeconds} s`],
+    ]),
+    '#### Top CPU',
+    formatProcessTable(processDiagnostics.topCpuProcesses, processDiagnostics.cpuUnit, formatSize),
+    '#### Top memory',
+    formatProcessTable(processDiagnostics.topMemoryProcesses, processDiagnostics.cpuUnit, formatSize),
+  );
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+/**
+ * @param {DiagnosticsReport} report
+ */
+export function formatDiagnosticsReportJson(report) {
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
@@ -0,0 +1,70 @@
+// @ts-check
+
+import { escapeForPowerShellSingleQuotes, stripProgressLines } from './shell-runtime.js';
+
+/**
+ * @param {string} scriptPath
+ * @param {string[]} targetPaths
+ * @param {boolean} recursive
+ */
+export function getFindDuplicatesDenoArgs(scriptPath, targetPaths, recursive) {
+  return ['run', '--quiet', '--allow-read', scriptPath, `--recursive=${recursive}`, ...targetPaths];
+}
+
+/**
+ * Builds a PowerShell script that prints the same JSON shape as `scripts/find-duplicates.js`.
+ * @param {string[]} targetPaths
+ * @param {boolean} recursive
+ */
+export function buildPowerShellFindDuplicatesScript(targetPaths, recursive) {
+  const powerShellTargets = targetPaths
+    .map(targetPath => `'${escapeForPowerShellSingleQuotes(targetPath)}'`)
+    .join(', ');
+
+  return `$targetPaths = @(${powerShellTargets}); $recursive = $${recursive}; $files = @(foreach ($targetPath in $targetPaths) { if (Test-Path -LiteralPath $targetPath -PathType Container) { Get-ChildItem -LiteralPath $targetPath -File -Recurse:$recursive -ErrorAction SilentlyContinue } else { Get-Item -LiteralPath $targetPath } }) | Sort-Object FullName -Unique; $groups = foreach ($sizeGroup in ($files | Where-Object { $_.Length -gt 0 } | Group-Object Length | Where-Object { $_.Count -gt 1 })) { $hashGroups = $sizeGroup.Group | ForEach-Object { Get-FileHash -LiteralPath $_.FullName -Algorithm SHA256 -ErrorAction SilentlyContinue } | Group-Object Hash | Where-Object { $_.Count -gt 1 }; foreach ($hashGroup in $hashGroups) { [PSCustomObject]@{ size = [long]$sizeGroup.Name; hash = $hashGroup.Name.ToLower(); paths = @($hashGroup.Group | ForEach-Object { $_.Path } | Sort-Object) } } }; $groups = @($groups | Sort-Object { $_.size * ($_.paths.Count - 1) } -Descending); [PSCustomObject]@{ scannedCount = @($files).Count; groups = $groups } | ConvertTo-Json -Compress -Depth 4`;
+}
+
+/**
+ * @typedef {{ size: number, hash: string, paths: string[] }} DuplicateGroup
+ */
+
+/**
+ * @param {string} stdout
+ * @returns {{ scannedCount: number, groups: DuplicateGroup[] }}
+ */
+export function parseFindDuplicatesOutput(stdout) {
+  const outputLines = stripProgressLines(stdout).split('\n');
+  const parsedOutput = JSON.parse(outputLines[outputLines.length - 1]);
+  const groups = Array.isArray(parsedOutput.groups)
+    ? parsedOutput.groups
+    : parsedOutput.groups
+      ? [parsedOutput.groups]
+      : [];
+
+  return {
+    scannedCount: Number(parsedOutput.scannedCount) || 0,
+    groups: groups.map(group => ({
+      ...group,
+      paths: Array.isArray(group.paths) ? group.paths : [group.paths],
+    })),
+  };
+}
+
+/**
+ * Every copy beyond the first in a group is wasted space.
+ * @param {DuplicateGroup} group
+ */
+export function getDuplicateGroupWastedBytes(group) {
+  return group.size * (group.paths.length - 1);
+}
+
+/**
+ * @param {DuplicateGroup[]} groups
+ */
+export function summarizeDuplicateGroups(groups) {
+  return {
+    groupCount: groups.length,
+    fileCount: groups.reduce((total, group) => total + group.paths.length, 0),
+    wastedBytes: groups.reduce((total, group) => total + getDuplicateGroupWastedBytes(group), 0),
+  };
+}
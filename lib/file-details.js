@@ -0,0 +1,60 @@
+// @ts-check
+
+import { escapeForPowerShellSingleQuotes, stripProgressLines } from './shell-runtime.js';
+
+/**
+ * @typedef {{
+ *   path: string,
+ *   size: number,
+ *   created: string | null,
+ *   modified: string | null,
+ *   accessed: string | null,
+ *   mode: number | null,
+ *   uid: number | null,
+ *   gid: number | null,
+ *   symlinkTarget: string | null,
+ *   mimeType: string | null,
+ *   text: { encoding: string, lineEnding: 'lf' | 'crlf' | 'cr' | 'mixed' | 'none', lineCount: number, wordCount: number } | null,
+ * }} FileDetails
+ */
+
+/**
+ * Read access is not scoped to the file so symlink targets can be inspected too.
+ * @param {string} scriptPath
+ * @param {string} filePath
+ */
+export function getFileDetailsDenoArgs(scriptPath, filePath) {
+  return ['run', '--quiet', '--allow-read', scriptPath, filePath];
+}
+
+/**
+ * Windows fallback without Deno: times, size and link target in the same shape as
+ * `scripts/file-details.js`. POSIX mode, owner, MIME type and text statistics are null.
+ * @param {string} filePath
+ */
+export function buildPowerShellFileDetailsScript(filePath) {
+  return `$item = Get-Item -LiteralPath '${escapeForPowerShellSingleQuotes(filePath)}' -Force -ErrorAction Stop; $linkTarget = @($item.Target) | Select-Object -First 1; [PSCustomObject]@{ path = $item.FullName; size = [long]$item.Length; created = $item.CreationTimeUtc.ToString('o'); modified = $item.LastWriteTimeUtc.ToString('o'); accessed = $item.LastAccessTimeUtc.ToString('o'); mode = $null; uid = $null; gid = $null; symlinkTarget = $(if ($linkTarget) { [string]$linkTarget } else { $null }); mimeType = $null; text = $null } | ConvertTo-Json -Compress`;
+}
+
+/**
+ * @param {string} stdout
+ * @returns {FileDetails}
+ */
+export function parseFileDetailsOutput(stdout) {
+  const outputLines = stripProgressLines(stdout).split('\n');
+  return JSON.parse(outputLines[outputLines.length - 1]);
+}
+
+/**
+ * Formats permission bits like `ls -l` does, e.g. `0755 (rwxr-xr-x)`.
+ * @param {number} mode
+ */
+export function formatPosixMode(mode) {
+  const symbolicMode = [6, 3, 0]
+    .map((shift) => {
+      const bits = (mode >> shift) & 0o7;
+      return `${bits & 0o4 ? 'r' : '-'}${bits & 0o2 ? 'w' : '-'}${bits & 0o1 ? 'x' : '-'}`;
+    })
+    .join('');
+  return `${(mode & 0o7777).toString(8).padStart(4, '0')} (${symbolicMode})`;
+}
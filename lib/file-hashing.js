@@ -0,0 +1,104 @@
+// @ts-check
+
+import { escapeForPowerShellSingleQuotes, stripProgressLines } from './shell-runtime.js';
+
+/**
+ * Algorithms supported by both `scripts/file-analysis.js` and `Get-FileHash`.
+ * `id` is the key used in script output, `powerShellName` the `-Algorithm` value.
+ */
+export const HASH_ALGORITHMS = [
+  { id: 'md5', label: 'MD5', powerShellName: 'MD5' },
+  { id: 'sha1', label: 'SHA-1', powerShellName: 'SHA1' },
+  { id: 'sha256', label: 'SHA-256', powerShellName: 'SHA256' },
+  { id: 'sha384', label: 'SHA-384', powerShellName: 'SHA384' },
+  { id: 'sha512', label: 'SHA-512', powerShellName: 'SHA512' },
+];
+
+export const DEFAULT_HASH_ALGORITHM_IDS = ['sha256'];
+
+/**
+ * @param {string} algorithmId
+ */
+export function getHashAlgorithmLabel(algorithmId) {
+  const algorithm = HASH_ALGORITHMS.find(hashAlgorithm => hashAlgorithm.id === algorithmId);
+  return algorithm ? algorithm.label : algorithmId.toUpperCase();
+}
+
+/**
+ * @param {string} scriptPath
+ * @param {string[]} filePaths
+ * @param {string[]} algorithmIds
+ */
+export function getFileHashDenoArgs(scriptPath, filePaths, algorithmIds) {
+  return ['run', '--quiet', '--allow-read', scriptPath, `--algorithms=${algorithmIds.join(',')}`, ...filePaths];
+}
+
+/**
+ * Builds a PowerShell script that prints the same JSON shape as `scripts/file-analysis.js`.
+ * @param {string[]} filePaths
+ * @param {string[]} algorithmIds
+ */
+export function buildPowerShellFileHashScript(filePaths, algorithmIds) {
+  const powerShellPaths = filePaths
+    .map(filePath => `'${escapeForPowerShellSingleQuotes(filePath)}'`)
+    .join(', ');
+  const powerShellAlgorithms = algorithmIds
+    .map(algorithmId => HASH_ALGORITHMS.find(hashAlgorithm => hashAlgorithm.id === algorithmId))
+    .filter(Boolean)
+    .map(hashAlgorithm => `'${hashAlgorithm.powerShellName}'`)
+    .join(', ');
+
+  return `$targetPaths = @(${powerShellPaths}); $algorithms = @(${powerShellAlgorithms}); $results = foreach ($targetPath in $targetPaths) { try { $hashes = [ordered]@{}; foreach ($algorithm in $algorithms) { $hashes[$algorithm.ToLower()] = (Get-FileHash -LiteralPath $targetPath -Algorithm $algorithm -ErrorAction Stop).Hash.ToLower() }; [PSCustomObject]@{ path = $targetPath; hashes = [PSCustomObject]$hashes } } catch { [PSCustomObject]@{ path = $targetPath; error = $_.Exception.Message } } }; [PSCustomObject]@{ results = @($results) } | ConvertTo-Json -Compress -Depth 5`;
+}
+
+/**
+ * @typedef {{ path: string, hashes?: Record<string, string>, error?: string }} FileHashResult
+ */
+
+/**
+ * @param {string} stdout
+ * @returns {FileHashResult[]}
+ */
+export function parseFileHashOutput(stdout) {
+  const outputLines = stripProgressLines(stdout).split('\n');
+  const parsedOutput = JSON.parse(outputLines[outputLines.length - 1]);
+  const results = Array.isArray(parsedOutput.results)
+    ? parsedOutput.results
+    : parsedOutput.results
+      ? [parsedOutput.results]
+      : [];
+
+  return results;
+}
+
+/**
+ * Renders hash results as aligned rows of file, algorithm and digest.
+ * @param {FileHashResult[]} results
+ * @param {string[]} algorithmIds
+ * @param {{ file: string, algorithm: string, digest: string, formatError: (message: string) => string }} labels
+ * @param {(result: FileHashResult) => string} [getFileLabel]
+ */
+export function formatFileHashTable(results, algorithmIds, labels, getFileLabel = result => result.path) {
+  const rows = [];
+
+  for (const result of results) {
+    const fileLabel = getFileLabel(result);
+
+    if (result.error || !result.hashes) {
+      rows.push([fileLabel, '', labels.formatError(result.error || '')]);
+      continue;
+    }
+
+    for (const algorithmId of algorithmIds) {
+      rows.push([fileLabel, getHashAlgorithmLabel(algorithmId), result.hashes[algorithmId] || '']);
+    }
+  }
+
+  const header = [labels.file, labels.algorithm, labels.digest];
+  const fileColumnWidth = Math.max(header[0].length, ...rows.map(row => row[0].length));
+  const algorithmColumnWidth = Math.max(header[1].length, ...rows.map(row => row[1].length));
+
+  return [header, ...rows]
+    .map(row => `${row[0].padEnd(fileColumnWidth)}  ${row[1].padEnd(algorithmColumnWidth)}  ${row[2]}`.trimEnd())
+    .join('\n');
+}
@@ -0,0 +1,98 @@
+// @ts-check
+
+import { getSupportedLocale } from './i18n.js';
+
+/**
+ * Binary units step by 1024 and use IEC symbols (KiB), decimal units step by 1000
+ * and use SI symbols (kB).
+ */
+export const FILE_SIZE_UNIT_SYSTEMS = {
+  binary: { base: 1024, units: ['B', 'KiB', 'MiB', 'GiB', 'TiB'] },
+  decimal: { base: 1000, units: ['B', 'kB', 'MB', 'GB', 'TB'] },
+};
+
+export const DEFAULT_FILE_SIZE_UNITS = 'binary';
+
+/** @type {Map<string, Intl.NumberFormat>} */
+const numberFormatCache = new Map();
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const dateTimeFormatCache = new Map();
+
+/**
+ * @param {unknown} units
+ * @returns {keyof typeof FILE_SIZE_UNIT_SYSTEMS}
+ */
+export function normalizeFileSizeUnits(units) {
+  return units === 'decimal' ? 'decimal' : DEFAULT_FILE_SIZE_UNITS;
+}
+
+/**
+ * @param {string} locale
+ * @param {number} fractionDigits
+ */
+function getNumberFormat(locale, fractionDigits) {
+  const cacheKey = `${locale}:${fractionDigits}`;
+  let numberFormat = numberFormatCache.get(cacheKey);
+  if (!numberFormat) {
+    numberFormat = new Intl.NumberFormat(getSupportedLocale(locale), {
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits,
+    });
+    numberFormatCache.set(cacheKey, numberFormat);
+  }
+  return numberFormat;
+}
+
+/**
+ * @param {number} value
+ * @param {string} locale
+ * @param {number} [fractionDigits]
+ */
+export function formatNumber(value, locale, fractionDigits = 0) {
+  return getNumberFormat(locale, fractionDigits).format(value);
+}
+
+/**
+ * `512 B`, `1.50 KiB`, `40 GiB` rather than `40960.00 MB`; sizes past the last unit stay in TB/TiB.
+ * @param {number | null | undefined} sizeBytes
+ * @param {{ locale: string, units?: string, unknownLabel: string }} options
+ */
+export function formatFileSize(sizeBytes, { locale, units, unknownLabel }) {
+  if (sizeBytes == null || !Number.isFinite(sizeBytes) || sizeBytes < 0) {
+    return unknownLabel;
+  }
+
+  const unitSystem = FILE_SIZE_UNIT_SYSTEMS[normalizeFileSizeUnits(units)];
+  let unitIndex = 0;
+  let value = sizeBytes;
+  while (value >= unitSystem.base && unitIndex < unitSystem.units.length - 1) {
+    value /= unitSystem.base;
+    unitIndex++;
+  }
+
+  // No-break space so the unit never wraps onto its own line
+  return `${formatNumber(value, locale, unitIndex === 0 ? 0 : 2)}\u00a0${unitSystem.units[unitIndex]}`;
+}
+
+/**
+ * @param {string} locale
+ */
+function getDateTimeFormat(locale) {
+  let dateTimeFormat = dateTimeFormatCache.get(locale);
+  if (!dateTimeFormat) {
+    dateTimeFormat = new Intl.DateTimeFormat(getSupportedLocale(locale), { dateStyle: 'medium', timeStyle: 'medium' });
+    dateTimeFormatCache.set(locale, dateTimeFormat);
+  }
+  return dateTimeFormat;
+}
+
+/**
+ * @param {string | number | Date | null | undefined} timestamp ISO string, epoch milliseconds or Date
+ * @param {{ locale: string, unknownLabel: string }} options
+ */
+export function formatDateTime(timestamp, { locale, unknownLabel }) {
+  if (timestamp == null || timestamp === '') return unknownLabel;
+
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? unknownLabel : getDateTimeFormat(locale).format(date);
+}
@@ -1,32 +1,243 @@
 // @ts-check
 
 /**
+ * Messages use a subset of ICU MessageFormat:
+ * - `{name}` inserts a parameter; numbers are formatted for the locale (`1,234`, `1 234`, `۱٬۲۳۴`)
+ * - `{count, plural, one {# file} other {# files}}` picks a branch with `Intl.PluralRules`;
+ *   `=0 {...}` matches an exact value and `#` is the formatted number
+ * - `{count, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}` does the same for ordinals
+ * - `{kind, select, file {...} folder {...} other {...}}` picks a branch by string value
+ * Identifiers such as PIDs should be passed as strings so they are not grouped like amounts.
+ */
+
+/** `name`, `name, type` or `name, type, style` between an argument's braces. */
+const ARGUMENT_PATTERN = /^\s*(\w+)\s*(?:,\s*(\w+)\s*(?:,([\s\S]*))?)?$/;
+
+/** @type {Map<string, Intl.PluralRules>} */
+const pluralRulesCache = new Map();
+/** @type {Map<string, Intl.NumberFormat>} */
+const numberFormatCache = new Map();
+
+/**
+ * Unknown or invalid locale codes fall back to English rather than throwing.
+ * @param {string} locale
+ */
+export function getSupportedLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale])[0] || 'en';
+  } catch {
+    return 'en';
+  }
+}
+
+/**
+ * @param {string} locale
+ * @param {Intl.PluralRuleType} type
+ */
+function getPluralRules(locale, type) {
+  const cacheKey = `${locale}:${type}`;
+  let pluralRules = pluralRulesCache.get(cacheKey);
+  if (!pluralRules) {
+    pluralRules = new Intl.PluralRules(getSupportedLocale(locale), { type });
+    pluralRulesCache.set(cacheKey, pluralRules);
+  }
+  return pluralRules;
+}
+
+/**
+ * @param {string} locale
+ */
+function getNumberFormat(locale) {
+  let numberFormat = numberFormatCache.get(locale);
+  if (!numberFormat) {
+    numberFormat = new Intl.NumberFormat(getSupportedLocale(locale), { maximumFractionDigits: 2 });
+    numberFormatCache.set(locale, numberFormat);
+  }
+  return numberFormat;
+}
+
+/**
+ * @param {string | number} value
+ * @param {string} locale
+ */
+function formatValue(value, locale) {
+  return typeof value === 'number' && Number.isFinite(value)
+    ? getNumberFormat(locale).format(value)
+    : String(value);
+}
+
+/**
+ * Index of the `}` closing the `{` at `openIndex`, skipping nested pairs; -1 when unbalanced.
+ * @param {string} template
+ * @param {number} openIndex
+ */
+function findClosingBrace(template, openIndex) {
+  let depth = 0;
+  for (let index = openIndex; index < template.length; index++) {
+    if (template[index] === '{') depth++;
+    if (template[index] === '}' && --depth === 0) return index;
+  }
+  return -1;
+}
+
+/**
+ * Parses `one {# file} other {# files}` into a map from selector to sub-message.
+ * @param {string} optionsText
+ * @returns {Map<string, string> | null}
+ */
+function parseBranches(optionsText) {
+  /** @type {Map<string, string>} */
+  const branches = new Map();
+  let index = 0;
+
+  while (index < optionsText.length) {
+    const selectorMatch = /^\s*([^\s{}]+)\s*\{/.exec(optionsText.slice(index));
+    if (!selectorMatch) {
+      return optionsText.slice(index).trim() ? null : branches;
+    }
+
+    const openIndex = index + selectorMatch[0].length - 1;
+    const closeIndex = findClosingBrace(optionsText, openIndex);
+    if (closeIndex < 0) return null;
+
+    branches.set(selectorMatch[1], optionsText.slice(openIndex + 1, closeIndex));
+    index = closeIndex + 1;
+  }
+
+  return branches;
+}
+
+/**
+ * Formats the text between an argument's braces, or returns null to keep it as written.
+ * @param {string} argumentText
+ * @param {Record<string, string | number>} params
+ * @param {string} locale
+ * @param {number | undefined} pluralValue
+ */
+function formatArgument(argumentText, params, locale, pluralValue) {
+  const argumentMatch = ARGUMENT_PATTERN.exec(argumentText);
+  if (!argumentMatch || !Object.prototype.hasOwnProperty.call(params, argumentMatch[1])) {
+    return null;
+  }
+
+  const [, paramKey, argumentType, argumentStyle] = argumentMatch;
+  const value = params[paramKey];
+
+  if (!argumentType) return formatValue(value, locale);
+  if (argumentType === 'number') return formatValue(Number(value), locale);
+
+  const branches = parseBranches(argumentStyle || '');
+  if (!branches) return null;
+
+  if (argumentType === 'plural' || argumentType === 'selectordinal') {
+    const numberValue = Number(value);
+    const pluralCategory = getPluralRules(locale, argumentType === 'plural' ? 'cardinal' : 'ordinal').select(numberValue);
+    const branch = branches.get(`=${numberValue}`) ?? branches.get(pluralCategory) ?? branches.get('other');
+    return branch === undefined ? null : formatTemplate(branch, params, locale, numberValue);
+  }
+
+  if (argumentType === 'select') {
+    const branch = branches.get(String(value)) ?? branches.get('other');
+    return branch === undefined ? null : formatTemplate(branch, params, locale, pluralValue);
+  }
+
+  return null;
+}
+
+/**
+ * @param {string} template
+ * @param {Record<string, string | number>} params
+ * @param {string} locale
+ * @param {number} [pluralValue] value that `#` stands for inside a plural branch
+ */
+function formatTemplate(template, params, locale, pluralValue) {
+  let output = '';
+  let index = 0;
+
+  while (index < template.length) {
+    const character = template[index];
+    if (character === '#' && pluralValue !== undefined) {
+      output += formatValue(pluralValue, locale);
+      index++;
+    } else if (character === '{') {
+      const closeIndex = findClosingBrace(template, index);
+      if (closeIndex < 0) {
+        output += template.slice(index);
+        break;
+      }
+      output += formatArgument(template.slice(index + 1, closeIndex), params, locale, pluralValue)
+        ?? template.slice(index, closeIndex + 1);
+      index = closeIndex + 1;
+    } else {
+      output += character;
+      index++;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Names of the parameters a message uses, including those inside plural and select
+ * branches, e.g. `['count', 'size']`. Branch text such as `{# files}` is not a parameter.
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function getMessageArgumentNames(template) {
+  /** @type {Set<string>} */
+  const argumentNames = new Set();
+
+  const collect = (text) => {
+    let index = text.indexOf('{');
+    while (index >= 0) {
+      const closeIndex = findClosingBrace(text, index);
+      if (closeIndex < 0) return;
+
+      const argumentMatch = ARGUMENT_PATTERN.exec(text.slice(index + 1, closeIndex));
+      if (argumentMatch) {
+        argumentNames.add(argumentMatch[1]);
+        if (argumentMatch[2] && argumentMatch[2] !== 'number') {
+          parseBranches(argumentMatch[3] || '')?.forEach(collect);
+        }
+      }
+      index = text.indexOf('{', closeIndex + 1);
+    }
+  };
+
+  collect(String(template));
+  return [...argumentNames].sort();
+}
+
+/**
+ * Arguments whose parameter is missing are left as written.
  * @param {string} template
  * @param {Record<string, string | number> | undefined} params
+ * @param {string} [locale] BCP 47 tag used for plural rules and number formatting
  */
-export function formatMessage(template, params) {
+export function formatMessage(template, params, locale = 'en') {
   if (!params) {
     return template;
   }
 
-  return String(template).replace(/\{(\w+)\}/g, (fullMatch, paramKey) => {
-    return Object.prototype.hasOwnProperty.call(params, paramKey)
-      ? String(params[paramKey])
-      : fullMatch;
-  });
+  return formatTemplate(String(template), params, locale);
 }
 
 /**
+ * The host only looks messages up; parameters, plurals and selects are resolved by
+ * {@link formatMessage}. Each locale file names its BCP 47 tag under the `locale` key,
+ * which is how the active language is known.
  * @param {string} extensionId Manifest `id` (e.g. sigma.hello-world)
  * @param {Record<string, string>} messages English fallbacks keyed like locale JSON
  * @returns {(key: string, params?: Record<string, string | number>) => string}
  */
 export function createExtensionTranslator(extensionId, messages) {
   const fallbackPrefix = `extensions.${extensionId}.`;
+  const lookUp = (key) => {
+    const translated = sigma.i18n.extensionT(key);
+    return translated === `${fallbackPrefix}${key}` ? messages[key] ?? key : translated;
+  };
+
   return function translate(key, params) {
-    const translated = sigma.i18n.extensionT(key, params);
-    return translated === `${fallbackPrefix}${key}`
-      ? formatMessage(messages[key] ?? key, params)
-      : translated;
+    return formatMessage(lookUp(key), params, lookUp('locale'));
   };
 }
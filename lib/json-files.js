@@ -0,0 +1,65 @@
+// @ts-check
+
+import { formatDenoPermissionPaths } from './shell-runtime.js';
+
+export const JSON_FILE_FORMATS = ['pretty', 'minify', 'sort-keys'];
+
+/**
+ * @param {{ name: string, isDirectory?: boolean }} entry
+ */
+export function isJsonFileEntry(entry) {
+  return !entry.isDirectory && /\.json$/i.test(entry.name);
+}
+
+/**
+ * Write permission is scoped to the selected files and their `.bak` siblings.
+ * @param {string} scriptPath
+ * @param {string[]} filePaths
+ * @param {string} format
+ * @param {{ write: boolean, backup: boolean }} options
+ */
+export function getFormatJsonFilesDenoArgs(scriptPath, filePaths, format, options) {
+  const permissionArgs = [`--allow-read=${formatDenoPermissionPaths(filePaths)}`];
+
+  if (options.write) {
+    const writablePaths = options.backup
+      ? filePaths.flatMap(filePath => [filePath, `${filePath}.bak`])
+      : filePaths;
+    permissionArgs.push(`--allow-write=${formatDenoPermissionPaths(writablePaths)}`);
+  }
+
+  return [
+    'run',
+    '--quiet',
+    ...permissionArgs,
+    scriptPath,
+    'format-files',
+    `--format=${format}`,
+    ...(options.write ? ['--write'] : []),
+    ...(options.write && options.backup ? ['--backup'] : []),
+    ...filePaths,
+  ];
+}
+
+/**
+ * @typedef {{ path: string, status: 'changed' | 'unchanged' | 'written' | 'error', diff?: string, error?: string }} JsonFileResult
+ */
+
+/**
+ * @param {string} stdout
+ * @returns {JsonFileResult[]}
+ */
+export function parseFormatJsonFilesOutput(stdout) {
+  const parsedOutput = JSON.parse(stdout.trim());
+  return Array.isArray(parsedOutput.results) ? parsedOutput.results : [];
+}
+
+/**
+ * @param {JsonFileResult[]} results
+ */
+export function summarizeJsonFileResults(results) {
+  return {
+    succeeded: results.filter(result => result.status !== 'error').length,
+    failed: results.filter(result => result.status === 'error').length,
+  };
+}
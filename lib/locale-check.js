@@ -0,0 +1,73 @@
+// @ts-check
+
+import { formatDenoPermissionPaths, stripProgressLines } from './shell-runtime.js';
+
+/**
+ * @typedef {{ key: string, expected: string[], actual: string[] }} PlaceholderMismatch
+ * @typedef {{
+ *   locale: string,
+ *   error?: string,
+ *   missing: string[],
+ *   extra: string[],
+ *   placeholderMismatches: PlaceholderMismatch[],
+ *   coverage: number,
+ * }} LocaleCheckResult
+ * @typedef {{ sourceKeyCount: number, locales: LocaleCheckResult[] }} LocaleCheckReport
+ */
+
+/**
+ * `messages.js` and `lib/i18n.js` are static imports of the script, so only the locale folder needs read access.
+ * @param {string} scriptPath
+ * @param {string} localesPath
+ */
+export function getCheckLocalesDenoArgs(scriptPath, localesPath) {
+  return ['run', '--quiet', `--allow-read=${formatDenoPermissionPaths([localesPath])}`, scriptPath, `--locales=${localesPath}`];
+}
+
+/**
+ * @param {string} stdout
+ * @returns {LocaleCheckReport}
+ */
+export function parseCheckLocalesOutput(stdout) {
+  const outputLines = stripProgressLines(stdout).split('\n');
+  const parsedOutput = JSON.parse(outputLines[outputLines.length - 1]);
+  return {
+    sourceKeyCount: Number(parsedOutput.sourceKeyCount) || 0,
+    locales: Array.isArray(parsedOutput.locales) ? parsedOutput.locales : [],
+  };
+}
+
+/**
+ * @param {LocaleCheckResult} result
+ */
+export function countLocaleProblems(result) {
+  return (result.error ? 1 : 0) + result.missing.length + result.extra.length + result.placeholderMismatches.length;
+}
+
+/**
+ * @param {string[]} names
+ */
+function formatPlaceholderNames(names) {
+  return names.length > 0 ? names.map(name => `{${name}}`).join(', ') : '-';
+}
+
+/**
+ * One block per locale that has problems, e.g. `missing  searchInFiles`.
+ * @param {LocaleCheckResult[]} results
+ * @param {{ missing: string, stale: string, placeholders: string }} labels
+ */
+export function formatLocaleCheckReport(results, labels) {
+  const labelWidth = Math.max(...Object.values(labels).map(label => label.length));
+
+  return results
+    .filter(result => countLocaleProblems(result) > 0)
+    .map(result => [
+      `${result.locale} (${result.coverage}%)${result.error ? `: ${result.error}` : ''}`,
+      ...result.missing.map(key => `  ${labels.missing.padEnd(labelWidth)}  ${key}`),
+      ...result.extra.map(key => `  ${labels.stale.padEnd(labelWidth)}  ${key}`),
+      ...result.placeholderMismatches.map(mismatch => (
+        `  ${labels.placeholders.padEnd(labelWidth)}  ${mismatch.key}: ${formatPlaceholderNames(mismatch.expected)} → ${formatPlaceholderNames(mismatch.actual)}`
+      )),
+    ].join('\n'))
+    .join('\n\n');
+}
@@ -0,0 +1,138 @@
+// @ts-check
+
+export const DEFAULT_NOTIFICATION_DURATION = 4000;
+export const NOTIFICATION_HISTORY_LIMIT = 200;
+
+const MIN_NOTIFICATION_DURATION = 1000;
+const MAX_NOTIFICATION_DURATION = 10000;
+
+/**
+ * @typedef {'info' | 'success' | 'warning' | 'error'} NotificationType
+ *
+ * @typedef {{
+ *   title: string,
+ *   subtitle?: string,
+ *   description?: string,
+ *   type?: NotificationType,
+ * }} NotificationOptions
+ *
+ * @typedef {{
+ *   timestamp: string,
+ *   title: string,
+ *   subtitle: string,
+ *   description: string,
+ *   type: NotificationType,
+ *   shown: boolean,
+ * }} NotificationRecord
+ */
+
+/**
+ * Same bounds as the `notificationDuration` setting in `package.json`.
+ * @param {unknown} duration
+ */
+export function normalizeNotificationDuration(duration) {
+  const value = Number(duration);
+  if (!Number.isFinite(value) || value <= 0) return DEFAULT_NOTIFICATION_DURATION;
+  return Math.min(MAX_NOTIFICATION_DURATION, Math.max(MIN_NOTIFICATION_DURATION, Math.round(value)));
+}
+
+/**
+ * Every notification of the extension goes through here. `showNotifications: false`
+ * mutes everything except errors, every notification lasts `notificationDuration`,
+ * and both follow setting changes without a reload. Muted notifications still go
+ * into the session history.
+ */
+export function createNotificationService() {
+  let enabled = true;
+  let duration = DEFAULT_NOTIFICATION_DURATION;
+  /** @type {NotificationRecord[]} */
+  let history = [];
+  /** @type {{ dispose: () => void }[]} */
+  let disposables = [];
+
+  return {
+    async initialize() {
+      const settings = await sigma.settings.getAll();
+      enabled = settings.showNotifications !== false;
+      duration = normalizeNotificationDuration(settings.notificationDuration);
+
+      disposables = [
+        sigma.settings.onChange('showNotifications', (newValue) => {
+          enabled = newValue !== false;
+        }),
+        sigma.settings.onChange('notificationDuration', (newValue) => {
+          duration = normalizeNotificationDuration(newValue);
+        }),
+      ];
+    },
+
+    /**
+     * @param {NotificationOptions} options
+     * @returns {boolean} whether the notification was shown
+     */
+    show(options) {
+      const type = options.type || 'info';
+      const shown = enabled || type === 'error';
+
+      history.push({
+        timestamp: new Date().toISOString(),
+        title: options.title,
+        subtitle: options.subtitle || '',
+        description: options.description || '',
+        type,
+        shown,
+      });
+      if (history.length > NOTIFICATION_HISTORY_LIMIT) {
+        history = history.slice(-NOTIFICATION_HISTORY_LIMIT);
+      }
+
+      if (shown) {
+        sigma.ui.showNotification({ ...options, type, duration });
+      }
+      return shown;
+    },
+
+    /** Oldest first. */
+    getHistory() {
+      return [...history];
+    },
+
+    clearHistory() {
+      history = [];
+    },
+
+    dispose() {
+      disposables.forEach(disposable => disposable.dispose());
+      disposables = [];
+    },
+  };
+}
+
+/**
+ * One block per notification, newest first:
+ * `12:04:31  Warning  Title — subtitle (muted)` followed by the indented description.
+ * @param {NotificationRecord[]} records
+ * @param {{
+ *   formatTime: (timestamp: string) => string,
+ *   typeLabels: Record<NotificationType, string>,
+ *   mutedLabel: string,
+ * }} labels
+ */
+export function formatNotificationHistory(records, labels) {
+  const typeWidth = Math.max(...Object.values(labels.typeLabels).map(label => label.length));
+
+  return [...records]
+    .reverse()
+    .map((record) => {
+      const heading = [
+        labels.formatTime(record.timestamp),
+        labels.typeLabels[record.type].padEnd(typeWidth),
+        [record.title, record.subtitle].filter(Boolean).join(' — '),
+      ].join('  ');
+      const descriptionLines = record.description
+        ? record.description.split('\n').map(line => `    ${line}`)
+        : [];
+      return [record.shown ? heading : `${heading} (${labels.mutedLabel})`, ...descriptionLines].join('\n');
+    })
+    .join('\n');
+}
@@ -0,0 +1,246 @@
+// @ts-check
+
+import { isCommandError } from './command-error.js';
+
+export const OPERATION_HISTORY_LIMIT = 50;
+export const OPERATION_HISTORY_FILE_NAME = 'operation-history.json';
+
+/** Longer outputs are cut so the history file stays small. */
+const MAX_RECORDED_OUTPUT_LENGTH = 4000;
+/** Inputs above this size (a pasted JSON document, a long file list) are shortened and cannot be re-run. */
+const MAX_RECORDED_INPUT_LENGTH = 8000;
+/** Shortened inputs keep this many characters of each string and items of each list. */
+const SHORTENED_STRING_LENGTH = 200;
+const SHORTENED_LIST_LENGTH = 10;
+/** Changes within this window are written to disk together. */
+export const OPERATION_HISTORY_SAVE_DELAY = 2000;
+
+/**
+ * @typedef {'file-analysis' | 'json-tools' | 'runtime-diagnostics'} OperationKind
+ * @typedef {'success' | 'failed' | 'cancelled'} OperationOutcome
+ *
+ * @typedef {{
+ *   id: string,
+ *   operation: OperationKind,
+ *   timestamp: string,
+ *   inputs: Record<string, unknown>,
+ *   rerunnable: boolean,
+ *   runtime: string,
+ *   command: string,
+ *   duration: number,
+ *   outcome: OperationOutcome,
+ *   error: string,
+ *   output: string,
+ * }} OperationRecord
+ */
+
+let recordCounter = 0;
+
+/**
+ * @param {string} text
+ * @param {number} maxLength
+ */
+function truncateText(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+function shortenInputValue(value) {
+  if (typeof value === 'string') return truncateText(value, SHORTENED_STRING_LENGTH);
+  if (Array.isArray(value)) {
+    const shortenedItems = value.slice(0, SHORTENED_LIST_LENGTH).map(shortenInputValue);
+    return value.length > SHORTENED_LIST_LENGTH ? [...shortenedItems, `… (${value.length - SHORTENED_LIST_LENGTH} more)`] : shortenedItems;
+  }
+  return value;
+}
+
+/**
+ * Builds the history entry for a finished run. The outcome comes from the error
+ * (a `CANCELLED` command error counts as cancelled) or from a cancelled result.
+ * @param {{
+ *   operation: OperationKind,
+ *   inputs: Record<string, unknown>,
+ *   startedAt: number,
+ *   result?: import('./shell-runtime.js').CommandResult | null,
+ *   error?: unknown,
+ *   errorMessage?: string,
+ *   output?: string,
+ * }} options
+ * @returns {OperationRecord}
+ */
+export function createOperationRecord({ operation, inputs, startedAt, result = null, error = null, errorMessage = '', output = '' }) {
+  /** @type {OperationOutcome} */
+  let outcome = 'success';
+  if (result?.cancelled || isCommandError(error, 'CANCELLED')) {
+    outcome = 'cancelled';
+  } else if (error) {
+    outcome = 'failed';
+  }
+
+  const rerunnable = JSON.stringify(inputs).length <= MAX_RECORDED_INPUT_LENGTH;
+  const recordedInputs = rerunnable
+    ? inputs
+    : Object.fromEntries(Object.entries(inputs).map(([name, value]) => [name, shortenInputValue(value)]));
+
+  return {
+    id: `${Date.now().toString(36)}-${(recordCounter++).toString(36)}`,
+    operation,
+    timestamp: new Date(startedAt).toISOString(),
+    inputs: recordedInputs,
+    rerunnable,
+    runtime: result?.runtime || '',
+    command: result?.command || (isCommandError(error) ? error.command : ''),
+    duration: Math.max(0, Date.now() - startedAt),
+    outcome,
+    error: outcome === 'failed' ? errorMessage || (error instanceof Error ? error.message : String(error)) : '',
+    output: truncateText(output, MAX_RECORDED_OUTPUT_LENGTH),
+  };
+}
+
+/**
+ * A missing file gives an empty history. Throws when the content is not a history file,
+ * so that a damaged or foreign file is not overwritten.
+ * @param {string | null | undefined} content
+ * @returns {OperationRecord[]}
+ */
+export function parseOperationHistory(content) {
+  if (content === null || content === undefined) return [];
+
+  const parsedContent = JSON.parse(content);
+  if (!Array.isArray(parsedContent?.records)) {
+    throw new Error('The file has no operation history records');
+  }
+  return parsedContent.records.filter(record => record && typeof record.id === 'string' && typeof record.operation === 'string');
+}
+
+/**
+ * @param {OperationRecord[]} records
+ */
+export function serializeOperationHistory(records) {
+  return `${JSON.stringify({ version: 1, records }, null, 2)}\n`;
+}
+
+/**
+ * Keeps the newest `limit` records in memory. Changes are written `saveDelay` ms after
+ * the first unsaved one, so a burst of operations costs one write; `flush` writes
+ * pending changes at once. Writes run one after another so a slow save cannot
+ * overwrite a newer one. When `load` fails or finds something other than a history, the
+ * records are kept in memory only for the session and the file is left untouched.
+ * @param {{
+ *   load: () => Promise<string | null>,
+ *   save: (content: string) => Promise<void>,
+ *   onLoadError?: (error: unknown) => void,
+ *   onSaveError?: (error: unknown) => void,
+ *   limit?: number,
+ *   saveDelay?: number,
+ * }} options
+ */
+export function createOperationHistoryStore({
+  load,
+  save,
+  onLoadError = () => {},
+  onSaveError = () => {},
+  limit = OPERATION_HISTORY_LIMIT,
+  saveDelay = OPERATION_HISTORY_SAVE_DELAY,
+}) {
+  /** @type {OperationRecord[] | null} */
+  let records = null;
+  /** @type {Promise<OperationRecord[]> | null} */
+  let loading = null;
+  let saveDisabled = false;
+  let saving = Promise.resolve();
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let saveTimer = null;
+
+  const ensureLoaded = async () => {
+    if (!records) {
+      loading ??= load().then(content => parseOperationHistory(content)).catch((error) => {
+        saveDisabled = true;
+        onLoadError(error);
+        return [];
+      });
+      records = await loading;
+    }
+    return records;
+  };
+
+  const persist = () => {
+    saving = saving.then(() => save(serializeOperationHistory(records || []))).catch(onSaveError);
+    return saving;
+  };
+
+  const scheduleSave = () => {
+    if (saveDisabled) return;
+    saveTimer ??= setTimeout(() => {
+      saveTimer = null;
+      persist();
+    }, saveDelay);
+  };
+
+  return {
+    /** Oldest first. */
+    async getRecords() {
+      return [...await ensureLoaded()];
+    },
+
+    /**
+     * @param {OperationRecord} record
+     */
+    async add(record) {
+      records = [...await ensureLoaded(), record].slice(-limit);
+      scheduleSave();
+    },
+
+    async clear() {
+      await ensureLoaded();
+      records = [];
+      scheduleSave();
+    },
+
+    /** Writes pending changes now, e.g. on deactivation. */
+    flush() {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        persist();
+      }
+      return saving;
+    },
+  };
+}
+
+/**
+ * Plain-text view of one record for the history modal.
+ * @param {OperationRecord} record
+ * @param {{
+ *   operations: Record<OperationKind, string>,
+ *   outcomes: Record<OperationOutcome, string>,
+ *   fields: { started: string, outcome: string, duration: string, runtime: string, inputs: string, error: string, output: string },
+ *   formatTime: (timestamp: string) => string,
+ *   formatDuration: (milliseconds: number) => string,
+ * }} labels
+ */
+export function formatOperationRecordDetails(record, labels) {
+  const { fields } = labels;
+  const lines = [
+    labels.operations[record.operation] || record.operation,
+    `${fields.started}: ${labels.formatTime(record.timestamp)}`,
+    `${fields.outcome}: ${labels.outcomes[record.outcome] || record.outcome}`,
+    `${fields.duration}: ${labels.formatDuration(record.duration)}`,
+    `${fields.runtime}: ${[record.runtime, record.command && `(${record.command})`].filter(Boolean).join(' ') || '-'}`,
+  ];
+
+  if (Object.keys(record.inputs || {}).length > 0) {
+    lines.push('', `${fields.inputs}:`, JSON.stringify(record.inputs, null, 2));
+  }
+  if (record.error) {
+    lines.push('', `${fields.error}:`, record.error);
+  }
+  if (record.output) {
+    lines.push('', `${fields.output}:`, record.output);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,177 @@
+// @ts-check
+
+/**
+ * Formats offered by Copy Path. `absolute` is the path exactly as the navigator reports it.
+ */
+export const PATH_FORMATS = Object.freeze([
+  'absolute',
+  'relative',
+  'forward-slash',
+  'backslash',
+  'file-uri',
+  'bash',
+  'powershell',
+  'name-without-extension',
+]);
+
+export const DEFAULT_PATH_FORMAT = 'absolute';
+
+export const PATH_SEPARATORS = Object.freeze({
+  newline: '\n',
+  space: ' ',
+});
+
+export const DEFAULT_PATH_SEPARATOR = 'newline';
+
+/**
+ * @typedef {'absolute' | 'relative' | 'forward-slash' | 'backslash' | 'file-uri' | 'bash' | 'powershell' | 'name-without-extension'} PathFormat
+ * @typedef {{ basePath?: string, isDirectory?: boolean }} PathFormatOptions
+ */
+
+/**
+ * @param {unknown} format
+ * @returns {PathFormat}
+ */
+export function normalizePathFormat(format) {
+  return PATH_FORMATS.includes(String(format)) ? /** @type {PathFormat} */ (format) : DEFAULT_PATH_FORMAT;
+}
+
+/**
+ * @param {unknown} separator
+ * @returns {keyof typeof PATH_SEPARATORS}
+ */
+export function normalizePathSeparator(separator) {
+  return separator === 'space' ? 'space' : DEFAULT_PATH_SEPARATOR;
+}
+
+/**
+ * Drive letters and UNC prefixes mark a Windows path even when it uses forward slashes.
+ * @param {string} entryPath
+ */
+function isWindowsPath(entryPath) {
+  return /^[A-Za-z]:/.test(entryPath) || entryPath.startsWith('\\\\') || entryPath.includes('\\');
+}
+
+/**
+ * @param {string} entryPath
+ */
+function splitPathSegments(entryPath) {
+  return entryPath.split(/[\\/]+/).filter(Boolean);
+}
+
+/**
+ * Falls back to the absolute path when both paths do not share a root
+ * (different drives, or a POSIX path against a Windows base).
+ * @param {string} entryPath
+ * @param {string} basePath
+ */
+function getRelativePath(entryPath, basePath) {
+  const windowsPath = isWindowsPath(entryPath);
+  if (!basePath || windowsPath !== isWindowsPath(basePath)) return entryPath;
+
+  const entrySegments = splitPathSegments(entryPath);
+  const baseSegments = splitPathSegments(basePath);
+  // Windows paths are case-insensitive, so `C:\Users` and `c:\users` share a root.
+  const isSameSegment = (first, second) => (windowsPath ? first.toLowerCase() === second.toLowerCase() : first === second);
+  if (windowsPath && (!entrySegments.length || !baseSegments.length || !isSameSegment(entrySegments[0], baseSegments[0]))) {
+    return entryPath;
+  }
+
+  let commonLength = 0;
+  while (
+    commonLength < entrySegments.length
+    && commonLength < baseSegments.length
+    && isSameSegment(entrySegments[commonLength], baseSegments[commonLength])
+  ) {
+    commonLength++;
+  }
+
+  const relativeSegments = [
+    ...baseSegments.slice(commonLength).map(() => '..'),
+    ...entrySegments.slice(commonLength),
+  ];
+  return relativeSegments.length ? relativeSegments.join(windowsPath ? '\\' : '/') : '.';
+}
+
+/**
+ * `C:\My Files\a#1.txt` becomes `file:///C:/My%20Files/a%231.txt`; UNC paths keep their server as the host.
+ * @param {string} entryPath
+ */
+function getFileUri(entryPath) {
+  const encodeSegments = segments => segments.map(segment => encodeURIComponent(segment)).join('/');
+
+  if (/^[\\/]{2}[^\\/]/.test(entryPath)) {
+    const [host, ...segments] = splitPathSegments(entryPath);
+    return `file://${host}/${encodeSegments(segments)}`;
+  }
+
+  const segments = splitPathSegments(entryPath);
+  if (segments.length && /^[A-Za-z]:$/.test(segments[0])) {
+    return `file:///${segments[0]}/${encodeSegments(segments.slice(1))}`;
+  }
+
+  return `file:///${encodeSegments(segments)}`;
+}
+
+/**
+ * Dotfiles such as `.gitignore` and folder names are returned unchanged.
+ * @param {string} entryPath
+ * @param {boolean} isDirectory
+ */
+function getNameWithoutExtension(entryPath, isDirectory) {
+  const name = splitPathSegments(entryPath).pop() || entryPath;
+  if (isDirectory) return name;
+
+  const extensionIndex = name.lastIndexOf('.');
+  return extensionIndex > 0 ? name.slice(0, extensionIndex) : name;
+}
+
+/**
+ * @param {string} entryPath
+ * @param {PathFormat} format
+ * @param {PathFormatOptions} [options]
+ */
+export function formatPath(entryPath, format, options = {}) {
+  switch (format) {
+    case 'relative':
+      return getRelativePath(entryPath, options.basePath || '');
+    case 'forward-slash':
+      return entryPath.replace(/\\/g, '/');
+    case 'backslash':
+      return entryPath.replace(/\//g, '\\');
+    case 'file-uri':
+      return getFileUri(entryPath);
+    case 'bash':
+      return `'${entryPath.replace(/'/g, `'\\''`)}'`;
+    case 'powershell':
+      return `'${entryPath.replace(/'/g, "''")}'`;
+    case 'name-without-extension':
+      return getNameWithoutExtension(entryPath, Boolean(options.isDirectory));
+    default:
+      return entryPath;
+  }
+}
+
+/**
+ * @param {{ path: string, isDirectory?: boolean }[]} entries
+ * @param {PathFormat} format
+ * @param {{ basePath?: string, separator?: keyof typeof PATH_SEPARATORS }} [options]
+ */
+export function formatPaths(entries, format, options = {}) {
+  return entries
+    .map(entry => formatPath(entry.path, format, { basePath: options.basePath, isDirectory: entry.isDirectory }))
+    .join(PATH_SEPARATORS[options.separator || DEFAULT_PATH_SEPARATOR]);
+}
+
+/**
+ * Unique parent folders of the given paths, e.g. for scoping Deno permissions.
+ * @param {string[]} entryPaths
+ */
+export function getParentDirectories(entryPaths) {
+  return [...new Set(entryPaths.map((entryPath) => {
+    const separatorIndex = Math.max(entryPath.lastIndexOf('/'), entryPath.lastIndexOf('\\'));
+    const parentPath = entryPath.slice(0, separatorIndex + 1);
+    // Roots such as `/` and `C:\` keep their trailing separator.
+    return parentPath.length > 1 && !/^[A-Za-z]:[\\/]$/.test(parentPath) ? parentPath.slice(0, -1) : parentPath;
+  }))];
+}
@@ -0,0 +1,178 @@
+// @ts-check
+
+import { getWindowsPowerShellCandidates } from './shell-runtime.js';
+
+const TOP_PROCESS_COUNT = 5;
+
+/**
+ * @typedef {{ name: string, pid: number, cpu: number, memoryBytes: number }} ProcessSample
+ * @typedef {{
+ *   processCount: number,
+ *   cpuUnit: 'percent' | 'seconds',
+ *   topCpuProcesses: ProcessSample[],
+ *   topMemoryProcesses: ProcessSample[],
+ *   loadAverage: number[] | null,
+ *   memory: { totalBytes: number, availableBytes: number } | null,
+ *   uptimeSeconds: number | null,
+ * }} ProcessDiagnostics
+ */
+
+const POWERSHELL_PROCESS_DIAGNOSTICS_SCRIPT = `$processes = @(Get-Process); $os = Get-CimInstance Win32_OperatingSystem; $toSample = { process { [PSCustomObject]@{ name = $_.ProcessName; pid = $_.Id; cpu = [double]$_.CPU; memoryBytes = [long]$_.WorkingSet64 } } }; [PSCustomObject]@{ processCount = $processes.Count; cpuUnit = 'seconds'; topCpuProcesses = @($processes | Sort-Object CPU -Descending | Select-Object -First ${TOP_PROCESS_COUNT} | & $toSample); topMemoryProcesses = @($processes | Sort-Object WorkingSet64 -Descending | Select-Object -First ${TOP_PROCESS_COUNT} | & $toSample); loadAverage = $null; memory = [PSCustomObject]@{ totalBytes = [long]$os.TotalVisibleMemorySize * 1024; availableBytes = [long]$os.FreePhysicalMemory * 1024 }; uptimeSeconds = [long]((Get-Date) - $os.LastBootUpTime).TotalSeconds } | ConvertTo-Json -Compress -Depth 4`;
+
+/**
+ * `ps -o` columns are the same on Linux and macOS. `/proc` is read where it exists
+ * and `sysctl` / `vm_stat` cover macOS. Each section is prefixed with a `##` marker.
+ */
+const POSIX_PROCESS_DIAGNOSTICS_SCRIPT = [
+  'echo "##ps"; ps -A -o pid= -o pcpu= -o rss= -o comm=',
+  'echo "##loadavg"; cat /proc/loadavg 2>/dev/null || sysctl -n vm.loadavg',
+  'echo "##memory"; cat /proc/meminfo 2>/dev/null || { sysctl -n hw.memsize; vm_stat; }',
+  'echo "##uptime"; cat /proc/uptime 2>/dev/null || sysctl -n kern.boottime',
+  'echo "##now"; date +%s',
+].join('; ');
+
+export function getProcessDiagnosticsCandidates() {
+  return sigma.platform.isWindows
+    ? getWindowsPowerShellCandidates(POWERSHELL_PROCESS_DIAGNOSTICS_SCRIPT)
+    : [{ command: 'sh', args: ['-c', POSIX_PROCESS_DIAGNOSTICS_SCRIPT] }];
+}
+
+/**
+ * @param {string} stdout
+ * @returns {Record<string, string[]>}
+ */
+function splitSections(stdout) {
+  /** @type {Record<string, string[]>} */
+  const sections = {};
+  let currentSection = '';
+
+  for (const line of String(stdout).split(/\r?\n/)) {
+    if (line.startsWith('##')) {
+      currentSection = line.slice(2).trim();
+      sections[currentSection] = [];
+    } else if (currentSection && line.trim()) {
+      sections[currentSection].push(line.trim());
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * @param {string[]} lines
+ * @returns {ProcessSample[]}
+ */
+function parsePsLines(lines) {
+  return lines.flatMap((line) => {
+    const columns = line.match(/^(\d+)\s+([\d.,]+)\s+(\d+)\s+(.+)$/);
+    if (!columns) return [];
+    return [{
+      pid: Number(columns[1]),
+      cpu: Number(columns[2].replace(',', '.')) || 0,
+      memoryBytes: Number(columns[3]) * 1024,
+      name: columns[4].split('/').pop() || columns[4],
+    }];
+  });
+}
+
+/**
+ * `/proc/meminfo` on Linux; `hw.memsize` followed by `vm_stat` on macOS.
+ * @param {string[]} lines
+ */
+function parseMemoryLines(lines) {
+  const text = lines.join('\n');
+  const memTotal = text.match(/^MemTotal:\s+(\d+)/m);
+  if (memTotal) {
+    const memAvailable = text.match(/^MemAvailable:\s+(\d+)/m) || text.match(/^MemFree:\s+(\d+)/m);
+    return {
+      totalBytes: Number(memTotal[1]) * 1024,
+      availableBytes: memAvailable ? Number(memAvailable[1]) * 1024 : 0,
+    };
+  }
+
+  const totalBytes = Number(lines[0]);
+  if (!Number.isFinite(totalBytes) || totalBytes <= 0) return null;
+
+  const pageSize = Number((text.match(/page size of (\d+) bytes/) || [])[1]) || 4096;
+  const getPages = label => Number((text.match(new RegExp(`^${label}:\\s+(\\d+)`, 'm')) || [])[1]) || 0;
+  return {
+    totalBytes,
+    availableBytes: (getPages('Pages free') + getPages('Pages inactive') + getPages('Pages speculative')) * pageSize,
+  };
+}
+
+/**
+ * `/proc/uptime` holds seconds since boot; macOS `kern.boottime` holds the boot timestamp.
+ * @param {string[]} lines
+ * @param {number} now
+ */
+function parseUptimeLines(lines, now) {
+  const uptimeLine = lines[0] || '';
+  const bootTime = uptimeLine.match(/sec = (\d+)/);
+  if (bootTime) return now - Number(bootTime[1]);
+
+  const uptimeSeconds = Number(uptimeLine.split(/\s+/)[0]);
+  return Number.isFinite(uptimeSeconds) ? Math.floor(uptimeSeconds) : null;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {ProcessSample[]}
+ */
+function toProcessSamples(value) {
+  const samples = Array.isArray(value) ? value : value ? [value] : [];
+  return samples.map(sample => ({
+    name: String(sample.name || ''),
+    pid: Number(sample.pid) || 0,
+    cpu: Number(sample.cpu) || 0,
+    memoryBytes: Number(sample.memoryBytes) || 0,
+  }));
+}
+
+/**
+ * Normalizes PowerShell JSON or the POSIX section output into one shape.
+ * @param {string} stdout
+ * @returns {ProcessDiagnostics}
+ */
+export function parseProcessDiagnosticsOutput(stdout) {
+  const trimmedOutput = String(stdout).trim();
+
+  if (trimmedOutput.startsWith('{')) {
+    const parsedOutput = JSON.parse(trimmedOutput);
+    return {
+      processCount: Number(parsedOutput.processCount) || 0,
+      cpuUnit: parsedOutput.cpuUnit === 'percent' ? 'percent' : 'seconds',
+      topCpuProcesses: toProcessSamples(parsedOutput.topCpuProcesses),
+      topMemoryProcesses: toProcessSamples(parsedOutput.topMemoryProcesses),
+      loadAverage: Array.isArray(parsedOutput.loadAverage) ? parsedOutput.loadAverage.map(Number) : null,
+      memory: parsedOutput.memory
+        ? { totalBytes: Number(parsedOutput.memory.totalBytes) || 0, availableBytes: Number(parsedOutput.memory.availableBytes) || 0 }
+        : null,
+      uptimeSeconds: typeof parsedOutput.uptimeSeconds === 'number' ? parsedOutput.uptimeSeconds : null,
+    };
+  }
+
+  const sections = splitSections(trimmedOutput);
+  if (!sections.ps) {
+    throw new Error('Process list is missing from the diagnostics output');
+  }
+
+  const processes = parsePsLines(sections.ps);
+  const loadAverage = (sections.loadavg?.[0] || '')
+    .replace(/[{}]/g, '')
+    .trim()
+    .split(/\s+/)
+    .slice(0, 3)
+    .map(Number);
+  const now = Number(sections.now?.[0]) || Math.floor(Date.now() / 1000);
+
+  return {
+    processCount: processes.length,
+    cpuUnit: 'percent',
+    topCpuProcesses: [...processes].sort((first, second) => second.cpu - first.cpu).slice(0, TOP_PROCESS_COUNT),
+    topMemoryProcesses: [...processes].sort((first, second) => second.memoryBytes - first.memoryBytes).slice(0, TOP_PROCESS_COUNT),
+    loadAverage: loadAverage.length === 3 && loadAverage.every(Number.isFinite) ? loadAverage : null,
+    memory: parseMemoryLines(sections.memory || []),
+    uptimeSeconds: parseUptimeLines(sections.uptime || [], now),
+  };
+}
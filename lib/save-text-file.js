@@ -0,0 +1,43 @@
+// @ts-check
+
+import { getParentDirectories } from './path-formats.js';
+import { escapeForPowerShellSingleQuotes, formatDenoPermissionPaths, POWERSHELL_READ_STDIN_PAYLOAD } from './shell-runtime.js';
+
+/**
+ * With `createDirectory` the script may write anywhere in the target's folder so it
+ * can create that folder first.
+ * @param {string} scriptPath
+ * @param {string} targetPath
+ * @param {{ createDirectory?: boolean }} [options]
+ */
+export function getSaveTextFileDenoArgs(scriptPath, targetPath, { createDirectory = false } = {}) {
+  return createDirectory
+    ? ['run', '--quiet', `--allow-write=${formatDenoPermissionPaths(getParentDirectories([targetPath]))}`, scriptPath, targetPath, '--create-directory']
+    : ['run', '--quiet', `--allow-write=${formatDenoPermissionPaths([targetPath])}`, scriptPath, targetPath];
+}
+
+/**
+ * Reads the `{ content }` payload from stdin, like `scripts/save-text-file.js`, and writes it as UTF-8 without a BOM.
+ * @param {string} targetPath
+ * @param {{ createDirectory?: boolean }} [options]
+ */
+export function buildPowerShellSaveTextFileScript(targetPath, { createDirectory = false } = {}) {
+  const createDirectoryScript = createDirectory ? ' [void][IO.Directory]::CreateDirectory([IO.Path]::GetDirectoryName($targetPath));' : '';
+  return `${POWERSHELL_READ_STDIN_PAYLOAD} $targetPath = '${escapeForPowerShellSingleQuotes(targetPath)}';${createDirectoryScript} [IO.File]::WriteAllText($targetPath, [string]$payload.content, (New-Object System.Text.UTF8Encoding $false)); [PSCustomObject]@{ path = $targetPath } | ConvertTo-Json -Compress`;
+}
+
+/**
+ * @param {string} scriptPath
+ * @param {string} targetPath
+ */
+export function getReadTextFileDenoArgs(scriptPath, targetPath) {
+  return ['run', '--quiet', `--allow-read=${formatDenoPermissionPaths([targetPath])}`, scriptPath, targetPath];
+}
+
+/**
+ * Prints `{ path, content }` like `scripts/read-text-file.js`, with `content` null when the file does not exist.
+ * @param {string} targetPath
+ */
+export function buildPowerShellReadTextFileScript(targetPath) {
+  return `$targetPath = '${escapeForPowerShellSingleQuotes(targetPath)}'; $content = if (Test-Path -LiteralPath $targetPath -PathType Leaf) { [IO.File]::ReadAllText($targetPath, [System.Text.Encoding]::UTF8) } else { $null }; [PSCustomObject]@{ path = $targetPath; content = $content } | ConvertTo-Json -Compress`;
+}
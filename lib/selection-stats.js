@@ -0,0 +1,88 @@
+// @ts-check
+
+import { escapeForPowerShellSingleQuotes, stripProgressLines } from './shell-runtime.js';
+
+export const LARGEST_FILE_COUNT = 10;
+
+/**
+ * @typedef {{ extension: string, count: number, bytes: number }} ExtensionStats
+ * @typedef {{ path: string, modified: string }} DatedFile
+ * @typedef {{
+ *   fileCount: number,
+ *   folderCount: number,
+ *   unreadableCount: number,
+ *   totalBytes: number,
+ *   extensions: ExtensionStats[],
+ *   largestFiles: { path: string, size: number }[],
+ *   newest: DatedFile | null,
+ *   oldest: DatedFile | null,
+ * }} SelectionStats
+ */
+
+/**
+ * @param {string} scriptPath
+ * @param {string[]} targetPaths
+ */
+export function getSelectionStatsDenoArgs(scriptPath, targetPaths) {
+  return ['run', '--quiet', '--allow-read', scriptPath, `--top=${LARGEST_FILE_COUNT}`, ...targetPaths];
+}
+
+/**
+ * Builds a PowerShell script that prints the same JSON shape as `scripts/selection-stats.js`.
+ * @param {string[]} targetPaths
+ */
+export function buildPowerShellSelectionStatsScript(targetPaths) {
+  const powerShellTargets = targetPaths
+    .map(targetPath => `'${escapeForPowerShellSingleQuotes(targetPath)}'`)
+    .join(', ');
+
+  return `$targetPaths = @(${powerShellTargets}); $folderCount = 0; $unreadableCount = 0; $files = [System.Collections.Generic.List[object]]::new(); foreach ($targetPath in $targetPaths) { $item = Get-Item -LiteralPath $targetPath -Force -ErrorAction SilentlyContinue; if (-not $item) { $unreadableCount++ } elseif ($item.PSIsContainer) { $folderCount++; foreach ($child in Get-ChildItem -LiteralPath $targetPath -Recurse -Force -ErrorAction SilentlyContinue -ErrorVariable walkErrors) { if ($child.PSIsContainer) { $folderCount++ } else { $files.Add($child) } }; $unreadableCount += $walkErrors.Count } else { $files.Add($item) } }; $byDate = @($files | Sort-Object LastWriteTimeUtc); $toDatedFile = { param($file) if ($file) { [PSCustomObject]@{ path = $file.FullName; modified = $file.LastWriteTimeUtc.ToString('o') } } }; [PSCustomObject]@{ fileCount = $files.Count; folderCount = $folderCount; unreadableCount = $unreadableCount; totalBytes = [long]($files | Measure-Object Length -Sum).Sum; extensions = @($files | Group-Object { $_.Extension.TrimStart('.').ToLower() } | ForEach-Object { [PSCustomObject]@{ extension = $_.Name; count = $_.Count; bytes = [long]($_.Group | Measure-Object Length -Sum).Sum } } | Sort-Object bytes, count -Descending); largestFiles = @($files | Sort-Object Length -Descending | Select-Object -First ${LARGEST_FILE_COUNT} | ForEach-Object { [PSCustomObject]@{ path = $_.FullName; size = $_.Length } }); newest = & $toDatedFile ($byDate | Select-Object -Last 1); oldest = & $toDatedFile ($byDate | Select-Object -First 1) } | ConvertTo-Json -Compress -Depth 4`;
+}
+
+/**
+ * PowerShell serializes one-element arrays as a bare object.
+ * @param {unknown} value
+ * @returns {any[]}
+ */
+function toArray(value) {
+  return Array.isArray(value) ? value : value ? [value] : [];
+}
+
+/**
+ * @param {unknown} value
+ * @returns {DatedFile | null}
+ */
+function toDatedFile(value) {
+  if (!value || typeof value !== 'object') return null;
+  const datedFile = /** @type {{ path?: unknown, modified?: unknown }} */ (value);
+  return typeof datedFile.path === 'string' && typeof datedFile.modified === 'string'
+    ? { path: datedFile.path, modified: datedFile.modified }
+    : null;
+}
+
+/**
+ * @param {string} stdout
+ * @returns {SelectionStats}
+ */
+export function parseSelectionStatsOutput(stdout) {
+  const outputLines = stripProgressLines(stdout).split('\n');
+  const parsedOutput = JSON.parse(outputLines[outputLines.length - 1]);
+
+  return {
+    fileCount: Number(parsedOutput.fileCount) || 0,
+    folderCount: Number(parsedOutput.folderCount) || 0,
+    unreadableCount: Number(parsedOutput.unreadableCount) || 0,
+    totalBytes: Number(parsedOutput.totalBytes) || 0,
+    extensions: toArray(parsedOutput.extensions).map(extensionStats => ({
+      extension: String(extensionStats.extension || ''),
+      count: Number(extensionStats.count) || 0,
+      bytes: Number(extensionStats.bytes) || 0,
+    })),
+    largestFiles: toArray(parsedOutput.largestFiles).map(file => ({
+      path: String(file.path),
+      size: Number(file.size) || 0,
+    })),
+    newest: toDatedFile(parsedOutput.newest),
+    oldest: toDatedFile(parsedOutput.oldest),
+  };
+}
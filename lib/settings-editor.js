@@ -0,0 +1,81 @@
+// @ts-check
+
+/**
+ * @typedef {{
+ *   key: string,
+ *   type: 'boolean' | 'number' | 'string',
+ *   defaultValue: boolean | number | string,
+ *   minimum?: number,
+ *   maximum?: number,
+ *   options?: string[],
+ * }} SettingDescriptor
+ *
+ * @typedef {'notANumber' | 'belowMinimum' | 'aboveMaximum' | 'notAnOption'} SettingValidationError
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {SettingDescriptor['type']}
+ */
+function getValueType(value) {
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return 'number';
+  return 'string';
+}
+
+/**
+ * One descriptor per `contributes.configuration.properties` entry, in manifest order.
+ * Settings that only exist in `currentValues` are typed from their value.
+ * @param {Record<string, any>} properties
+ * @param {Record<string, unknown>} currentValues
+ * @returns {SettingDescriptor[]}
+ */
+export function getSettingDescriptors(properties, currentValues) {
+  const descriptors = Object.entries(properties || {}).map(([key, property]) => {
+    const type = ['boolean', 'number', 'integer'].includes(property.type)
+      ? (property.type === 'boolean' ? 'boolean' : 'number')
+      : getValueType(property.default ?? currentValues[key]);
+    /** @type {SettingDescriptor} */
+    const descriptor = { key, type, defaultValue: property.default ?? (type === 'boolean' ? false : type === 'number' ? 0 : '') };
+    if (typeof property.minimum === 'number') descriptor.minimum = property.minimum;
+    if (typeof property.maximum === 'number') descriptor.maximum = property.maximum;
+    if (Array.isArray(property.enum)) descriptor.options = property.enum.map(String);
+    return descriptor;
+  });
+
+  const describedKeys = new Set(descriptors.map(descriptor => descriptor.key));
+  for (const [key, value] of Object.entries(currentValues || {})) {
+    if (!describedKeys.has(key)) {
+      descriptors.push({ key, type: getValueType(value), defaultValue: /** @type {any} */ (value) });
+    }
+  }
+
+  return descriptors;
+}
+
+/**
+ * Turns a form value (checkbox state or input text) into the setting's type.
+ * @param {SettingDescriptor} descriptor
+ * @param {unknown} formValue
+ * @returns {{ value: boolean | number | string, error: SettingValidationError | null }}
+ */
+export function validateSettingValue(descriptor, formValue) {
+  if (descriptor.type === 'boolean') {
+    return { value: formValue === true || formValue === 'true', error: null };
+  }
+
+  if (descriptor.type === 'number') {
+    const text = String(formValue ?? '').trim();
+    const value = Number(text);
+    if (text === '' || !Number.isFinite(value)) return { value: descriptor.defaultValue, error: 'notANumber' };
+    if (descriptor.minimum !== undefined && value < descriptor.minimum) return { value, error: 'belowMinimum' };
+    if (descriptor.maximum !== undefined && value > descriptor.maximum) return { value, error: 'aboveMaximum' };
+    return { value, error: null };
+  }
+
+  const value = String(formValue ?? '');
+  if (descriptor.options && !descriptor.options.includes(value)) {
+    return { value, error: 'notAnOption' };
+  }
+  return { value, error: null };
+}
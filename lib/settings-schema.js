@@ -0,0 +1,66 @@
+// @ts-check
+
+/**
+ * The extension's settings, the same as `contributes.configuration.properties` in
+ * `package.json`. The settings editor is built from this module so it needs no runtime
+ * to read the manifest; `scripts/check-settings-schema.js` fails when the two differ.
+ * @type {Record<string, {
+ *   type: 'boolean' | 'number' | 'string',
+ *   default: boolean | number | string,
+ *   minimum?: number,
+ *   maximum?: number,
+ *   enum?: string[],
+ *   description: string,
+ * }>}
+ */
+export const SETTINGS_SCHEMA_PROPERTIES = {
+  showNotifications: {
+    type: 'boolean',
+    default: true,
+    description: 'Show notifications for actions; errors are always shown',
+  },
+  notificationDuration: {
+    type: 'number',
+    default: 4000,
+    minimum: 1000,
+    maximum: 10000,
+    description: 'Duration of notifications in milliseconds',
+  },
+  copyPathDefaultFormat: {
+    type: 'string',
+    default: 'absolute',
+    enum: ['absolute', 'relative', 'forward-slash', 'backslash', 'file-uri', 'bash', 'powershell', 'name-without-extension'],
+    description: 'Format used by Copy Path and its keyboard shortcut',
+  },
+  copyPathSeparator: {
+    type: 'string',
+    default: 'newline',
+    enum: ['newline', 'space'],
+    description: 'Separator between paths when several items are selected',
+  },
+  searchMaxMatches: {
+    type: 'number',
+    default: 500,
+    minimum: 1,
+    maximum: 10000,
+    description: 'Search in Files stops after this many matches',
+  },
+  fileSizeUnits: {
+    type: 'string',
+    default: 'binary',
+    enum: ['binary', 'decimal'],
+    description: 'binary uses steps of 1024 (KiB, MiB), decimal uses steps of 1000 (kB, MB)',
+  },
+  recordOperationHistory: {
+    type: 'boolean',
+    default: true,
+    description: 'Keep file analysis, JSON tools and diagnostics runs in operation-history.json in the extension data folder (up to 50 entries)',
+  },
+  taskConcurrency: {
+    type: 'number',
+    default: 2,
+    minimum: 1,
+    maximum: 8,
+    description: 'How many queued jobs, such as hashing one file, run at the same time',
+  },
+};
@@ -1,5 +1,8 @@
 // @ts-check
 
+import { CommandError, isCommandError, toSpawnError } from './command-error.js';
+import { getParentDirectories } from './path-formats.js';
+
 /**
  * @param {unknown} error
  * @returns {string}
@@ -10,18 +13,6 @@ export function getErrorMessage(error) {
   return String(error);
 }
 
-/**
- * @param {unknown} error
- */
-export function isCommandNotFoundError(error) {
-  const errorMessage = getErrorMessage(error).toLowerCase();
-  return (
-    errorMessage.includes('not found')
-    || errorMessage.includes('does not exist')
-    || errorMessage.includes('cannot find')
-  );
-}
-
 /**
  * @param {string} text
  */
@@ -29,217 +20,667 @@ export function escapeForPowerShellSingleQuotes(text) {
   return String(text).replace(/'/g, "''");
 }
 
+const POWERSHELL_COMMANDS = [
+  'powershell',
+  'pwsh',
+  'C:\\Windows\\System32\\WindowsPowerShell\\v1.0\\powershell.exe',
+];
+
+/**
+ * @typedef {{ command: string, args: string[], runtime?: 'deno' | 'powershell' }} CommandCandidate
+ * @typedef {{ runtime: 'deno' | 'powershell', command: string, version: string }} ResolvedRuntime
+ */
+
 /**
  * @param {string} script
+ * @returns {CommandCandidate[]}
  */
 export function getWindowsPowerShellCandidates(script) {
-  return [
-    { command: 'powershell', args: ['-NoProfile', '-Command', script] },
-    { command: 'pwsh', args: ['-NoProfile', '-Command', script] },
-    { command: 'C:\\Windows\\System32\\WindowsPowerShell\\v1.0\\powershell.exe', args: ['-NoProfile', '-Command', script] },
-  ];
+  return POWERSHELL_COMMANDS.map(command => ({
+    command,
+    args: ['-NoProfile', '-Command', script],
+    runtime: 'powershell',
+  }));
 }
 
+const runtimeProbes = {
+  deno: {
+    async getCommands() {
+      const commands = [];
+      try {
+        const denoBinaryPath = await sigma.binary.getPath('deno');
+        if (denoBinaryPath) {
+          commands.push(denoBinaryPath);
+        }
+      } catch {
+      }
+      return commands.includes('deno') ? commands : [...commands, 'deno'];
+    },
+    versionArgs: ['--version'],
+    parseVersion: stdout => (String(stdout).match(/deno (\S+)/) || [])[1] || '',
+  },
+  powershell: {
+    async getCommands() {
+      return sigma.platform.isWindows ? POWERSHELL_COMMANDS : [];
+    },
+    versionArgs: ['-NoProfile', '-Command', '$PSVersionTable.PSVersion.ToString()'],
+    parseVersion: stdout => String(stdout).trim(),
+  },
+};
+
 /**
- * @param {string} script
- * @param {{ timeout?: number, parseOutput?: (o: { stdout: string, stderr: string }) => unknown, signal?: AbortSignal }} [options]
+ * One probe per runtime per session; the promise is cached so concurrent callers share it.
+ * A runtime that was not found is not cached, so installing it later works without a restart.
+ * @type {Map<string, Promise<ResolvedRuntime | null>>}
  */
-export async function runPowerShellScript(script, options = {}) {
-  if (!sigma.platform.isWindows) {
-    throw new Error('PowerShell script execution is only supported on Windows.');
-  }
-
-  const timeout = typeof options.timeout === 'number' && options.timeout > 0
-    ? options.timeout
-    : 10000;
-  const parseOutput = typeof options.parseOutput === 'function'
-    ? options.parseOutput
-    : ({ stdout }) => stdout;
-  const commandCandidates = getWindowsPowerShellCandidates(script);
-  let latestError = null;
+const resolvedRuntimes = new Map();
 
-  for (const commandCandidate of commandCandidates) {
-    let timeoutHandle = null;
-    let timedOut = false;
-    let abortSignalListener = null;
-    let runningCommand = null;
+/**
+ * @param {'deno' | 'powershell'} runtime
+ * @returns {Promise<ResolvedRuntime | null>}
+ */
+async function probeRuntime(runtime) {
+  const runtimeProbe = runtimeProbes[runtime];
 
+  for (const command of await runtimeProbe.getCommands()) {
     try {
-      runningCommand = await sigma.shell.runWithProgress(
-        commandCandidate.command,
-        commandCandidate.args,
-        () => {},
-      );
-
-      if (timeout > 0) {
-        timeoutHandle = setTimeout(() => {
-          timedOut = true;
-          if (runningCommand) {
-            runningCommand.cancel().catch(() => {});
-          }
-        }, timeout);
+      const result = await sigma.shell.run(command, runtimeProbe.versionArgs);
+      if (result.code === 0) {
+        return { runtime, command, version: runtimeProbe.parseVersion(result.stdout) };
       }
+    } catch {
+    }
+  }
 
-      if (options.signal) {
-        abortSignalListener = () => {
-          if (runningCommand) {
-            runningCommand.cancel().catch(() => {});
-          }
-        };
+  return null;
+}
 
-        if (options.signal.aborted) {
-          abortSignalListener();
-        } else {
-          options.signal.addEventListener('abort', abortSignalListener, { once: true });
-        }
+/**
+ * Resolves which command runs the given runtime, probing only on first use.
+ * @param {'deno' | 'powershell'} runtime
+ */
+export function resolveRuntime(runtime) {
+  let resolvedRuntime = resolvedRuntimes.get(runtime);
+  if (!resolvedRuntime) {
+    const probe = probeRuntime(runtime).then((probedRuntime) => {
+      if (!probedRuntime && resolvedRuntimes.get(runtime) === probe) {
+        resolvedRuntimes.delete(runtime);
       }
+      return probedRuntime;
+    });
+    resolvedRuntime = probe;
+    resolvedRuntimes.set(runtime, resolvedRuntime);
+  }
+  return resolvedRuntime;
+}
 
-      const result = await runningCommand.result;
-      const commandText = `${commandCandidate.command} ${commandCandidate.args.join(' ')}`;
-      const executionError = result.code === 0
-        ? undefined
-        : new Error(result.stderr || `${commandCandidate.command} exited with code ${result.code}`);
+/**
+ * Forgets the cached probe so the next call looks for the runtime again.
+ * @param {'deno' | 'powershell'} runtime
+ */
+export function invalidateRuntime(runtime) {
+  resolvedRuntimes.delete(runtime);
+}
 
-      if (result.code !== 0) {
-        throw executionError;
-      }
+/**
+ * @returns {Promise<{ runtime: 'deno' | 'powershell', resolved: ResolvedRuntime | null }[]>}
+ */
+export async function getResolvedRuntimes() {
+  /** @type {('deno' | 'powershell')[]} */
+  const runtimes = sigma.platform.isWindows ? ['deno', 'powershell'] : ['deno'];
+  return Promise.all(runtimes.map(async runtime => ({ runtime, resolved: await resolveRuntime(runtime) })));
+}
 
-      return parseOutput({
-        stdout: result.stdout,
-        stderr: result.stderr,
-        error: executionError,
-        exitCode: result.code,
-        signal: null,
-        timedOut,
-        command: commandText,
-      });
-    } catch (error) {
-      latestError = error;
-      if (isCommandNotFoundError(error)) {
-        continue;
-      }
-      throw error;
-    } finally {
-      if (timeoutHandle) {
-        clearTimeout(timeoutHandle);
-      }
-      if (options.signal && abortSignalListener) {
-        options.signal.removeEventListener('abort', abortSignalListener);
-      }
+/**
+ * Replaces each runtime's candidates with the single command that probing found,
+ * and drops runtimes that are known to be missing.
+ * @param {CommandCandidate[]} commandCandidates
+ * @returns {Promise<CommandCandidate[]>}
+ */
+async function resolveCommandCandidates(commandCandidates) {
+  /** @type {CommandCandidate[]} */
+  const resolvedCandidates = [];
+
+  for (const commandCandidate of commandCandidates) {
+    if (!commandCandidate.runtime) {
+      resolvedCandidates.push(commandCandidate);
+      continue;
     }
+
+    const resolvedRuntime = await resolveRuntime(commandCandidate.runtime);
+    const alreadyAdded = resolvedCandidates.some(resolvedCandidate => resolvedCandidate.runtime === commandCandidate.runtime);
+    if (resolvedRuntime && !alreadyAdded) {
+      resolvedCandidates.push({ ...commandCandidate, command: resolvedRuntime.command });
+    }
+  }
+
+  if (resolvedCandidates.length === 0) {
+    const runtimeNames = [...new Set(commandCandidates.map(commandCandidate => commandCandidate.runtime))].join(', ');
+    throw new CommandError('RUNTIME_MISSING', `No supported runtime found (${runtimeNames})`, { command: runtimeNames });
   }
 
-  throw latestError || new Error('No available PowerShell command candidates');
+  return resolvedCandidates;
 }
 
 /**
- * @param {{ command: string, args: string[] }[]} commandCandidates
+ * PowerShell prelude that reads the JSON payload sent over stdin into `$payload`, or
+ * from `$payloadFile` when `runCommand` passed it in a temp file instead.
+ * The input encoding is forced to UTF-8 so non-ASCII text survives the console code page.
  */
-export async function runFirstAvailableCommand(commandCandidates) {
-  let latestError = null;
+export const POWERSHELL_READ_STDIN_PAYLOAD = '[Console]::InputEncoding = [System.Text.Encoding]::UTF8; $payloadText = if ($payloadFile) { [IO.File]::ReadAllText($payloadFile, [System.Text.Encoding]::UTF8) } else { [Console]::In.ReadToEnd() }; $payload = $payloadText | ConvertFrom-Json;';
 
-  for (const commandCandidate of commandCandidates) {
-    try {
-      const result = await sigma.shell.run(commandCandidate.command, commandCandidate.args);
-      return { result, commandName: commandCandidate.command };
-    } catch (error) {
-      latestError = error;
-      if (isCommandNotFoundError(error)) {
-        continue;
-      }
-      throw error;
-    }
+/**
+ * Largest payload, in UTF-8 bytes, that can go to a temp file when stdin is not supported.
+ * The file is written by one process that gets the payload in base64 through argv, and
+ * Windows limits a command line to 32,767 characters.
+ */
+export const MAX_INPUT_FILE_PAYLOAD_SIZE = 16 * 1024;
+const STDIN_PROBE_TIMEOUT = 5000;
+const STDIN_PROBE_TEXT = 'stdin-probe';
+
+/**
+ * Per runtime: how to check that stdin reaches the process, and how to write and
+ * remove the temp file used when it does not. The write commands print the file's path.
+ */
+const inputFileCommands = {
+  deno: {
+    probeStdinArgs: ['eval', 'console.log(await new Response(Deno.stdin.readable).text())'],
+    /** @param {string} encodedPayload */
+    getWriteArgs: encodedPayload => ['eval', 'const path = await Deno.makeTempFile({ prefix: "sigma-input-", suffix: ".json" }); try { await Deno.writeFile(path, Uint8Array.from(atob(Deno.args[0]), character => character.charCodeAt(0))); } catch (error) { await Deno.remove(path); throw error; } console.log(path)', '--', encodedPayload],
+    /** @param {string} path */
+    getRemoveArgs: path => ['eval', 'await Deno.remove(Deno.args[0])', '--', path],
+  },
+  powershell: {
+    probeStdinArgs: ['-NoProfile', '-Command', '[Console]::In.ReadToEnd()'],
+    /** @param {string} encodedPayload */
+    getWriteArgs: encodedPayload => ['-NoProfile', '-Command', `$path = [IO.Path]::GetTempFileName(); try { [IO.File]::WriteAllBytes($path, [Convert]::FromBase64String('${encodedPayload}')) } catch { Remove-Item -LiteralPath $path; throw }; $path`],
+    /** @param {string} path */
+    getRemoveArgs: path => ['-NoProfile', '-Command', `Remove-Item -LiteralPath '${escapeForPowerShellSingleQuotes(path)}'`],
+  },
+};
+
+/**
+ * Whether the host passes the `stdin` option through to processes, checked once per runtime.
+ * @type {Map<string, Promise<boolean>>}
+ */
+const stdinSupport = new Map();
+
+/**
+ * Hosts that ignore the option either close stdin (empty output) or leave the process
+ * waiting on it, which the timeout ends.
+ * @param {string} command
+ * @param {'deno' | 'powershell'} runtime
+ */
+async function probeStdinSupport(command, runtime) {
+  let timeoutHandle = null;
+  try {
+    const runningCommand = await sigma.shell.runWithProgress(
+      command,
+      inputFileCommands[runtime].probeStdinArgs,
+      () => {},
+      { stdin: STDIN_PROBE_TEXT },
+    );
+    timeoutHandle = setTimeout(() => runningCommand.cancel().catch(() => {}), STDIN_PROBE_TIMEOUT);
+    const result = await runningCommand.result;
+    return String(result.stdout).includes(STDIN_PROBE_TEXT);
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timeoutHandle);
   }
+}
 
-  throw latestError || new Error('No available command candidates');
+/**
+ * @param {string} command
+ * @param {'deno' | 'powershell'} runtime
+ */
+function isStdinSupported(command, runtime) {
+  let supported = stdinSupport.get(runtime);
+  if (!supported) {
+    supported = probeStdinSupport(command, runtime);
+    stdinSupport.set(runtime, supported);
+  }
+  return supported;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ */
+function encodeBase64(bytes) {
+  let binaryText = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binaryText += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binaryText);
+}
+
+/**
+ * @param {string} command
+ * @param {string[]} args
+ */
+async function runInputFileCommand(command, args) {
+  const result = await sigma.shell.run(command, args);
+  if (result.code !== 0) {
+    throw new Error(String(result.stderr || '').trim() || `${command} exited with code ${result.code}`);
+  }
+  return String(result.stdout).trim();
+}
+
+/**
+ * Writes the payload to a new temp file with the candidate's own runtime and returns its
+ * path. The host has no file API, so the text goes through argv in base64, which is
+ * why payloads over {@link MAX_INPUT_FILE_PAYLOAD_SIZE} fail with INPUT_TOO_LARGE.
+ * @param {string} command
+ * @param {'deno' | 'powershell'} runtime
+ * @param {string} payload
+ */
+async function writeInputFile(command, runtime, payload) {
+  const payloadBytes = new TextEncoder().encode(payload);
+  if (payloadBytes.length > MAX_INPUT_FILE_PAYLOAD_SIZE) {
+    throw new CommandError(
+      'INPUT_TOO_LARGE',
+      `${command}: the ${payloadBytes.length}-byte input cannot be piped and is over the ${MAX_INPUT_FILE_PAYLOAD_SIZE}-byte temp file limit`,
+      { command },
+    );
+  }
+  return runInputFileCommand(command, inputFileCommands[runtime].getWriteArgs(encodeBase64(payloadBytes)));
 }
 
 /**
+ * @param {string} command
+ * @param {'deno' | 'powershell'} runtime
+ * @param {string} inputFilePath
+ */
+async function removeInputFile(command, runtime, inputFilePath) {
+  await runInputFileCommand(command, inputFileCommands[runtime].getRemoveArgs(inputFilePath)).catch(() => {});
+}
+
+/**
+ * Points the candidate at the temp file: Deno scripts get `--input-file=<path>` (see
+ * `scripts/payload.js`) and the path added to their `--allow-read` list, PowerShell
+ * scripts get `$payloadFile`.
+ * @param {CommandCandidate} commandCandidate
+ * @param {string} inputFilePath
+ * @returns {string[]}
+ */
+function getInputFileArgs(commandCandidate, inputFilePath) {
+  const { args } = commandCandidate;
+  if (commandCandidate.runtime === 'powershell') {
+    return [...args.slice(0, -1), `$payloadFile = '${escapeForPowerShellSingleQuotes(inputFilePath)}'; ${args[args.length - 1]}`];
+  }
+
+  const scriptIndex = args.findIndex((argument, index) => index > 0 && !argument.startsWith('-'));
+  const runtimeFlags = args.slice(0, scriptIndex);
+  const inputFilePermission = formatDenoPermissionPaths([inputFilePath]);
+  const readFlagIndex = runtimeFlags.findIndex(argument => argument.startsWith('--allow-read='));
+  if (readFlagIndex !== -1) {
+    runtimeFlags[readFlagIndex] += `,${inputFilePermission}`;
+  } else if (!runtimeFlags.some(argument => ['--allow-read', '--allow-all', '-A'].includes(argument))) {
+    runtimeFlags.push(`--allow-read=${inputFilePermission}`);
+  }
+  return [...runtimeFlags, ...args.slice(scriptIndex), `--input-file=${inputFilePath}`];
+}
+
+/**
+ * @typedef {{
+ *   timeout?: number,
+ *   signal?: AbortSignal,
+ *   cancellationToken?: import('@sigma-file-manager/api').CancellationToken,
+ *   env?: Record<string, string>,
+ *   cwd?: string,
+ *   stdin?: string,
+ *   progress?: import('@sigma-file-manager/api').Progress,
+ *   translate?: (key: string, params?: Record<string, string | number>) => string,
+ *   onOutputLine?: (line: string) => void,
+ * }} RunCommandOptions
+ *
+ * @typedef {{
+ *   exitCode: number | null,
+ *   stdout: string,
+ *   stderr: string,
+ *   timedOut: boolean,
+ *   cancelled: boolean,
+ *   command: string,
+ *   runtime?: 'deno' | 'powershell',
+ *   duration: number,
+ * }} CommandResult
+ */
+
+/**
+ * Large inputs go over stdin because argv is capped by the OS (about 32 KB on Windows).
+ * When the host does not pass stdin on, `runCommand` uses a temp file instead.
+ * @param {RunCommandOptions} options
+ */
+function getShellOptions(options) {
+  /** @type {{ stdin?: string, env?: Record<string, string>, cwd?: string }} */
+  const shellOptions = {};
+  if (typeof options.stdin === 'string') shellOptions.stdin = options.stdin;
+  if (options.env) shellOptions.env = options.env;
+  if (options.cwd) shellOptions.cwd = options.cwd;
+  return Object.keys(shellOptions).length > 0 ? shellOptions : undefined;
+}
+
+/**
+ * @param {string} command
+ * @param {string[]} args
+ * @param {(outputChunk: unknown) => void} onOutput
+ * @param {RunCommandOptions} options
+ */
+function runShellCommandWithProgress(command, args, onOutput, options) {
+  const shellOptions = getShellOptions(options);
+  return shellOptions
+    ? sigma.shell.runWithProgress(command, args, onOutput, shellOptions)
+    : sigma.shell.runWithProgress(command, args, onOutput);
+}
+
+/**
+ * @param {string} path
+ */
+function getCommaFreeAncestor(path) {
+  let ancestorPath = path;
+  while (ancestorPath.includes(',')) {
+    [ancestorPath] = getParentDirectories([ancestorPath]);
+  }
+  return ancestorPath || '.';
+}
+
+/**
+ * Joins paths for `--allow-read=` / `--allow-write=`. Deno splits these lists on
+ * commas and has no escape for a literal one, so a path containing a comma is
+ * replaced by its nearest folder without one, which grants more than the path.
+ * @param {string[]} paths
+ */
+export function formatDenoPermissionPaths(paths) {
+  return [...new Set(paths.map(getCommaFreeAncestor))].join(',');
+}
+
+/**
+ * The actual Deno command (bundled binary or `deno` on PATH) is picked by the runtime resolver.
  * @param {string[]} denoArgs
+ * @returns {Promise<CommandCandidate[]>}
  */
 export async function getDenoCommandCandidates(denoArgs) {
-  const commandCandidates = [];
-  const addedCommands = new Set();
+  return [{ command: 'deno', args: denoArgs, runtime: 'deno' }];
+}
+
+/**
+ * Scripts report progress as NDJSON lines shaped `{ "bytesRead": n, "total": n }`, or
+ * `{ "processed": n, "total": n }` when they count items instead of bytes.
+ * @param {string} line
+ * @returns {{ completed: number, total: number } | null}
+ */
+export function parseProgressLine(line) {
+  const trimmedLine = line.trim();
+  if (!trimmedLine.startsWith('{') || !/"(bytesRead|processed)"/.test(trimmedLine)) {
+    return null;
+  }
 
   try {
-    const denoBinaryPath = await sigma.binary.getPath('deno');
-    if (denoBinaryPath && !addedCommands.has(denoBinaryPath)) {
-      commandCandidates.push({ command: denoBinaryPath, args: denoArgs });
-      addedCommands.add(denoBinaryPath);
-    }
+    const parsedLine = JSON.parse(trimmedLine);
+    const completed = typeof parsedLine.bytesRead === 'number' ? parsedLine.bytesRead : parsedLine.processed;
+    return typeof completed === 'number' && typeof parsedLine.total === 'number'
+      ? { completed, total: parsedLine.total }
+      : null;
   } catch {
+    return null;
   }
+}
+
+/**
+ * Removes progress lines so the remaining stdout is the script's actual output.
+ * @param {string} stdout
+ */
+export function stripProgressLines(stdout) {
+  return String(stdout)
+    .split(/\r?\n/)
+    .filter(line => line.trim() && !parseProgressLine(line))
+    .join('\n');
+}
 
-  if (!addedCommands.has('deno')) {
-    commandCandidates.push({ command: 'deno', args: denoArgs });
+/**
+ * @param {unknown} outputChunk
+ * @returns {string}
+ */
+function getOutputChunkText(outputChunk) {
+  if (typeof outputChunk === 'string') return outputChunk;
+  if (outputChunk && typeof outputChunk === 'object') {
+    const chunkObject = /** @type {{ line?: unknown, data?: unknown }} */ (outputChunk);
+    if (typeof chunkObject.line === 'string') return `${chunkObject.line}\n`;
+    if (typeof chunkObject.data === 'string') return chunkObject.data;
   }
+  return '';
+}
 
-  return commandCandidates;
+/**
+ * Calls `onOutputLine` for every complete stdout line that is not a progress line.
+ * @param {(line: string) => void} onOutputLine
+ */
+function createOutputLineHandler(onOutputLine) {
+  let pendingOutput = '';
+
+  return (outputChunk) => {
+    const outputLines = `${pendingOutput}${getOutputChunkText(outputChunk)}`.split(/\r?\n/);
+    pendingOutput = outputLines.pop() || '';
+    outputLines
+      .filter(line => line.trim() && !parseProgressLine(line))
+      .forEach(onOutputLine);
+  };
 }
 
 /**
- * @param {{ command: string, args: string[] }[]} commandCandidates
+ * Turns `{ bytesRead, total }` and `{ processed, total }` lines from the command's output into progress reports.
  * @param {import('@sigma-file-manager/api').Progress} progress
- * @param {import('@sigma-file-manager/api').CancellationToken} cancellationToken
  * @param {(key: string, params?: Record<string, string | number>) => string} translate
+ * @param {string} command
  */
-export async function runFirstAvailableCommandWithProgress(commandCandidates, progress, cancellationToken, translate) {
-  let latestError = null;
-  let progressValue = 8;
+function createProgressOutputHandler(progress, translate, command) {
+  const progressSpan = 90;
+  let pendingOutput = '';
+  let reportedFraction = 0;
+
+  const handleOutputLine = (line) => {
+    const progressLine = parseProgressLine(line);
+    if (!progressLine) {
+      return;
+    }
 
-  for (const commandCandidate of commandCandidates) {
-    if (cancellationToken.isCancellationRequested) {
-      return { cancelled: true };
+    const fraction = progressLine.total > 0
+      ? Math.min(progressLine.completed / progressLine.total, 1)
+      : 1;
+    const increment = (fraction - reportedFraction) * progressSpan;
+    reportedFraction = Math.max(fraction, reportedFraction);
+
+    progress.report({
+      description: translate('analyzingWithPercent', {
+        command,
+        percent: Math.floor(fraction * 100),
+      }),
+      increment: Math.max(increment, 0),
+    });
+  };
+
+  return (outputChunk) => {
+    const outputLines = `${pendingOutput}${getOutputChunkText(outputChunk)}`.split(/\r?\n/);
+    pendingOutput = outputLines.pop() || '';
+    outputLines.forEach(handleOutputLine);
+
+    if (parseProgressLine(pendingOutput)) {
+      handleOutputLine(pendingOutput);
+      pendingOutput = '';
     }
+  };
+}
 
-    try {
+/**
+ * Runs the first candidate whose runtime is available and returns a {@link CommandResult}.
+ * Candidates that fail to start with RUNTIME_MISSING or PERMISSION_DENIED fall through
+ * to the next one. A non-zero exit is reported through `exitCode` rather than thrown; timeouts and
+ * cancellation (via `signal` or `cancellationToken`) stop the process and set
+ * `timedOut` / `cancelled`. Passing `progress` and `translate` turns the script's
+ * progress lines into progress reports, and `onOutputLine` receives the other
+ * stdout lines as they arrive. `stdin` is written to a temp file, passed by path and
+ * removed afterwards when the host does not support piping it; inputs over
+ * {@link MAX_INPUT_FILE_PAYLOAD_SIZE} then fail with INPUT_TOO_LARGE.
+ * @param {CommandCandidate[]} commandCandidates
+ * @param {RunCommandOptions} [options]
+ * @returns {Promise<CommandResult>}
+ */
+export async function runCommand(commandCandidates, options = {}) {
+  const { progress, translate, signal, cancellationToken } = options;
+  const startTime = Date.now();
+  const isCancellationRequested = () => Boolean(signal?.aborted || cancellationToken?.isCancellationRequested);
+  let latestError = null;
+  let initialIncrement = 8;
+
+  /**
+   * @param {CommandCandidate} commandCandidate
+   * @param {Partial<CommandResult>} fields
+   * @returns {CommandResult}
+   */
+  const createResult = (commandCandidate, fields) => ({
+    exitCode: null,
+    stdout: '',
+    stderr: '',
+    timedOut: false,
+    cancelled: false,
+    command: commandCandidate.command,
+    runtime: commandCandidate.runtime,
+    duration: Date.now() - startTime,
+    ...fields,
+  });
+
+  const pendingCandidates = await resolveCommandCandidates(commandCandidates);
+  /** @type {Set<string>} */
+  const reprobedRuntimes = new Set();
+
+  while (pendingCandidates.length > 0) {
+    const commandCandidate = /** @type {CommandCandidate} */ (pendingCandidates.shift());
+    if (isCancellationRequested()) {
+      return createResult(commandCandidate, { cancelled: true });
+    }
+
+    if (progress && translate) {
       progress.report({
         description: translate('runningCommand', { command: commandCandidate.command }),
-        increment: progressValue,
+        increment: initialIncrement,
       });
-      progressValue = 0;
-
-      const runningCommand = await sigma.shell.runWithProgress(
-        commandCandidate.command,
-        commandCandidate.args,
-        () => {
-          if (!cancellationToken.isCancellationRequested) {
-            progress.report({
-              description: translate('analyzingWith', { command: commandCandidate.command }),
-              increment: 0.4,
-            });
+      initialIncrement = 0;
+    }
+
+    const handleProgressOutput = progress && translate
+      ? createProgressOutputHandler(progress, translate, commandCandidate.command)
+      : null;
+    const handleOutputLines = options.onOutputLine ? createOutputLineHandler(options.onOutputLine) : null;
+    let runningCommand = null;
+    let inputFilePath = null;
+    let timedOut = false;
+    let timeoutHandle = null;
+    let cancellationListener = null;
+    const stopRunningCommand = () => {
+      if (runningCommand) {
+        runningCommand.cancel().catch(() => {});
+      }
+    };
+
+    try {
+      const { command, runtime } = commandCandidate;
+      let { args } = commandCandidate;
+      let shellCommandOptions = options;
+      if (typeof options.stdin === 'string' && runtime && !(await isStdinSupported(command, runtime))) {
+        inputFilePath = await writeInputFile(command, runtime, options.stdin);
+        args = getInputFileArgs(commandCandidate, inputFilePath);
+        shellCommandOptions = { ...options, stdin: undefined };
+      }
+
+      runningCommand = await runShellCommandWithProgress(
+        command,
+        args,
+        (outputChunk) => {
+          if (handleProgressOutput && !isCancellationRequested()) {
+            handleProgressOutput(outputChunk);
+          }
+          if (handleOutputLines && !isCancellationRequested()) {
+            handleOutputLines(outputChunk);
           }
         },
+        shellCommandOptions,
       );
 
-      const cancellationListener = cancellationToken.onCancellationRequested(() => {
-        runningCommand.cancel().catch(() => {});
-      });
-
-      try {
-        const result = await runningCommand.result;
-        return {
-          cancelled: false,
-          result,
-          commandName: commandCandidate.command,
-        };
-      } finally {
-        cancellationListener.dispose();
+      if (typeof options.timeout === 'number' && options.timeout > 0) {
+        timeoutHandle = setTimeout(() => {
+          timedOut = true;
+          stopRunningCommand();
+        }, options.timeout);
+      }
+      if (signal) {
+        signal.addEventListener('abort', stopRunningCommand, { once: true });
+      }
+      if (cancellationToken) {
+        cancellationListener = cancellationToken.onCancellationRequested(stopRunningCommand);
+      }
+      if (isCancellationRequested()) {
+        stopRunningCommand();
       }
-    } catch (error) {
-      latestError = error;
 
-      if (cancellationToken.isCancellationRequested) {
-        return { cancelled: true };
+      const result = await runningCommand.result;
+      return createResult(commandCandidate, {
+        exitCode: result.code,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        timedOut,
+        cancelled: isCancellationRequested(),
+      });
+    } catch (error) {
+      if (timedOut || isCancellationRequested()) {
+        return createResult(commandCandidate, { timedOut, cancelled: isCancellationRequested() });
       }
 
-      if (isCommandNotFoundError(error)) {
+      const spawnError = toSpawnError(error, commandCandidate.command);
+      if (isCommandError(spawnError, 'RUNTIME_MISSING') && commandCandidate.runtime) {
+        // The cached command no longer starts (a removed bundled binary, say): probe once
+        // more and try whatever else provides the runtime, such as `deno` on PATH, in this call.
+        invalidateRuntime(commandCandidate.runtime);
+        if (!reprobedRuntimes.has(commandCandidate.runtime)) {
+          reprobedRuntimes.add(commandCandidate.runtime);
+          const reprobedRuntime = await resolveRuntime(commandCandidate.runtime);
+          if (reprobedRuntime && reprobedRuntime.command !== commandCandidate.command) {
+            pendingCandidates.unshift({ ...commandCandidate, command: reprobedRuntime.command });
+          }
+        }
+      }
+      if (isCommandError(spawnError, 'RUNTIME_MISSING') || isCommandError(spawnError, 'PERMISSION_DENIED')) {
+        latestError = spawnError;
         continue;
       }
-
-      throw error;
+      throw spawnError;
+    } finally {
+      if (timeoutHandle) {
+        clearTimeout(timeoutHandle);
+      }
+      if (signal) {
+        signal.removeEventListener('abort', stopRunningCommand);
+      }
+      if (cancellationListener) {
+        cancellationListener.dispose();
+      }
+      if (inputFilePath && commandCandidate.runtime) {
+        await removeInputFile(commandCandidate.command, commandCandidate.runtime, inputFilePath);
+      }
     }
   }
 
   throw latestError || new Error('No available command candidates');
 }
+
+/**
+ * Runs a one-line script with the first available Windows PowerShell, with a 10 s default timeout.
+ * @param {string} script
+ * @param {RunCommandOptions} [options]
+ */
+export async function runPowerShellScript(script, options = {}) {
+  if (!sigma.platform.isWindows) {
+    throw new Error('PowerShell script execution is only supported on Windows.');
+  }
+
+  return runCommand(getWindowsPowerShellCandidates(script), { timeout: 10000, ...options });
+}
@@ -0,0 +1,256 @@
+// @ts-check
+
+import { CommandError, isCommandError } from './command-error.js';
+
+export const DEFAULT_TASK_CONCURRENCY = 2;
+const MAX_TASK_CONCURRENCY = 8;
+
+/**
+ * @typedef {'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled'} TaskState
+ *
+ * The same shape as the host's `CancellationToken`, so it can be passed to `runCommand`.
+ * @typedef {{
+ *   readonly isCancellationRequested: boolean,
+ *   onCancellationRequested: (listener: () => void) => { dispose: () => void },
+ * }} TaskCancellationToken
+ *
+ * Jobs report `{ increment }` in percent, like the host's `Progress`.
+ * @typedef {{ report: (value: { description?: string, increment?: number }) => void }} TaskProgress
+ *
+ * @typedef {{ state: TaskState, result?: any, error?: unknown }} TaskOutcome
+ *
+ * @typedef {{
+ *   id: number,
+ *   label: string,
+ *   state: TaskState,
+ *   progress: number,
+ * }} TaskSnapshot
+ *
+ * @typedef {{
+ *   total: number,
+ *   queued: number,
+ *   running: number,
+ *   succeeded: number,
+ *   failed: number,
+ *   cancelled: number,
+ *   progress: number,
+ * }} TaskQueueSummary
+ */
+
+/**
+ * @param {unknown} concurrency
+ */
+export function normalizeTaskConcurrency(concurrency) {
+  const value = Math.floor(Number(concurrency));
+  if (!Number.isFinite(value) || value < 1) return DEFAULT_TASK_CONCURRENCY;
+  return Math.min(value, MAX_TASK_CONCURRENCY);
+}
+
+/**
+ * A cancellation token the extension controls, for jobs that are not started by `withProgress`.
+ */
+export function createCancellationSource() {
+  let cancelled = false;
+  /** @type {Set<() => void>} */
+  const listeners = new Set();
+
+  /** @type {TaskCancellationToken} */
+  const token = {
+    get isCancellationRequested() {
+      return cancelled;
+    },
+    onCancellationRequested(listener) {
+      listeners.add(listener);
+      return { dispose: () => listeners.delete(listener) };
+    },
+  };
+
+  return {
+    token,
+    cancel() {
+      if (cancelled) return;
+      cancelled = true;
+      [...listeners].forEach(listener => listener());
+    },
+  };
+}
+
+/**
+ * Runs jobs with at most `concurrency` of them at a time. A session lasts from the
+ * first job added to an idle queue until every job has settled; counts and the
+ * aggregate progress (finished jobs count as 1, running jobs by their reported
+ * progress) cover the current session. Job promises never reject: they resolve
+ * to `{ state, result, error }`.
+ * @param {{ concurrency?: number }} [options]
+ */
+export function createTaskQueue({ concurrency = DEFAULT_TASK_CONCURRENCY } = {}) {
+  /**
+   * @type {{
+   *   id: number,
+   *   label: string,
+   *   state: TaskState,
+   *   progress: number,
+   *   run: (cancellationToken: TaskCancellationToken, progress: TaskProgress) => Promise<any>,
+   *   cancellation: ReturnType<typeof createCancellationSource>,
+   *   settle: (outcome: TaskOutcome) => void,
+   * }[]}
+   */
+  let jobs = [];
+  /** @type {Set<(summary: TaskQueueSummary) => void>} */
+  const listeners = new Set();
+  let maxRunning = normalizeTaskConcurrency(concurrency);
+  let nextJobId = 1;
+
+  const isSettled = (/** @type {TaskState} */ state) => state !== 'queued' && state !== 'running';
+
+  const getSummary = () => {
+    /** @type {TaskQueueSummary} */
+    const summary = { total: jobs.length, queued: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0, progress: 1 };
+    let completedWork = 0;
+    for (const job of jobs) {
+      summary[job.state]++;
+      completedWork += isSettled(job.state) ? 1 : job.progress;
+    }
+    summary.progress = jobs.length > 0 ? completedWork / jobs.length : 1;
+    return summary;
+  };
+
+  const notifyListeners = () => {
+    const summary = getSummary();
+    [...listeners].forEach(listener => listener(summary));
+  };
+
+  /**
+   * @param {typeof jobs[number]} job
+   */
+  const runJob = async (job) => {
+    job.state = 'running';
+    notifyListeners();
+
+    /** @type {TaskProgress} */
+    const progress = {
+      report: ({ increment }) => {
+        job.progress = Math.min(1, job.progress + Math.max(0, increment || 0) / 100);
+        notifyListeners();
+      },
+    };
+
+    /** @type {TaskOutcome} */
+    let outcome;
+    try {
+      const result = await job.run(job.cancellation.token, progress);
+      outcome = job.cancellation.token.isCancellationRequested
+        ? { state: 'cancelled', result, error: new CommandError('CANCELLED', `${job.label} was cancelled`) }
+        : { state: 'succeeded', result };
+    } catch (error) {
+      outcome = job.cancellation.token.isCancellationRequested || isCommandError(error, 'CANCELLED')
+        ? { state: 'cancelled', error }
+        : { state: 'failed', error };
+    }
+
+    job.state = outcome.state;
+    job.progress = 1;
+    job.settle(outcome);
+    startQueuedJobs();
+    notifyListeners();
+  };
+
+  const startQueuedJobs = () => {
+    let runningCount = jobs.filter(job => job.state === 'running').length;
+    for (const job of jobs) {
+      if (runningCount >= maxRunning) break;
+      if (job.state === 'queued') {
+        runningCount++;
+        runJob(job);
+      }
+    }
+  };
+
+  /**
+   * @param {typeof jobs[number]} job
+   */
+  const cancelJob = (job) => {
+    if (job.state === 'queued') {
+      job.state = 'cancelled';
+      job.progress = 1;
+      job.settle({ state: 'cancelled', error: new CommandError('CANCELLED', `${job.label} was cancelled`) });
+    } else if (job.state === 'running') {
+      job.cancellation.cancel();
+    }
+  };
+
+  return {
+    /**
+     * @param {string} label
+     * @param {(cancellationToken: TaskCancellationToken, progress: TaskProgress) => Promise<any>} run
+     * @returns {{ id: number, promise: Promise<TaskOutcome> }}
+     */
+    add(label, run) {
+      if (jobs.every(job => isSettled(job.state))) {
+        jobs = [];
+      }
+
+      /** @type {(outcome: TaskOutcome) => void} */
+      let settle = () => {};
+      const promise = new Promise((resolve) => {
+        settle = resolve;
+      });
+      const job = {
+        id: nextJobId++,
+        label,
+        state: /** @type {TaskState} */ ('queued'),
+        progress: 0,
+        run,
+        cancellation: createCancellationSource(),
+        settle,
+      };
+      jobs.push(job);
+
+      startQueuedJobs();
+      notifyListeners();
+      return { id: job.id, promise };
+    },
+
+    /**
+     * @param {number} jobId
+     */
+    cancel(jobId) {
+      const job = jobs.find(candidate => candidate.id === jobId);
+      if (!job) return;
+      cancelJob(job);
+      notifyListeners();
+    },
+
+    cancelAll() {
+      jobs.forEach(cancelJob);
+      notifyListeners();
+    },
+
+    /**
+     * @param {unknown} concurrency
+     */
+    setConcurrency(concurrency) {
+      maxRunning = normalizeTaskConcurrency(concurrency);
+      startQueuedJobs();
+    },
+
+    isIdle() {
+      return jobs.every(job => isSettled(job.state));
+    },
+
+    /** @returns {TaskSnapshot[]} */
+    getJobs() {
+      return jobs.map(({ id, label, state, progress }) => ({ id, label, state, progress }));
+    },
+
+    getSummary,
+
+    /**
+     * @param {(summary: TaskQueueSummary) => void} listener
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return { dispose: () => listeners.delete(listener) };
+    },
+  };
+}
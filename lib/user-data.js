@@ -0,0 +1,25 @@
+// @ts-check
+
+/** Same as `id` in `package.json`. */
+export const EXTENSION_ID = 'sigma.hello-world';
+
+/**
+ * Folder beside the installed extensions where each extension keeps data under its own
+ * id. An update replaces `<extensions folder>/<id>`, so anything that must outlive it
+ * goes to `<extensions folder>/.data/<id>` instead. The leading dot keeps the name
+ * apart from extension ids.
+ */
+export const EXTENSION_DATA_DIRECTORY_NAME = '.data';
+
+/**
+ * The folder that holds `extensionPath`, i.e. the extensions folder.
+ * @param {string} extensionPath
+ */
+export function getExtensionsDirectory(extensionPath) {
+  const trimmedPath = extensionPath.replace(/[\\/]+$/, '');
+  const separatorIndex = Math.max(trimmedPath.lastIndexOf('/'), trimmedPath.lastIndexOf('\\'));
+  if (separatorIndex <= 0) {
+    throw new Error(`${extensionPath} has no parent folder`);
+  }
+  return trimmedPath.slice(0, separatorIndex);
+}
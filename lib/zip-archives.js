@@ -0,0 +1,118 @@
+// @ts-check
+
+import { getParentDirectories } from './path-formats.js';
+import { formatDenoPermissionPaths, stripProgressLines } from './shell-runtime.js';
+
+export const EXISTING_FILE_POLICIES = Object.freeze(['skip', 'overwrite', 'rename']);
+
+/**
+ * @typedef {{
+ *   path: string,
+ *   destination: string,
+ *   extracted: number,
+ *   skipped: number,
+ *   renamed: number,
+ *   unsafeEntries: string[],
+ *   errors: { entry: string, error: string }[],
+ * }} ExtractionResult
+ */
+
+/**
+ * @param {{ name: string, isDirectory?: boolean }} entry
+ */
+export function isZipFileEntry(entry) {
+  return !entry.isDirectory && /\.zip$/i.test(entry.name);
+}
+
+/**
+ * One selected item is named after itself (without a file extension); several are
+ * named after the folder they are in. The script appends ` (2)` etc. when the name is taken.
+ * @param {{ path: string, name: string, isDirectory?: boolean }[]} entries
+ */
+export function getDefaultArchivePath(entries) {
+  const [firstEntry] = entries;
+  const separatorIndex = Math.max(firstEntry.path.lastIndexOf('/'), firstEntry.path.lastIndexOf('\\'));
+  const directoryPath = firstEntry.path.slice(0, separatorIndex + 1);
+
+  let archiveName = 'Archive';
+  if (entries.length === 1) {
+    const extensionIndex = firstEntry.isDirectory ? -1 : firstEntry.name.lastIndexOf('.');
+    archiveName = extensionIndex > 0 ? firstEntry.name.slice(0, extensionIndex) : firstEntry.name;
+  } else {
+    archiveName = directoryPath.split(/[\\/]/).filter(Boolean).pop()?.replace(/:$/, '') || archiveName;
+  }
+
+  return `${directoryPath}${archiveName}.zip`;
+}
+
+/**
+ * @param {string} scriptPath
+ * @param {string} archivePath
+ * @param {string[]} targetPaths
+ */
+export function getCompressZipDenoArgs(scriptPath, archivePath, targetPaths) {
+  return [
+    'run',
+    '--quiet',
+    '--allow-read',
+    `--allow-write=${formatDenoPermissionPaths(getParentDirectories([archivePath]))}`,
+    scriptPath,
+    `--output=${archivePath}`,
+    ...targetPaths,
+  ];
+}
+
+/**
+ * Archives are extracted next to themselves, so both permissions are limited to their folders.
+ * @param {string} scriptPath
+ * @param {string[]} archivePaths
+ * @param {string} existingFilePolicy
+ */
+export function getExtractZipDenoArgs(scriptPath, archivePaths, existingFilePolicy) {
+  const scope = formatDenoPermissionPaths(getParentDirectories(archivePaths));
+  return [
+    'run',
+    '--quiet',
+    `--allow-read=${scope}`,
+    `--allow-write=${scope}`,
+    scriptPath,
+    `--existing=${existingFilePolicy}`,
+    ...archivePaths,
+  ];
+}
+
+/**
+ * @param {string} stdout
+ * @returns {{ path: string, entryCount: number, archiveBytes: number }}
+ */
+export function parseCompressZipOutput(stdout) {
+  const outputLines = stripProgressLines(stdout).split('\n');
+  const parsedOutput = JSON.parse(outputLines[outputLines.length - 1]);
+  return {
+    path: String(parsedOutput.path),
+    entryCount: Number(parsedOutput.entryCount) || 0,
+    archiveBytes: Number(parsedOutput.archiveBytes) || 0,
+  };
+}
+
+/**
+ * @param {string} stdout
+ * @returns {ExtractionResult[]}
+ */
+export function parseExtractZipOutput(stdout) {
+  const outputLines = stripProgressLines(stdout).split('\n');
+  const parsedOutput = JSON.parse(outputLines[outputLines.length - 1]);
+  return Array.isArray(parsedOutput.results) ? parsedOutput.results : [];
+}
+
+/**
+ * @param {ExtractionResult[]} results
+ */
+export function summarizeExtractionResults(results) {
+  return results.reduce((summary, result) => ({
+    extracted: summary.extracted + result.extracted + result.renamed,
+    skipped: summary.skipped + result.skipped,
+    blocked: summary.blocked + result.unsafeEntries.length,
+    failed: summary.failed + result.errors.length,
+  }), { extracted: 0, skipped: 0, blocked: 0, failed: 0 });
+}
@@ -2,25 +2,87 @@
 
 /** @type {Record<string, string>} */
 export const extensionMessages = {
+  // BCP 47 tag of this locale, used for plural rules and number formatting
+  locale: 'en',
   fileAnalysisTitle: 'File analysis: {fileName}',
-  sha256Hash: 'SHA-256 Hash',
+  analyzeFilesTitle: 'Analyze files ({count})',
+  selectHashAlgorithms: 'Select the hash algorithms to compute:',
+  analyze: 'Analyze',
+  hashAlgorithmRequired: 'Select at least one hash algorithm.',
+  hashResults: 'Hashes',
+  algorithm: 'Algorithm',
+  digest: 'Digest',
+  hashFailedForFile: 'Error: {error}',
+  copyAll: 'Copy all',
+  hashesCopied: 'Hashes copied',
+  nFiles: '{count, plural, one {# file} other {# files}}',
   runningCommand: 'Running {command}...',
-  analyzingWith: 'Analyzing with {command}...',
+  analyzingWithPercent: 'Analyzing with {command}... {percent}%',
+  'errors.runtimeMissing': 'No supported runtime found. Install Deno or use Windows PowerShell.',
+  'errors.permissionDenied': 'Permission denied when starting {command}.',
+  'errors.timeout': '{command} did not finish in time and was stopped.',
+  'errors.cancelled': 'The operation was cancelled.',
+  'errors.nonZeroExit': '{command} exited with code {exitCode}.',
+  'errors.outputParseFailed': 'Could not read the output of {command}.',
+  'errors.inputTooLarge': 'The input is too large for {command}: it cannot be piped on this system, and the fallback takes at most 16 KB.',
   exampleNotification: 'Example notification',
   extensionNotification: 'Extension notification',
   actionFromContextMenu: 'Action triggered from context menu',
-  countSelectedItems: 'Count selected items',
-  selectionCount: 'Selection count',
-  selectedItemsSummary: 'Selected {count} items: {files} files, {folders} folders',
+  selectionStatistics: 'Selection statistics',
+  collectingSelectionStats: 'Collecting selection statistics',
+  selectionStatsCancelled: 'Selection statistics cancelled',
+  selectionStatsFailed: 'Could not collect selection statistics',
+  selectionStatsSummary: '{files, plural, one {# file} other {# files}} in {folders, plural, one {# folder} other {# folders}}, {size} in total',
+  selectionStatsUnreadable: '{count, plural, one {# item could not be read and is not included} other {# items could not be read and are not included}}',
+  newestFile: 'Newest modification',
+  oldestFile: 'Oldest modification',
+  datedFile: '{date} — {path}',
+  sizeByExtension: 'By extension',
+  extensionStatsLine: '{extension}: {count, plural, one {# file} other {# files}}, {size}',
+  noExtension: '(no extension)',
+  largestFiles: '{count, plural, one {Largest file} other {Largest # files}}',
   showFileDetails: 'Show file details',
   fileDetailsTitle: 'File details: {fileName}',
   name: 'Name',
   path: 'Path',
   extension: 'Extension',
   size: 'Size',
+  mimeType: 'MIME type',
+  created: 'Created',
+  modified: 'Modified',
+  accessed: 'Accessed',
+  permissions: 'Permissions',
+  owner: 'Owner',
+  ownerIds: 'UID {uid}, GID {gid}',
+  symlinkTarget: 'Symlink target',
+  encoding: 'Encoding',
+  lineEndings: 'Line endings',
+  lineEndingLf: 'LF (Unix)',
+  lineEndingCrlf: 'CRLF (Windows)',
+  lineEndingCr: 'CR (classic Mac)',
+  lineEndingMixed: 'Mixed',
+  lineCount: 'Lines',
+  wordCount: 'Words',
+  fileDetailsUnavailable: 'Extended details need Deno and are not available: {error}',
+  readingFileDetails: 'Reading details of {fileName}',
+  fileDetailsCancelled: 'File details cancelled',
   none: 'None',
   copyPath: 'Copy path',
   pathCopied: 'Path copied',
+  copyPathAs: 'Copy path as…',
+  copy: 'Copy',
+  pathFormat: 'Format',
+  pathFormatAbsolute: 'Absolute path',
+  pathFormatRelative: 'Relative to current folder',
+  pathFormatForwardSlash: 'Forward slashes (/)',
+  pathFormatBackslash: 'Backslashes (\\)',
+  pathFormatFileUri: 'file:// URI',
+  pathFormatBash: 'Quoted for bash',
+  pathFormatPowerShell: 'Quoted for PowerShell',
+  pathFormatNameWithoutExtension: 'Name without extension',
+  pathSeparator: 'Separator for multiple paths',
+  pathSeparatorNewline: 'New line',
+  pathSeparatorSpace: 'Space',
   copiedToClipboard: 'Copied to clipboard',
   analyzeFileDeno: 'Analyze file with Deno',
   analyzingFile: 'Analyzing {fileName}',
@@ -30,10 +92,31 @@ export const extensionMessages = {
   analysisFailed: 'Analysis failed',
   analysisError: 'Analysis error',
   failedAnalyzeFile: 'Failed to analyze file',
-  showSettings: 'Show current settings',
-  showSettingsDesc: 'Displays the current extension settings',
+  generateChecksumManifest: 'Generate checksum manifest',
+  verifyChecksumManifest: 'Verify checksum manifest',
+  generate: 'Generate',
+  generatingChecksumManifest: 'Generating {fileName}',
+  verifyingChecksumManifest: 'Verifying {fileName}',
+  checksumManifestCreated: 'Checksum manifest created',
+  checksumManifestSummary: '{count, plural, one {# file} other {# files}} written to {fileName}',
+  checksumManifestFailed: 'Failed to generate checksum manifest',
+  notAChecksumManifest: '{fileName} is not a checksum manifest (SHA256SUMS, *.sha256, ...)',
+  checksumVerificationTitle: 'Checksum verification: {fileName}',
+  checksumVerificationReport: 'Report',
+  checksumManifestEmpty: 'The manifest contains no checksum entries.',
+  checksumOk: 'OK',
+  checksumMismatch: 'MISMATCH',
+  checksumMissing: 'MISSING',
+  checksumUnsafe: 'OUTSIDE FOLDER',
+  checksumUnreadable: 'UNREADABLE',
+  checksumVerificationFailed: 'Checksum verification failed',
+  checksumsVerified: 'All checksums match',
+  checksumProblemsFound: 'Checksum problems found',
+  checksumVerificationSummary: '{ok} OK, {mismatch} mismatched, {missing} missing{unsafe, plural, =0 {} other {, # outside the folder}}{unreadable, plural, =0 {} other {, # unreadable}}',
+  showSettings: 'Edit settings',
+  showSettingsDesc: 'Edits the extension settings with validation and a reset to defaults',
   extensionSettings: 'Extension settings',
-  currentConfigNote: 'Current configuration for this extension. You can change these in Settings > Extensions.',
+  currentConfigNote: 'Changes apply as soon as they are saved.',
   showContext: 'Show current context',
   showContextDesc: 'Shows current path and selection info',
   currentPath: 'Current Path',
@@ -42,9 +125,7 @@ export const extensionMessages = {
   currentContext: 'Current context',
   directory: 'Directory',
   file: 'File',
-  moreEntriesNotShown: '{count} more selected {entries} not shown',
-  oneEntry: 'entry',
-  nEntries: 'entries',
+  moreEntriesNotShown: '{count, plural, one {# more selected entry not shown} other {# more selected entries not shown}}',
   openFileDialog: 'Open file dialog',
   openFileDialogDesc: 'Opens a native file picker',
   selectFile: 'Select a file',
@@ -55,22 +136,45 @@ export const extensionMessages = {
   processing: 'Processing',
   processed: 'Processed',
   itemNOfTotal: 'Item {n} of {total}',
-  nItems: '{n} items',
+  nItems: '{n, plural, one {# item} other {# items}}',
   processingCancelled: 'Processing cancelled',
   processedBeforeCancel: 'Processed {processed} of {total} items before cancellation.',
   denoJsonTools: 'Deno JSON tools',
-  denoJsonToolsDesc: 'Validates, formats, or minifies JSON using a bundled Deno script',
+  denoJsonToolsDesc: 'Validates, formats, minifies, schema-checks or queries JSON using a bundled Deno script',
   action: 'Action',
   validateJson: 'Validate JSON',
   prettyPrint: 'Pretty Print',
   minify: 'Minify',
+  validateAgainstSchema: 'Validate against schema',
+  queryJson: 'Query',
+  jsonSchema: 'JSON Schema (draft 2020-12)',
+  jsonSchemaFilePath: 'Schema file path',
+  jsonSchemaFilePathPlaceholder: 'Optional, used instead of the schema text above',
+  jsonQuery: 'Query (JSONPath or jq-style path)',
+  jsonSchemaRequired: 'Enter a JSON Schema or a schema file path.',
+  jsonQueryRequired: 'Enter a query expression.',
+  jsonActionRequiresDeno: 'This action requires Deno; the PowerShell fallback only supports validate, pretty print and minify.',
+  formatJsonFiles: 'Format JSON files',
+  formatJsonFilesTitle: 'Format JSON files ({count})',
+  noJsonFilesSelected: 'Select one or more .json files.',
+  sortKeys: 'Sort Keys',
+  keepBackup: 'Keep a .bak backup of each file',
+  preview: 'Preview',
+  apply: 'Apply',
+  jsonPreviewHint: 'Click Preview to see the changes before writing them.',
+  jsonReviewBeforeApply: 'Review the changes below, then click Apply again to write them.',
+  jsonFileWillChange: 'will change',
+  jsonFileUnchanged: 'already formatted',
+  jsonFileFormatted: 'formatted',
+  jsonFileFailed: 'failed: {error}',
+  jsonFilesFormatted: 'JSON files formatted',
+  jsonFilesSummary: '{succeeded} succeeded, {failed} failed',
   json: 'JSON',
   result: 'Result',
   run: 'Run',
   jsonInputRequired: 'JSON input is required.',
-  noRuntimeFound: 'No supported runtime found. Install Deno or use Windows PowerShell.',
   runtimeDiagnostics: 'Show runtime diagnostics',
-  runtimeDiagnosticsDesc: 'Displays runtime system info and includes PowerShell process diagnostics on Windows',
+  runtimeDiagnosticsDesc: 'Displays runtime system info and process diagnostics',
   collectingSystemInfo: 'Collecting system info',
   preparingRuntime: 'Preparing runtime...',
   systemInfoCancelled: 'System info cancelled',
@@ -84,15 +188,204 @@ export const extensionMessages = {
   home: 'Home',
   osName: 'OS Name',
   osVersion: 'OS Version',
-  powerShellDiagnostics: 'PowerShell Process Diagnostics',
+  resolvedRuntimes: 'Resolved runtimes (cached for this session)',
+  resolvedRuntimeValue: '{command} (v{version})',
+  runtimeNotFound: 'Not found',
   runningProcesses: 'Running Processes',
   topCpuProcesses: 'Top CPU Processes',
+  topMemoryProcesses: 'Top Memory Processes',
+  processSample: '{name} (PID {pid}) · CPU {cpu} · {memory}',
+  processDiagnostics: 'Process Diagnostics',
+  loadAverage: 'Load Average (1 / 5 / 15 min)',
+  memory: 'Memory',
+  memoryUsage: '{used} used of {total}',
+  uptime: 'Uptime',
+  uptimeValue: '{days} d {hours} h {minutes} min',
   noProcessData: 'No process data returned.',
-  diagnosticsUnavailable: 'PowerShell process diagnostics are unavailable.',
+  diagnosticsUnavailable: 'Process diagnostics are unavailable.',
+  copyAsMarkdown: 'Copy as Markdown',
+  saveAsJson: 'Save as JSON',
+  diagnosticsCopied: 'Diagnostics copied',
+  saveDiagnostics: 'Save diagnostics',
+  diagnosticsSaved: 'Diagnostics saved',
+  diagnosticsSaveFailed: 'Could not save diagnostics',
+  findDuplicates: 'Find duplicate files',
+  findDuplicatesDesc: 'Groups files with identical content in the current directory or selection',
+  scanScope: 'Scan',
+  selectedItemsScope: 'Selected items ({count})',
+  currentDirectoryScope: 'Current directory: {path}',
+  includeSubfolders: 'Include subfolders',
+  scan: 'Scan',
+  nothingToScan: 'There is no current directory or selection to scan.',
+  scanningForDuplicates: 'Scanning for duplicates',
+  duplicateScanCancelled: 'Duplicate scan cancelled',
+  duplicateScanFailed: 'Duplicate scan failed',
+  duplicateFilesTitle: 'Duplicate files',
+  duplicateScanSummary: 'Scanned {scanned, plural, one {# file} other {# files}}: {groups, plural, one {# duplicate group} other {# duplicate groups}} with {files, plural, one {# file} other {# files}}, {wasted} wasted',
+  duplicateGroups: 'Duplicate groups',
+  duplicateGroupHeader: 'Group {n}: {count, plural, one {# file} other {# files}} × {size} ({wasted} wasted)',
+  noDuplicatesFound: 'No duplicate files found.',
+  copyAllPaths: 'Copy all paths',
+  copyRedundantPaths: 'Copy extra copies only',
+  pathsCopied: '{count, plural, one {# path copied} other {# paths copied}}',
+  batchRename: 'Batch rename',
+  batchRenameTitle: '{count, plural, one {Rename # item} other {Rename # items}}',
+  find: 'Find',
+  replaceWith: 'Replace with',
+  useRegex: 'Regular expression',
+  ignoreCase: 'Ignore case',
+  caseConversion: 'Change case',
+  caseKeep: 'Keep as is',
+  caseLower: 'lowercase',
+  caseUpper: 'UPPERCASE',
+  caseTitle: 'Title Case',
+  renameTemplate: 'New name',
+  renameTemplateHint: 'Tokens: {nameToken} name after find/replace, {extToken} extension with dot, {numberToken} or {paddedNumberToken} number (zero-padded), {dateToken} today as YYYY-MM-DD',
+  rename: 'Rename',
+  renameConflict: 'name conflict',
+  renameInvalidName: 'invalid name',
+  renamePlanUnchanged: '{name} (unchanged)',
+  renamePlanProblem: '⚠ {oldName} → {newName} ({problem})',
+  renamePlanSummary: '{count} to rename, {problems} problems',
+  invalidRegex: 'Invalid regular expression: {error}',
+  renameFixProblems: '{count, plural, one {Fix the flagged name before renaming.} other {Fix # flagged names before renaming.}}',
+  renameNothingToDo: 'No names would change.',
+  batchRenameDone: '{count, plural, one {# item renamed} other {# items renamed}}',
+  batchRenameUndoHint: 'Run "Undo Last Batch Rename" to revert.',
+  batchRenameFailed: 'Nothing was renamed:',
+  undoBatchRename: 'Undo last batch rename',
+  undoBatchRenameDesc: 'Restores the names changed by the last batch rename in this session',
+  nothingToUndo: 'There is no batch rename to undo.',
+  batchRenameUndone: '{count, plural, one {# name restored} other {# names restored}}',
+  undoBatchRenameFailed: 'Could not undo the batch rename',
+  compressToZip: 'Compress to ZIP',
+  compressingToZip: 'Compressing to {fileName}',
+  preparingArchive: 'Preparing archive...',
+  zipCreated: 'Created {fileName}',
+  zipCreatedSummary: '{count, plural, one {# entry} other {# entries}}, {size}',
+  zipFailed: 'Could not create the ZIP archive',
+  zipCancelled: 'ZIP operation cancelled',
+  extractHere: 'Extract here',
+  extractZipTitle: '{count, plural, one {Extract # ZIP file} other {Extract # ZIP files}}',
+  existingFiles: 'When a file already exists',
+  existingFilesSkip: 'Skip it',
+  existingFilesOverwrite: 'Overwrite it',
+  existingFilesRename: 'Keep both (rename the extracted file)',
+  extract: 'Extract',
+  noZipFilesSelected: 'Select at least one .zip file to extract.',
+  extractingZip: '{count, plural, one {Extracting # ZIP file} other {Extracting # ZIP files}}',
+  zipExtracted: 'Extraction finished',
+  zipExtractSummary: '{extracted} extracted, {skipped} skipped, {blocked} blocked, {failed} failed',
+  zipEntryBlocked: '{entry}: path leaves the destination folder',
+  zipExtractFailed: 'Could not extract the ZIP files',
+  searchInFiles: 'Search in files',
+  searchInFilesDesc: 'Searches the contents of the selected files or the current directory',
+  searchQuery: 'Search for',
+  searchQueryPlaceholder: 'Text or regular expression',
+  matchCase: 'Match case',
+  includeFiles: 'Files to include',
+  excludeFiles: 'Files and folders to exclude',
+  searchIn: 'Search in',
+  searchStatus: 'Status',
+  searchResults: 'Matches',
+  searchResult: 'Selected match',
+  search: 'Search',
+  stopSearch: 'Stop',
+  searchingFiles: 'Searching files',
+  searchRunning: 'Searching... {count, plural, one {# match} other {# matches}} so far',
+  searchQueryRequired: 'Enter the text to search for.',
+  searchSummary: '{matches, plural, one {# match} other {# matches}} in {files} of {searched, plural, one {# file} other {# files}}',
+  noSearchMatches: 'No matches in {searched, plural, one {# file} other {# files}}',
+  searchSkippedFiles: '{binary} binary and {unreadable} unreadable files skipped',
+  searchStoppedAtMax: 'stopped at the limit of {max} matches',
+  searchCancelled: 'Search stopped after {count, plural, one {# match} other {# matches}}',
+  searchFailed: 'Search failed: {error}',
+  nothingToSearch: 'There is no current directory or selection to search.',
+  checkLocales: 'Check locale completeness',
+  checkLocalesDesc: 'Compares every locale file with the English messages: missing keys, stale keys and placeholder mismatches',
+  localeCheckSummary: '{locales} locales checked against {keys} source keys: {problems, plural, =0 {no problems} one {# problem} other {# problems}}',
+  localeCoverage: 'Coverage',
+  localeProblemCount: '{count, plural, =0 {OK} one {# problem} other {# problems}}',
+  localeIssues: 'Problems',
+  noLocaleIssues: 'Every locale has every key with matching placeholders.',
+  localeMissingKey: 'missing',
+  localeStaleKey: 'stale',
+  localePlaceholderMismatch: 'placeholders',
+  copyReport: 'Copy report',
+  localeCheckFailed: 'Could not check the locale files',
+  unknownSize: 'Unknown',
+  saveSettings: 'Save',
+  resetToDefaults: 'Reset to defaults',
+  settingsSaved: 'Settings saved',
+  settingsReset: 'Settings reset to defaults',
+  settingsInvalid: 'Some settings are invalid',
+  settingNotANumber: '{setting}: enter a number',
+  settingBelowMinimum: '{setting}: must be at least {minimum}',
+  settingAboveMaximum: '{setting}: must be at most {maximum}',
+  settingNotAnOption: '{setting}: choose one of the listed values',
+  settingsSaveFailed: 'Could not save the settings',
+  fileSizeUnitsBinary: 'Binary (KiB, 1024)',
+  fileSizeUnitsDecimal: 'Decimal (kB, 1000)',
+  notificationHistory: 'Notification history',
+  notificationHistoryDesc: 'Shows the notifications of this session, including muted ones',
+  notificationHistoryNote: 'Newest first. Notifications muted by the Show Notifications setting are listed too.',
+  noNotificationHistory: 'No notifications in this session yet.',
+  notificationMuted: 'muted',
+  notificationTypeInfo: 'Info',
+  notificationTypeSuccess: 'Success',
+  notificationTypeWarning: 'Warning',
+  notificationTypeError: 'Error',
+  clearHistory: 'Clear history',
+  operationHistory: 'Operation history',
+  operationHistoryDesc: 'Lists file analysis, JSON tools and diagnostics runs to re-run them or copy their output',
+  noOperationHistory: 'No operations recorded yet.',
+  operationEntry: 'Operation',
+  operationDetails: 'Details',
+  operationStarted: 'Started',
+  operationOutcome: 'Outcome',
+  operationDuration: 'Duration',
+  operationInputs: 'Inputs',
+  operationError: 'Error',
+  operationOutput: 'Output',
+  operationSucceeded: 'Succeeded',
+  operationFailed: 'Failed',
+  operationCancelled: 'Cancelled',
+  durationSeconds: '{seconds} s',
+  copyOutput: 'Copy output',
+  rerunOperation: 'Re-run',
+  operationHistoryCleared: 'Operation history cleared',
+  operationNotRerunnable: 'The inputs of this entry were too large to keep, so it cannot be re-run',
+  showTaskQueue: 'Show Task Queue',
+  showTaskQueueDesc: 'Shows queued and running jobs to follow their progress or cancel them',
+  taskQueue: 'Task Queue',
+  taskQueueRunning: 'Running tasks',
+  taskQueueProgress: '{done} of {total, plural, one {# task} other {# tasks}} done',
+  taskQueueFinished: 'Tasks finished',
+  taskQueueSummary: 'Succeeded: {succeeded} · Failed: {failed} · Cancelled: {cancelled}',
+  taskQueueStatus: 'Running: {running} · Queued: {queued} · Done: {percent}%',
+  taskQueueStatusLabel: 'Queue status',
+  taskList: 'Tasks',
+  taskQueued: 'Queued',
+  taskRunning: 'Running {percent}%',
+  cancelTask: 'Cancel Task',
+  cancelAllTasks: 'Cancel All',
+  noTasks: 'No tasks have run in this session yet',
   'settings.title': 'Example Extension Settings',
   'settings.description': 'An example extension demonstrating context menus, commands, notifications, dialogs, context API, built-in commands, configurable settings, progress reporting, and keybindings.',
   'settings.showNotifications': 'Show Notifications',
-  'settings.showNotificationsDescription': 'Show notifications for actions',
+  'settings.showNotificationsDescription': 'Show notifications for actions; errors are always shown',
   'settings.notificationDuration': 'Notification Duration',
   'settings.notificationDurationDescription': 'Duration of notifications in milliseconds',
+  'settings.copyPathDefaultFormat': 'Copy Path Format',
+  'settings.copyPathDefaultFormatDescription': 'Format used by Copy Path and its keyboard shortcut',
+  'settings.copyPathSeparator': 'Copy Path Separator',
+  'settings.copyPathSeparatorDescription': 'Separator between paths when several items are selected',
+  'settings.searchMaxMatches': 'Search Match Limit',
+  'settings.searchMaxMatchesDescription': 'Search in Files stops after this many matches',
+  'settings.fileSizeUnits': 'File Size Units',
+  'settings.fileSizeUnitsDescription': 'binary uses steps of 1024 (KiB, MiB), decimal uses steps of 1000 (kB, MB)',
+  'settings.recordOperationHistory': 'Record Operation History',
+  'settings.recordOperationHistoryDescription': 'Keep file analysis, JSON tools and diagnostics runs in operation-history.json in the extension data folder (up to 50 entries)',
+  'settings.taskConcurrency': 'Concurrent Tasks',
+  'settings.taskConcurrencyDescription': 'How many queued jobs, such as hashing one file, run at the same time (1–8)',
 };
@@ -0,0 +1,80 @@
+import { readPayloadText } from './payload.js';
+
+/**
+ * Renames `{ renames: [{ from, to }] }` read from stdin and prints `{ renamed }`.
+ * Every entry is first moved to a temporary name so swaps and rotations
+ * (`a → b`, `b → a`) work. If any step fails, the finished steps are undone
+ * in reverse order and the script exits with an error.
+ */
+
+// Case-insensitive file systems report `A.txt` as existing when `a.txt` does.
+const caseInsensitive = Deno.build.os === 'windows' || Deno.build.os === 'darwin';
+const toPathKey = path => (caseInsensitive ? path.toLowerCase() : path);
+
+async function pathExists(path) {
+  try {
+    await Deno.lstat(path);
+    return true;
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) return false;
+    throw error;
+  }
+}
+
+function getTemporaryPath(path, index) {
+  const separatorIndex = Math.max(path.lastIndexOf('/'), path.lastIndexOf('\\'));
+  const suffix = `${Date.now().toString(36)}-${index}`;
+  return `${path.slice(0, separatorIndex + 1)}.batch-rename-${suffix}.tmp`;
+}
+
+async function readRenames() {
+  const payload = JSON.parse(await readPayloadText());
+  const renames = Array.isArray(payload.renames) ? payload.renames : [];
+  return renames.filter(rename => typeof rename.from === 'string' && typeof rename.to === 'string' && rename.from !== rename.to);
+}
+
+try {
+  const renames = await readRenames();
+  const sourceKeys = new Set(renames.map(rename => toPathKey(rename.from)));
+  const targetKeys = new Set();
+
+  for (const rename of renames) {
+    if (!(await pathExists(rename.from))) {
+      throw new Error(`Source does not exist: ${rename.from}`);
+    }
+    const targetKey = toPathKey(rename.to);
+    if (targetKeys.has(targetKey)) {
+      throw new Error(`Two entries would be renamed to ${rename.to}`);
+    }
+    targetKeys.add(targetKey);
+    if (!sourceKeys.has(targetKey) && (await pathExists(rename.to))) {
+      throw new Error(`Target already exists: ${rename.to}`);
+    }
+  }
+
+  const completedSteps = [];
+  try {
+    const temporaryPaths = [];
+    for (const [renameIndex, rename] of renames.entries()) {
+      const temporaryPath = getTemporaryPath(rename.from, renameIndex);
+      await Deno.rename(rename.from, temporaryPath);
+      completedSteps.push({ from: rename.from, to: temporaryPath });
+      temporaryPaths.push(temporaryPath);
+    }
+
+    for (const [renameIndex, rename] of renames.entries()) {
+      await Deno.rename(temporaryPaths[renameIndex], rename.to);
+      completedSteps.push({ from: temporaryPaths[renameIndex], to: rename.to });
+    }
+  } catch (error) {
+    for (const step of completedSteps.reverse()) {
+      await Deno.rename(step.to, step.from).catch(() => {});
+    }
+    throw error;
+  }
+
+  console.log(JSON.stringify({ renamed: renames.map(({ from, to }) => ({ from, to })) }));
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
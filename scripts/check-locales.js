@@ -0,0 +1,106 @@
+import { extensionMessages } from '../messages.js';
+import { getMessageArgumentNames } from '../lib/i18n.js';
+
+/**
+ * Compares every `locales/*.json` file with the English messages in `messages.js`
+ * and prints `{ sourceKeyCount, locales: [...] }`. Can be run on its own:
+ *
+ *   deno run --allow-read scripts/check-locales.js --format=text --strict
+ *
+ * `--locales=<dir>` checks another folder, `--strict` exits with code 1 when any
+ * locale has problems.
+ */
+
+const options = Object.fromEntries(
+  Deno.args
+    .filter(argument => argument.startsWith('--'))
+    .map(argument => (argument.includes('=')
+      ? [argument.slice(2, argument.indexOf('=')), argument.slice(argument.indexOf('=') + 1)]
+      : [argument.slice(2), 'true'])),
+);
+const localesDirectory = options.locales || new URL('../locales/', import.meta.url);
+
+function haveSameNames(firstNames, secondNames) {
+  return firstNames.length === secondNames.length && firstNames.every((name, index) => name === secondNames[index]);
+}
+
+async function readLocaleFiles() {
+  const localeFiles = [];
+  for await (const directoryEntry of Deno.readDir(localesDirectory)) {
+    if (directoryEntry.isFile && directoryEntry.name.endsWith('.json')) {
+      localeFiles.push(directoryEntry.name);
+    }
+  }
+  return localeFiles.sort();
+}
+
+async function checkLocale(fileName, sourceKeys) {
+  const locale = fileName.replace(/\.json$/, '');
+  const filePath = typeof localesDirectory === 'string'
+    ? `${localesDirectory.replace(/[\\/]$/, '')}/${fileName}`
+    : new URL(fileName, localesDirectory);
+
+  let messages;
+  try {
+    messages = JSON.parse(await Deno.readTextFile(filePath));
+  } catch (error) {
+    return { locale, error: error instanceof Error ? error.message : String(error), missing: [], extra: [], placeholderMismatches: [], coverage: 0 };
+  }
+
+  const missing = sourceKeys.filter(key => typeof messages[key] !== 'string');
+  const extra = Object.keys(messages).filter(key => !Object.prototype.hasOwnProperty.call(extensionMessages, key));
+  const placeholderMismatches = sourceKeys
+    .filter(key => typeof messages[key] === 'string')
+    .map(key => ({
+      key,
+      expected: getMessageArgumentNames(extensionMessages[key]),
+      actual: getMessageArgumentNames(messages[key]),
+    }))
+    .filter(mismatch => !haveSameNames(mismatch.expected, mismatch.actual));
+
+  return {
+    locale,
+    missing,
+    extra,
+    placeholderMismatches,
+    coverage: sourceKeys.length > 0
+      ? Math.floor(((sourceKeys.length - missing.length) / sourceKeys.length) * 1000) / 10
+      : 100,
+  };
+}
+
+function formatNames(names) {
+  return names.length > 0 ? names.map(name => `{${name}}`).join(', ') : '-';
+}
+
+function formatTextReport(report) {
+  const lines = [`${report.sourceKeyCount} source keys`];
+  for (const result of report.locales) {
+    lines.push('', `${result.locale}: ${result.coverage}%${result.error ? ` (${result.error})` : ''}`);
+    result.missing.forEach(key => lines.push(`  missing      ${key}`));
+    result.extra.forEach(key => lines.push(`  stale        ${key}`));
+    result.placeholderMismatches.forEach(mismatch => lines.push(
+      `  placeholders ${mismatch.key}: expected ${formatNames(mismatch.expected)}, found ${formatNames(mismatch.actual)}`,
+    ));
+  }
+  return lines.join('\n');
+}
+
+try {
+  const sourceKeys = Object.keys(extensionMessages);
+  const locales = [];
+  for (const fileName of await readLocaleFiles()) {
+    locales.push(await checkLocale(fileName, sourceKeys));
+  }
+
+  const report = { sourceKeyCount: sourceKeys.length, locales };
+  console.log(options.format === 'text' ? formatTextReport(report) : JSON.stringify(report));
+
+  const hasProblems = locales.some(result => result.error || result.missing.length || result.extra.length || result.placeholderMismatches.length);
+  if (options.strict === 'true' && hasProblems) {
+    Deno.exit(1);
+  }
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
@@ -0,0 +1,55 @@
+import { SETTINGS_SCHEMA_PROPERTIES } from '../lib/settings-schema.js';
+
+/**
+ * Compares `contributes.configuration.properties` in `package.json` with
+ * `lib/settings-schema.js`, which the settings editor is built from. Prints one line per
+ * difference and exits with code 1 when there are any:
+ *
+ *   deno run --allow-read scripts/check-settings-schema.js
+ */
+
+function describeValue(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+function collectDifferences(manifestProperties) {
+  const differences = [];
+  const settingKeys = new Set([...Object.keys(manifestProperties), ...Object.keys(SETTINGS_SCHEMA_PROPERTIES)]);
+
+  for (const settingKey of settingKeys) {
+    const manifestProperty = manifestProperties[settingKey];
+    const schemaProperty = SETTINGS_SCHEMA_PROPERTIES[settingKey];
+    if (!manifestProperty || !schemaProperty) {
+      differences.push(`${settingKey}: only in ${manifestProperty ? 'package.json' : 'lib/settings-schema.js'}`);
+      continue;
+    }
+
+    const fieldNames = new Set([...Object.keys(manifestProperty), ...Object.keys(schemaProperty)]);
+    for (const fieldName of fieldNames) {
+      const manifestValue = JSON.stringify(manifestProperty[fieldName]);
+      const schemaValue = JSON.stringify(schemaProperty[fieldName]);
+      if (manifestValue !== schemaValue) {
+        differences.push(
+          `${settingKey}.${fieldName}: package.json has ${describeValue(manifestProperty[fieldName])}, `
+            + `lib/settings-schema.js has ${describeValue(schemaProperty[fieldName])}`,
+        );
+      }
+    }
+  }
+
+  return differences;
+}
+
+try {
+  const manifest = JSON.parse(await Deno.readTextFile(new URL('../package.json', import.meta.url)));
+  const differences = collectDifferences(manifest.contributes?.configuration?.properties ?? {});
+
+  if (differences.length > 0) {
+    console.log(differences.join('\n'));
+    Deno.exit(1);
+  }
+  console.log(`${Object.keys(SETTINGS_SCHEMA_PROPERTIES).length} settings match package.json`);
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
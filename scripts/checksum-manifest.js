@@ -0,0 +1,142 @@
+import { collectFiles, createProgressReporter, getSafeRelativeSegments, getTotalSize, hashFile, joinPath, supportedAlgorithms } from './hashing.js';
+
+const algorithmsByDigestLength = {
+  32: 'md5',
+  40: 'sha1',
+  64: 'sha256',
+  96: 'sha384',
+  128: 'sha512',
+};
+
+const action = Deno.args[0];
+const options = Object.fromEntries(
+  Deno.args
+    .filter(argument => argument.startsWith('--') && argument.includes('='))
+    .map(argument => [argument.slice(2, argument.indexOf('=')), argument.slice(argument.indexOf('=') + 1)]),
+);
+const targetPaths = Deno.args.slice(1).filter(argument => !argument.startsWith('--'));
+
+function getDirectoryPath(filePath) {
+  const separatorIndex = Math.max(filePath.lastIndexOf('/'), filePath.lastIndexOf('\\'));
+  return separatorIndex > 0 ? filePath.slice(0, separatorIndex) : '.';
+}
+
+function getRelativePath(basePath, filePath) {
+  const relativePath = filePath.startsWith(basePath)
+    ? filePath.slice(basePath.length).replace(/^[\\/]+/, '')
+    : filePath;
+  return relativePath.replace(/\\/g, '/');
+}
+
+async function generateManifest() {
+  const manifestPath = options.output;
+  const algorithm = options.algorithm || 'sha256';
+
+  if (!manifestPath || targetPaths.length === 0) {
+    throw new Error('Manifest path and at least one target path are required');
+  }
+
+  if (!supportedAlgorithms.includes(algorithm)) {
+    throw new Error(`Unsupported algorithm: ${algorithm}`);
+  }
+
+  const basePath = getDirectoryPath(manifestPath);
+  const filePaths = (await collectFiles(targetPaths))
+    .filter(filePath => filePath !== manifestPath)
+    .sort();
+  const progressReporter = createProgressReporter(await getTotalSize(filePaths));
+  const manifestLines = [];
+
+  for (const filePath of filePaths) {
+    const hashes = await hashFile(filePath, [algorithm], byteCount => progressReporter.advance(byteCount));
+    manifestLines.push(`${hashes[algorithm]}  ${getRelativePath(basePath, filePath)}`);
+  }
+
+  await Deno.writeTextFile(manifestPath, manifestLines.length > 0 ? `${manifestLines.join('\n')}\n` : '');
+  progressReporter.finish();
+
+  return { manifestPath, fileCount: manifestLines.length };
+}
+
+async function verifyManifest() {
+  const manifestPath = targetPaths[0];
+
+  if (!manifestPath) {
+    throw new Error('Manifest path is required');
+  }
+
+  const basePath = getDirectoryPath(manifestPath);
+  const manifestName = getRelativePath(basePath, manifestPath);
+  // `file.iso.sha256` often holds just the digest of `file.iso`
+  const implicitTargetPath = manifestName.replace(/\.(md5|sha1|sha256|sha384|sha512)$/i, '');
+  const manifestEntries = (await Deno.readTextFile(manifestPath))
+    .split(/\r?\n/)
+    .map(line => line.trim().match(/^([0-9a-fA-F]+)(?: [ *](.+))?$/))
+    .filter(lineMatch => lineMatch && (lineMatch[2] || implicitTargetPath !== manifestName))
+    .map((lineMatch) => {
+      const segments = getSafeRelativeSegments(lineMatch[2] || implicitTargetPath);
+      return {
+        expected: lineMatch[1].toLowerCase(),
+        path: lineMatch[2] || implicitTargetPath,
+        // Entries such as `../secret` are reported instead of read
+        filePath: segments && segments.length > 0 ? segments.reduce((path, segment) => joinPath(path, segment), basePath) : null,
+      };
+    });
+  const progressReporter = createProgressReporter(await getTotalSize(manifestEntries.flatMap(manifestEntry => manifestEntry.filePath || [])));
+  const realBasePrefix = joinPath(await Deno.realPath(basePath), '');
+  const entries = [];
+
+  for (const manifestEntry of manifestEntries) {
+    const algorithm = algorithmsByDigestLength[manifestEntry.expected.length];
+    const entry = { path: manifestEntry.path, expected: manifestEntry.expected, actual: '', error: '' };
+
+    if (!manifestEntry.filePath) {
+      entries.push({ ...entry, status: 'unsafe' });
+      continue;
+    }
+
+    if (!algorithm) {
+      entries.push({ ...entry, status: 'mismatch' });
+      continue;
+    }
+
+    try {
+      // A symlink inside the folder can still lead out of it
+      if (!(await Deno.realPath(manifestEntry.filePath)).startsWith(realBasePrefix)) {
+        entries.push({ ...entry, status: 'unsafe' });
+        continue;
+      }
+      if (!(await Deno.stat(manifestEntry.filePath)).isFile) {
+        throw new Error('Not a file');
+      }
+      const hashes = await hashFile(manifestEntry.filePath, [algorithm], byteCount => progressReporter.advance(byteCount));
+      entries.push({ ...entry, status: hashes[algorithm] === manifestEntry.expected ? 'ok' : 'mismatch', actual: hashes[algorithm] });
+    } catch (error) {
+      entries.push(error instanceof Deno.errors.NotFound
+        ? { ...entry, status: 'missing' }
+        : { ...entry, status: 'unreadable', error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  progressReporter.finish();
+
+  return { manifestPath, entries };
+}
+
+try {
+  if (action === 'generate') {
+    console.log(JSON.stringify(await generateManifest()));
+    Deno.exit(0);
+  }
+
+  if (action === 'verify') {
+    console.log(JSON.stringify(await verifyManifest()));
+    Deno.exit(0);
+  }
+
+  console.error(`Unsupported action: ${action}`);
+  Deno.exit(1);
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
@@ -0,0 +1,221 @@
+import { createProgressReporter, joinPath } from './hashing.js';
+import {
+  CENTRAL_DIRECTORY_SIGNATURE,
+  createCrc32,
+  createRecord,
+  createTapStream,
+  DATA_DESCRIPTOR_SIGNATURE,
+  END_OF_CENTRAL_DIRECTORY_SIGNATURE,
+  FLAG_DATA_DESCRIPTOR,
+  FLAG_UTF8,
+  getAvailablePath,
+  LOCAL_FILE_HEADER_SIGNATURE,
+  METHOD_DEFLATED,
+  METHOD_STORED,
+  pathExists,
+  toDosDateTime,
+  writeBytes,
+  writeStream,
+  ZIP32_MAX_ENTRIES,
+  ZIP32_MAX_SIZE,
+} from './zip-format.js';
+
+const outputArgument = Deno.args.find(argument => argument.startsWith('--output='));
+const targetPaths = Deno.args.filter(argument => !argument.startsWith('--'));
+const textEncoder = new TextEncoder();
+
+if (!outputArgument || targetPaths.length === 0) {
+  console.error('An output path and at least one path to compress are required');
+  Deno.exit(1);
+}
+
+function getEntryName(path) {
+  return path.split(/[\\/]/).filter(Boolean).pop() || path;
+}
+
+/**
+ * Each selected item is stored under its own name, so selecting `a.txt` and `docs/`
+ * gives `a.txt` and `docs/...` at the archive root. Symlinks are not followed.
+ */
+async function collectEntries(paths) {
+  const entries = [];
+
+  async function visit(path, archiveName) {
+    const fileInfo = await Deno.lstat(path);
+    if (fileInfo.isDirectory) {
+      entries.push({ path, archiveName: `${archiveName}/`, isDirectory: true, modified: fileInfo.mtime, size: 0 });
+      for await (const directoryEntry of Deno.readDir(path)) {
+        await visit(joinPath(path, directoryEntry.name), `${archiveName}/${directoryEntry.name}`);
+      }
+    } else if (fileInfo.isFile) {
+      entries.push({ path, archiveName, isDirectory: false, modified: fileInfo.mtime, size: fileInfo.size });
+    }
+  }
+
+  for (const targetPath of paths) {
+    await visit(targetPath, getEntryName(targetPath));
+  }
+
+  return entries;
+}
+
+function createLocalHeader(nameBytes, flags, method, dosDateTime) {
+  return createRecord(30 + nameBytes.length)
+    .uint32(LOCAL_FILE_HEADER_SIGNATURE)
+    .uint16(20)
+    .uint16(flags)
+    .uint16(method)
+    .uint16(dosDateTime.time)
+    .uint16(dosDateTime.date)
+    .uint32(0)
+    .uint32(0)
+    .uint32(0)
+    .uint16(nameBytes.length)
+    .uint16(0)
+    .bytes(nameBytes)
+    .toBytes();
+}
+
+function createCentralDirectoryRecord(record) {
+  // Upper 16 bits of the external attributes hold the Unix mode; the low bit 0x10 is the MS-DOS directory flag.
+  const externalAttributes = record.isDirectory ? ((0o40755 << 16) | 0x10) : (0o100644 << 16);
+  return createRecord(46 + record.nameBytes.length)
+    .uint32(CENTRAL_DIRECTORY_SIGNATURE)
+    .uint16((3 << 8) | 20)
+    .uint16(20)
+    .uint16(record.flags)
+    .uint16(record.method)
+    .uint16(record.dosDateTime.time)
+    .uint16(record.dosDateTime.date)
+    .uint32(record.crc)
+    .uint32(record.compressedSize)
+    .uint32(record.size)
+    .uint16(record.nameBytes.length)
+    .uint16(0)
+    .uint16(0)
+    .uint16(0)
+    .uint16(0)
+    .uint32(externalAttributes)
+    .uint32(record.offset)
+    .bytes(record.nameBytes)
+    .toBytes();
+}
+
+async function writeEntry(archiveFile, entry, offset) {
+  const nameBytes = textEncoder.encode(entry.archiveName);
+  const dosDateTime = toDosDateTime(entry.modified);
+  const method = entry.isDirectory ? METHOD_STORED : METHOD_DEFLATED;
+  const flags = entry.isDirectory ? FLAG_UTF8 : FLAG_UTF8 | FLAG_DATA_DESCRIPTOR;
+  const localHeader = createLocalHeader(nameBytes, flags, method, dosDateTime);
+  await writeBytes(archiveFile, localHeader);
+
+  const record = { nameBytes, dosDateTime, method, flags, offset, isDirectory: entry.isDirectory, crc: 0, size: 0, compressedSize: 0 };
+  if (entry.isDirectory) {
+    return { record, byteCount: localHeader.length };
+  }
+
+  const crc = createCrc32();
+  const sourceFile = await Deno.open(entry.path, { read: true });
+  record.compressedSize = await writeStream(
+    sourceFile.readable
+      .pipeThrough(createTapStream((chunk) => {
+        crc.update(chunk);
+        record.size += chunk.length;
+      }))
+      .pipeThrough(new CompressionStream('deflate-raw')),
+    archiveFile,
+  );
+  record.crc = crc.digest();
+
+  if (record.size > ZIP32_MAX_SIZE || record.compressedSize > ZIP32_MAX_SIZE) {
+    throw new Error(`${entry.path} is larger than 4 GB, which needs ZIP64`);
+  }
+
+  const dataDescriptor = createRecord(16)
+    .uint32(DATA_DESCRIPTOR_SIGNATURE)
+    .uint32(record.crc)
+    .uint32(record.compressedSize)
+    .uint32(record.size)
+    .toBytes();
+  await writeBytes(archiveFile, dataDescriptor);
+
+  return { record, byteCount: localHeader.length + record.compressedSize + dataDescriptor.length };
+}
+
+// The archive is written under a temporary name and renamed at the end, so a failed
+// or cancelled run never leaves a truncated file under the final name.
+const outputPath = await getAvailablePath(outputArgument.slice('--output='.length), pathExists);
+const partialPath = `${outputPath}.partial`;
+const removePartialArchive = () => {
+  try {
+    Deno.removeSync(partialPath);
+  } catch {
+  }
+};
+
+if (Deno.build.os !== 'windows') {
+  Deno.addSignalListener('SIGTERM', () => {
+    removePartialArchive();
+    Deno.exit(130);
+  });
+}
+
+let archiveFile = null;
+try {
+  const entries = await collectEntries(targetPaths);
+  if (entries.length > ZIP32_MAX_ENTRIES) {
+    throw new Error(`${entries.length} entries exceed the ${ZIP32_MAX_ENTRIES}-entry limit of ZIP without ZIP64`);
+  }
+
+  const progressReporter = createProgressReporter(entries.length, 'processed');
+  archiveFile = await Deno.open(partialPath, { write: true, createNew: true });
+  const centralDirectoryRecords = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    if (offset > ZIP32_MAX_SIZE) {
+      throw new Error('The archive is larger than 4 GB, which needs ZIP64');
+    }
+    const { record, byteCount } = await writeEntry(archiveFile, entry, offset);
+    centralDirectoryRecords.push(createCentralDirectoryRecord(record));
+    offset += byteCount;
+    progressReporter.advance(1);
+  }
+
+  const centralDirectoryOffset = offset;
+  let centralDirectorySize = 0;
+  for (const centralDirectoryRecord of centralDirectoryRecords) {
+    await writeBytes(archiveFile, centralDirectoryRecord);
+    centralDirectorySize += centralDirectoryRecord.length;
+  }
+
+  if (centralDirectoryOffset + centralDirectorySize > ZIP32_MAX_SIZE) {
+    throw new Error('The archive is larger than 4 GB, which needs ZIP64');
+  }
+
+  await writeBytes(archiveFile, createRecord(22)
+    .uint32(END_OF_CENTRAL_DIRECTORY_SIGNATURE)
+    .uint16(0)
+    .uint16(0)
+    .uint16(entries.length)
+    .uint16(entries.length)
+    .uint32(centralDirectorySize)
+    .uint32(centralDirectoryOffset)
+    .uint16(0)
+    .toBytes());
+  archiveFile.close();
+  archiveFile = null;
+
+  await Deno.rename(partialPath, outputPath);
+  progressReporter.finish();
+  console.log(JSON.stringify({
+    path: outputPath,
+    entryCount: entries.length,
+    archiveBytes: centralDirectoryOffset + centralDirectorySize + 22,
+  }));
+} catch (error) {
+  archiveFile?.close();
+  removePartialArchive();
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
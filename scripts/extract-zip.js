@@ -0,0 +1,238 @@
+import { createProgressReporter, getSafeRelativeSegments, joinPath } from './hashing.js';
+import {
+  CENTRAL_DIRECTORY_SIGNATURE,
+  createCrc32,
+  createTapStream,
+  END_OF_CENTRAL_DIRECTORY_SIGNATURE,
+  FLAG_ENCRYPTED,
+  FLAG_UTF8,
+  fromDosDateTime,
+  getAvailablePath,
+  LOCAL_FILE_HEADER_SIGNATURE,
+  METHOD_DEFLATED,
+  METHOD_STORED,
+  pathExists,
+  writeStream,
+  ZIP32_MAX_ENTRIES,
+  ZIP32_MAX_SIZE,
+} from './zip-format.js';
+
+const EXISTING_FILE_POLICIES = ['skip', 'overwrite', 'rename'];
+const policyArgument = Deno.args.find(argument => argument.startsWith('--existing='));
+const existingFilePolicy = policyArgument ? policyArgument.slice('--existing='.length) : 'skip';
+const archivePaths = Deno.args.filter(argument => !argument.startsWith('--'));
+
+if (archivePaths.length === 0) {
+  console.error('At least one ZIP file is required');
+  Deno.exit(1);
+}
+
+if (!EXISTING_FILE_POLICIES.includes(existingFilePolicy)) {
+  console.error(`Unsupported existing file policy: ${existingFilePolicy}`);
+  Deno.exit(1);
+}
+
+function getParentPath(path) {
+  const separatorIndex = Math.max(path.lastIndexOf('/'), path.lastIndexOf('\\'));
+  return separatorIndex > 0 ? path.slice(0, separatorIndex) : path.slice(0, separatorIndex + 1);
+}
+
+async function readExactly(file, position, length) {
+  const buffer = new Uint8Array(length);
+  await file.seek(position, Deno.SeekMode.Start);
+  let bytesRead = 0;
+  while (bytesRead < length) {
+    const chunkLength = await file.read(buffer.subarray(bytesRead));
+    if (chunkLength === null) throw new Error('Unexpected end of ZIP file');
+    bytesRead += chunkLength;
+  }
+  return buffer;
+}
+
+/**
+ * Reads the central directory, which lists every entry with its sizes and the
+ * offset of its local header.
+ */
+async function readCentralDirectory(file) {
+  const { size: fileSize } = await file.stat();
+  const tailLength = Math.min(fileSize, 22 + 0xffff);
+  const tail = await readExactly(file, fileSize - tailLength, tailLength);
+  const tailView = new DataView(tail.buffer);
+
+  let endOffset = -1;
+  for (let offset = tailLength - 22; offset >= 0; offset--) {
+    if (tailView.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) throw new Error('Not a ZIP file');
+
+  const entryCount = tailView.getUint16(endOffset + 10, true);
+  const directorySize = tailView.getUint32(endOffset + 12, true);
+  const directoryOffset = tailView.getUint32(endOffset + 16, true);
+  if (entryCount === ZIP32_MAX_ENTRIES || directorySize === ZIP32_MAX_SIZE || directoryOffset === ZIP32_MAX_SIZE) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const directory = await readExactly(file, directoryOffset, directorySize);
+  const directoryView = new DataView(directory.buffer);
+  const utf8Decoder = new TextDecoder('utf-8');
+  // Names without the UTF-8 flag use the legacy code page; CP437 is not available, so Latin-1 is the closest fit.
+  const legacyDecoder = new TextDecoder('windows-1252');
+  const entries = [];
+  let offset = 0;
+
+  for (let entryIndex = 0; entryIndex < entryCount; entryIndex++) {
+    if (directoryView.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const flags = directoryView.getUint16(offset + 8, true);
+    const nameLength = directoryView.getUint16(offset + 28, true);
+    const extraLength = directoryView.getUint16(offset + 30, true);
+    const commentLength = directoryView.getUint16(offset + 32, true);
+    const nameBytes = directory.subarray(offset + 46, offset + 46 + nameLength);
+    const unixMode = directoryView.getUint32(offset + 38, true) >>> 16;
+
+    entries.push({
+      name: (flags & FLAG_UTF8 ? utf8Decoder : legacyDecoder).decode(nameBytes),
+      flags,
+      method: directoryView.getUint16(offset + 10, true),
+      modified: fromDosDateTime(directoryView.getUint16(offset + 14, true), directoryView.getUint16(offset + 12, true)),
+      crc: directoryView.getUint32(offset + 16, true),
+      compressedSize: directoryView.getUint32(offset + 20, true),
+      size: directoryView.getUint32(offset + 24, true),
+      isSymlink: (unixMode & 0o170000) === 0o120000,
+      localHeaderOffset: directoryView.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * A stream of exactly `length` bytes starting at `position`.
+ */
+function createRangeStream(file, position, length) {
+  let remaining = length;
+  let positioned = false;
+  return new ReadableStream({
+    async pull(controller) {
+      if (!positioned) {
+        await file.seek(position, Deno.SeekMode.Start);
+        positioned = true;
+      }
+      if (remaining === 0) {
+        controller.close();
+        return;
+      }
+      const buffer = new Uint8Array(Math.min(remaining, 65536));
+      const bytesRead = await file.read(buffer);
+      if (bytesRead === null) {
+        controller.error(new Error('Unexpected end of ZIP file'));
+        return;
+      }
+      remaining -= bytesRead;
+      controller.enqueue(buffer.subarray(0, bytesRead));
+    },
+  });
+}
+
+async function extractFileEntry(archiveFile, entry, targetPath) {
+  if (entry.flags & FLAG_ENCRYPTED) throw new Error('Encrypted entries are not supported');
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+    throw new Error(`Unsupported compression method ${entry.method}`);
+  }
+
+  const localHeader = new DataView((await readExactly(archiveFile, entry.localHeaderOffset, 30)).buffer);
+  if (localHeader.getUint32(0, true) !== LOCAL_FILE_HEADER_SIGNATURE) throw new Error('Corrupt local file header');
+  const dataOffset = entry.localHeaderOffset + 30 + localHeader.getUint16(26, true) + localHeader.getUint16(28, true);
+
+  const crc = createCrc32();
+  const compressedStream = createRangeStream(archiveFile, dataOffset, entry.compressedSize);
+  const dataStream = entry.method === METHOD_DEFLATED
+    ? compressedStream.pipeThrough(new DecompressionStream('deflate-raw'))
+    : compressedStream;
+
+  await Deno.mkdir(getParentPath(targetPath), { recursive: true });
+  const targetFile = await Deno.open(targetPath, { write: true, create: true, truncate: true });
+  try {
+    const size = await writeStream(dataStream.pipeThrough(createTapStream(chunk => crc.update(chunk))), targetFile);
+    if (size !== entry.size || crc.digest() !== entry.crc) throw new Error('CRC or size mismatch');
+  } catch (error) {
+    targetFile.close();
+    await Deno.remove(targetPath).catch(() => {});
+    throw error;
+  }
+  targetFile.close();
+  await Deno.utime(targetPath, entry.modified, entry.modified).catch(() => {});
+}
+
+async function extractArchive(archivePath, entries, progressReporter) {
+  const destination = getParentPath(archivePath);
+  const summary = { path: archivePath, destination, extracted: 0, skipped: 0, renamed: 0, unsafeEntries: [], errors: [] };
+  const archiveFile = await Deno.open(archivePath, { read: true });
+
+  try {
+    for (const entry of entries) {
+      const segments = getSafeRelativeSegments(entry.name);
+      if (!segments || entry.isSymlink) {
+        summary.unsafeEntries.push(entry.name);
+      } else if (segments.length > 0) {
+        try {
+          let targetPath = segments.reduce((path, segment) => joinPath(path, segment), destination);
+          if (existingFilePolicy === 'overwrite' && targetPath === archivePath) {
+            throw new Error('The entry would replace the archive being extracted');
+          }
+          if (entry.name.endsWith('/') || entry.name.endsWith('\\')) {
+            await Deno.mkdir(targetPath, { recursive: true });
+          } else if (existingFilePolicy !== 'overwrite' && (await pathExists(targetPath))) {
+            if (existingFilePolicy === 'skip') {
+              summary.skipped++;
+            } else {
+              targetPath = await getAvailablePath(targetPath, pathExists);
+              await extractFileEntry(archiveFile, entry, targetPath);
+              summary.renamed++;
+            }
+          } else {
+            await extractFileEntry(archiveFile, entry, targetPath);
+            summary.extracted++;
+          }
+        } catch (error) {
+          summary.errors.push({ entry: entry.name, error: error instanceof Error ? error.message : String(error) });
+        }
+      }
+      progressReporter.advance(1);
+    }
+  } finally {
+    archiveFile.close();
+  }
+
+  return summary;
+}
+
+try {
+  const archives = [];
+  for (const archivePath of archivePaths) {
+    const archiveFile = await Deno.open(archivePath, { read: true });
+    try {
+      archives.push({ path: archivePath, entries: await readCentralDirectory(archiveFile) });
+    } finally {
+      archiveFile.close();
+    }
+  }
+
+  const progressReporter = createProgressReporter(archives.reduce((total, archive) => total + archive.entries.length, 0), 'processed');
+  const results = [];
+  for (const archive of archives) {
+    results.push(await extractArchive(archive.path, archive.entries, progressReporter));
+  }
+
+  progressReporter.finish();
+  console.log(JSON.stringify({ results }));
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
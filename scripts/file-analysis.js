@@ -1,18 +1,34 @@
-const filePath = Deno.args[0];
+import { createProgressReporter, getTotalSize, hashFile, supportedAlgorithms } from './hashing.js';
 
-if (!filePath) {
+const algorithmsArgument = Deno.args.find(argument => argument.startsWith('--algorithms='));
+const algorithms = algorithmsArgument
+  ? algorithmsArgument.slice('--algorithms='.length).split(',').filter(Boolean)
+  : ['sha256'];
+const filePaths = Deno.args.filter(argument => !argument.startsWith('--algorithms='));
+
+if (filePaths.length === 0) {
   console.error('File path is required');
   Deno.exit(1);
 }
 
-try {
-  const fileBytes = await Deno.readFile(filePath);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', fileBytes);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashHex = hashArray.map(hashByte => hashByte.toString(16).padStart(2, '0')).join('');
+const unsupportedAlgorithm = algorithms.find(algorithm => !supportedAlgorithms.includes(algorithm));
 
-  console.log(JSON.stringify({ hash: hashHex }));
-} catch (error) {
-  console.error(error instanceof Error ? error.message : String(error));
+if (unsupportedAlgorithm) {
+  console.error(`Unsupported algorithm: ${unsupportedAlgorithm}`);
   Deno.exit(1);
 }
+
+const progressReporter = createProgressReporter(await getTotalSize(filePaths));
+const results = [];
+
+for (const filePath of filePaths) {
+  try {
+    const hashes = await hashFile(filePath, algorithms, byteCount => progressReporter.advance(byteCount));
+    results.push({ path: filePath, hashes });
+  } catch (error) {
+    results.push({ path: filePath, error: error instanceof Error ? error.message : String(error) });
+  }
+}
+
+progressReporter.finish();
+console.log(JSON.stringify({ results }));
@@ -0,0 +1,193 @@
+const SNIFF_LENGTH = 4096;
+
+/**
+ * Magic numbers checked against the start of the file. `offset` is where the
+ * signature starts; `null` bytes in `bytes` match anything.
+ */
+const MAGIC_SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { mimeType: 'audio/wav', bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x41, 0x56, 0x45] },
+  { mimeType: 'image/bmp', bytes: [0x42, 0x4d] },
+  { mimeType: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mimeType: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { mimeType: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { mimeType: 'application/x-bzip2', bytes: [0x42, 0x5a, 0x68] },
+  { mimeType: 'application/x-xz', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { mimeType: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mimeType: 'application/vnd.rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { mimeType: 'application/x-tar', bytes: [0x75, 0x73, 0x74, 0x61, 0x72], offset: 257 },
+  { mimeType: 'application/vnd.sqlite3', bytes: [...'SQLite format 3'].map(character => character.charCodeAt(0)).concat(0x00) },
+  { mimeType: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { mimeType: 'application/x-elf', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { mimeType: 'application/x-mach-binary', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { mimeType: 'application/x-mach-binary', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+  { mimeType: 'application/vnd.microsoft.portable-executable', bytes: [0x4d, 0x5a] },
+  { mimeType: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { mimeType: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mimeType: 'audio/flac', bytes: [0x66, 0x4c, 0x61, 0x43] },
+  { mimeType: 'video/mp4', bytes: [0x66, 0x74, 0x79, 0x70], offset: 4 },
+  { mimeType: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+];
+
+const BYTE_ORDER_MARKS = [
+  { encoding: 'UTF-8 (BOM)', decoderLabel: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'UTF-16 LE', decoderLabel: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'UTF-16 BE', decoderLabel: 'utf-16be', bytes: [0xfe, 0xff] },
+];
+
+function startsWithBytes(sample, bytes, offset = 0) {
+  return sample.length >= offset + bytes.length
+    && bytes.every((byte, byteIndex) => byte === null || sample[offset + byteIndex] === byte);
+}
+
+/**
+ * Returns the text encoding of the sample, or null when it looks binary.
+ */
+function detectTextEncoding(sample) {
+  const byteOrderMark = BYTE_ORDER_MARKS.find(mark => startsWithBytes(sample, mark.bytes));
+  if (byteOrderMark) return byteOrderMark;
+  if (sample.includes(0x00)) return null;
+
+  // When the sample is cut short a multi-byte character may be split at the end,
+  // so the last three bytes are left out of the check.
+  const checkedBytes = sample.length === SNIFF_LENGTH ? sample.subarray(0, SNIFF_LENGTH - 3) : sample;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(checkedBytes);
+  } catch {
+    return { encoding: 'Windows-1252 / Latin-1', decoderLabel: 'windows-1252' };
+  }
+
+  return sample.every(byte => byte < 0x80)
+    ? { encoding: 'ASCII', decoderLabel: 'utf-8' }
+    : { encoding: 'UTF-8', decoderLabel: 'utf-8' };
+}
+
+function detectMimeType(sample, textEncoding) {
+  const signature = MAGIC_SIGNATURES.find(magic => startsWithBytes(sample, magic.bytes, magic.offset || 0));
+  if (signature) return signature.mimeType;
+  if (!textEncoding) return 'application/octet-stream';
+
+  const leadingText = new TextDecoder(textEncoding.decoderLabel).decode(sample.subarray(0, 512)).replace(/^\uFEFF/, '').trimStart();
+  if (leadingText.startsWith('<?xml')) return 'application/xml';
+  if (/^<!doctype html|^<html/i.test(leadingText)) return 'text/html';
+  if (leadingText.startsWith('%!PS')) return 'application/postscript';
+  if (leadingText.startsWith('#!')) return 'text/x-shellscript';
+  return 'text/plain';
+}
+
+/**
+ * Streams the file once, counting line endings and words across chunk boundaries.
+ */
+async function getTextStatistics(filePath, decoderLabel) {
+  const decoder = new TextDecoder(decoderLabel);
+  const lineEndingCounts = { lf: 0, crlf: 0, cr: 0 };
+  let lineCount = 0;
+  let wordCount = 0;
+  let inWord = false;
+  let previousWasCarriageReturn = false;
+  let lastCharacter = '';
+
+  const countText = (text) => {
+    for (const character of text) {
+      if (character === '\n') {
+        if (previousWasCarriageReturn) {
+          lineEndingCounts.cr--;
+          lineEndingCounts.crlf++;
+        } else {
+          lineEndingCounts.lf++;
+          lineCount++;
+        }
+      } else if (character === '\r') {
+        lineEndingCounts.cr++;
+        lineCount++;
+      }
+      previousWasCarriageReturn = character === '\r';
+
+      const isWhitespace = /\s/.test(character);
+      if (!isWhitespace && !inWord) wordCount++;
+      inWord = !isWhitespace;
+      lastCharacter = character;
+    }
+  };
+
+  const file = await Deno.open(filePath, { read: true });
+  for await (const chunk of file.readable) {
+    countText(decoder.decode(chunk, { stream: true }));
+  }
+  countText(decoder.decode());
+
+  if (lastCharacter && lastCharacter !== '\n' && lastCharacter !== '\r') {
+    lineCount++;
+  }
+
+  const usedLineEndings = Object.entries(lineEndingCounts).filter(([, count]) => count > 0);
+  const lineEnding = usedLineEndings.length === 0
+    ? 'none'
+    : usedLineEndings.length > 1
+      ? 'mixed'
+      : usedLineEndings[0][0];
+
+  return { lineEnding, lineCount, wordCount };
+}
+
+async function readSample(filePath) {
+  const file = await Deno.open(filePath, { read: true });
+  try {
+    const buffer = new Uint8Array(SNIFF_LENGTH);
+    let sampleLength = 0;
+    while (sampleLength < SNIFF_LENGTH) {
+      const bytesRead = await file.read(buffer.subarray(sampleLength));
+      if (bytesRead === null) break;
+      sampleLength += bytesRead;
+    }
+    return buffer.subarray(0, sampleLength);
+  } finally {
+    file.close();
+  }
+}
+
+const toIsoString = date => (date instanceof Date ? date.toISOString() : null);
+
+const filePath = Deno.args[0];
+
+if (!filePath) {
+  console.error('File path is required');
+  Deno.exit(1);
+}
+
+try {
+  const linkInfo = await Deno.lstat(filePath);
+  const symlinkTarget = linkInfo.isSymlink ? await Deno.readLink(filePath) : null;
+  // A dangling link has no target to describe, so its own metadata is reported instead.
+  const fileInfo = linkInfo.isSymlink ? await Deno.stat(filePath).catch(() => linkInfo) : linkInfo;
+  const sample = fileInfo.isFile ? await readSample(filePath) : new Uint8Array();
+  const textEncoding = fileInfo.isFile ? detectTextEncoding(sample) : null;
+  const mimeType = fileInfo.isFile ? detectMimeType(sample, textEncoding) : null;
+  const isText = Boolean(textEncoding) && (mimeType.startsWith('text/') || mimeType === 'application/xml' || mimeType === 'application/postscript');
+
+  console.log(JSON.stringify({
+    path: filePath,
+    size: fileInfo.size,
+    created: toIsoString(fileInfo.birthtime),
+    modified: toIsoString(fileInfo.mtime),
+    accessed: toIsoString(fileInfo.atime),
+    mode: fileInfo.mode === null ? null : fileInfo.mode & 0o7777,
+    uid: fileInfo.uid,
+    gid: fileInfo.gid,
+    symlinkTarget,
+    mimeType,
+    text: isText
+      ? { encoding: textEncoding.encoding, ...(await getTextStatistics(filePath, textEncoding.decoderLabel)) }
+      : null,
+  }));
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
@@ -0,0 +1,72 @@
+import { collectFiles, createProgressReporter, hashFile, supportedAlgorithms } from './hashing.js';
+
+const options = Object.fromEntries(
+  Deno.args
+    .filter(argument => argument.startsWith('--') && argument.includes('='))
+    .map(argument => [argument.slice(2, argument.indexOf('=')), argument.slice(argument.indexOf('=') + 1)]),
+);
+const targetPaths = Deno.args.filter(argument => !argument.startsWith('--'));
+const algorithm = options.algorithm || 'sha256';
+
+if (targetPaths.length === 0) {
+  console.error('At least one path is required');
+  Deno.exit(1);
+}
+
+if (!supportedAlgorithms.includes(algorithm)) {
+  console.error(`Unsupported algorithm: ${algorithm}`);
+  Deno.exit(1);
+}
+
+try {
+  const filePaths = [...new Set(await collectFiles(targetPaths, { recursive: options.recursive !== 'false' }))];
+  const filesBySize = new Map();
+
+  for (const filePath of filePaths) {
+    try {
+      const { size } = await Deno.stat(filePath);
+      if (size === 0) {
+        continue;
+      }
+
+      const sameSizeFiles = filesBySize.get(size) || [];
+      sameSizeFiles.push(filePath);
+      filesBySize.set(size, sameSizeFiles);
+    } catch {
+    }
+  }
+
+  // Only files sharing a size can be identical, so everything else is never read
+  const sizeGroups = [...filesBySize.entries()].filter(([, sameSizeFiles]) => sameSizeFiles.length > 1);
+  const progressReporter = createProgressReporter(
+    sizeGroups.reduce((total, [size, sameSizeFiles]) => total + size * sameSizeFiles.length, 0),
+  );
+  const groups = [];
+
+  for (const [size, sameSizeFiles] of sizeGroups) {
+    const filesByHash = new Map();
+
+    for (const filePath of sameSizeFiles) {
+      try {
+        const hashes = await hashFile(filePath, [algorithm], byteCount => progressReporter.advance(byteCount));
+        const sameHashFiles = filesByHash.get(hashes[algorithm]) || [];
+        sameHashFiles.push(filePath);
+        filesByHash.set(hashes[algorithm], sameHashFiles);
+      } catch {
+      }
+    }
+
+    for (const [hash, sameHashFiles] of filesByHash.entries()) {
+      if (sameHashFiles.length > 1) {
+        groups.push({ size, hash, paths: sameHashFiles.sort() });
+      }
+    }
+  }
+
+  groups.sort((firstGroup, secondGroup) => secondGroup.size * (secondGroup.paths.length - 1) - firstGroup.size * (firstGroup.paths.length - 1));
+  progressReporter.finish();
+  console.log(JSON.stringify({ scannedCount: filePaths.length, groups }));
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
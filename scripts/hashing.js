@@ -0,0 +1,143 @@
+import { createHash } from 'node:crypto';
+
+export const supportedAlgorithms = ['md5', 'sha1', 'sha256', 'sha384', 'sha512'];
+
+const progressIntervalMs = 200;
+
+/**
+ * Writes `{ bytesRead, total }` NDJSON lines to stdout, throttled so large
+ * files do not flood the extension with output. Item counts use `processed`
+ * as the field name instead.
+ * @param {number} total
+ * @param {'bytesRead' | 'processed'} [progressField]
+ */
+export function createProgressReporter(total, progressField = 'bytesRead') {
+  let completed = 0;
+  let lastProgressTime = 0;
+
+  function report(force) {
+    const now = Date.now();
+    if (!force && now - lastProgressTime < progressIntervalMs) {
+      return;
+    }
+
+    lastProgressTime = now;
+    console.log(JSON.stringify({ [progressField]: completed, total }));
+  }
+
+  return {
+    advance(amount) {
+      completed += amount;
+      report(false);
+    },
+    finish() {
+      report(true);
+    },
+  };
+}
+
+/**
+ * @param {string[]} filePaths
+ */
+export async function getTotalSize(filePaths) {
+  let total = 0;
+
+  for (const filePath of filePaths) {
+    try {
+      total += (await Deno.stat(filePath)).size;
+    } catch {
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Hashes a file in streamed chunks with every requested algorithm in one pass.
+ * @param {string} filePath
+ * @param {string[]} algorithms
+ * @param {(byteCount: number) => void} [onChunk]
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function hashFile(filePath, algorithms, onChunk) {
+  const hashers = algorithms.map(algorithm => createHash(algorithm));
+  const file = await Deno.open(filePath, { read: true });
+
+  for await (const chunk of file.readable) {
+    for (const hasher of hashers) {
+      hasher.update(chunk);
+    }
+
+    if (onChunk) {
+      onChunk(chunk.byteLength);
+    }
+  }
+
+  const hashes = {};
+  algorithms.forEach((algorithm, algorithmIndex) => {
+    hashes[algorithm] = hashers[algorithmIndex].digest('hex');
+  });
+
+  return hashes;
+}
+
+/**
+ * Expands directories into the files they contain. Symlinks are not followed.
+ * @param {string[]} paths
+ * @param {{ recursive?: boolean }} [options]
+ * @returns {Promise<string[]>}
+ */
+export async function collectFiles(paths, options = {}) {
+  const recursive = options.recursive !== false;
+  const filePaths = [];
+
+  async function visitDirectory(directoryPath) {
+    for await (const directoryEntry of Deno.readDir(directoryPath)) {
+      const entryPath = joinPath(directoryPath, directoryEntry.name);
+      if (directoryEntry.isFile) {
+        filePaths.push(entryPath);
+      } else if (directoryEntry.isDirectory && recursive) {
+        await visitDirectory(entryPath);
+      }
+    }
+  }
+
+  for (const targetPath of paths) {
+    const fileInfo = await Deno.lstat(targetPath);
+    if (fileInfo.isDirectory) {
+      await visitDirectory(targetPath);
+    } else if (fileInfo.isFile) {
+      filePaths.push(targetPath);
+    }
+  }
+
+  return filePaths;
+}
+
+/**
+ * @param {string} directoryPath
+ * @param {string} name
+ */
+export function joinPath(directoryPath, name) {
+  const separator = Deno.build.os === 'windows' ? '\\' : '/';
+  return directoryPath.endsWith('/') || directoryPath.endsWith('\\')
+    ? `${directoryPath}${name}`
+    : `${directoryPath}${separator}${name}`;
+}
+
+/**
+ * Returns the segments of a relative path taken from a file (a ZIP entry name, a
+ * manifest line), or null when it could point outside its base folder: absolute
+ * paths, drive letters, `..` segments and, on Windows, names with a colon
+ * (alternate data streams, `C:` prefixes).
+ * @param {string} relativePath
+ * @returns {string[] | null}
+ */
+export function getSafeRelativeSegments(relativePath) {
+  const normalizedPath = relativePath.replace(/\\/g, '/');
+  if (normalizedPath.startsWith('/') || /^[A-Za-z]:/.test(normalizedPath)) return null;
+
+  const segments = normalizedPath.split('/').filter(segment => segment && segment !== '.');
+  if (segments.some(segment => segment === '..' || (Deno.build.os === 'windows' && segment.includes(':')))) return null;
+  return segments;
+}
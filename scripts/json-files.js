@@ -0,0 +1,125 @@
+import { parseJson } from './json-parse.js';
+
+const maxDiffCells = 4000000;
+const diffContextLines = 2;
+const maxDiffLines = 200;
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * @param {unknown} parsedJson
+ * @param {'pretty' | 'minify' | 'sort-keys'} format
+ */
+export function formatJson(parsedJson, format) {
+  if (format === 'pretty') return JSON.stringify(parsedJson, null, 2);
+  if (format === 'minify') return JSON.stringify(parsedJson);
+  if (format === 'sort-keys') return JSON.stringify(sortKeys(parsedJson), null, 2);
+  throw new Error(`Unsupported format: ${format}`);
+}
+
+/**
+ * Unified-style line diff with a little context around each change. Falls
+ * back to a plain before/after listing when the files are too large for LCS.
+ * @param {string} beforeText
+ * @param {string} afterText
+ */
+export function createLineDiff(beforeText, afterText) {
+  const beforeLines = beforeText.replace(/\n$/, '').split('\n');
+  const afterLines = afterText.replace(/\n$/, '').split('\n');
+  let diffLines = [];
+
+  if (beforeLines.length * afterLines.length > maxDiffCells) {
+    diffLines = [
+      ...beforeLines.map(line => `- ${line}`),
+      ...afterLines.map(line => `+ ${line}`),
+    ];
+  } else {
+    const columnCount = afterLines.length + 1;
+    const commonLengths = new Uint32Array((beforeLines.length + 1) * columnCount);
+
+    for (let beforeIndex = beforeLines.length - 1; beforeIndex >= 0; beforeIndex--) {
+      for (let afterIndex = afterLines.length - 1; afterIndex >= 0; afterIndex--) {
+        commonLengths[beforeIndex * columnCount + afterIndex] = beforeLines[beforeIndex] === afterLines[afterIndex]
+          ? commonLengths[(beforeIndex + 1) * columnCount + afterIndex + 1] + 1
+          : Math.max(commonLengths[(beforeIndex + 1) * columnCount + afterIndex], commonLengths[beforeIndex * columnCount + afterIndex + 1]);
+      }
+    }
+
+    const operations = [];
+    let beforeIndex = 0;
+    let afterIndex = 0;
+
+    while (beforeIndex < beforeLines.length || afterIndex < afterLines.length) {
+      if (beforeIndex < beforeLines.length && afterIndex < afterLines.length && beforeLines[beforeIndex] === afterLines[afterIndex]) {
+        operations.push({ type: ' ', line: beforeLines[beforeIndex] });
+        beforeIndex++;
+        afterIndex++;
+      } else if (beforeIndex < beforeLines.length && (afterIndex >= afterLines.length
+        || commonLengths[(beforeIndex + 1) * columnCount + afterIndex] >= commonLengths[beforeIndex * columnCount + afterIndex + 1])) {
+        operations.push({ type: '-', line: beforeLines[beforeIndex] });
+        beforeIndex++;
+      } else {
+        operations.push({ type: '+', line: afterLines[afterIndex] });
+        afterIndex++;
+      }
+    }
+
+    operations.forEach((operation, operationIndex) => {
+      const isNearChange = operations
+        .slice(Math.max(operationIndex - diffContextLines, 0), operationIndex + diffContextLines + 1)
+        .some(nearbyOperation => nearbyOperation.type !== ' ');
+
+      if (operation.type !== ' ' || isNearChange) {
+        diffLines.push(`${operation.type} ${operation.line}`);
+      } else if (diffLines[diffLines.length - 1] !== '...') {
+        diffLines.push('...');
+      }
+    });
+  }
+
+  return diffLines.length > maxDiffLines
+    ? [...diffLines.slice(0, maxDiffLines), `... (${diffLines.length - maxDiffLines} more lines)`].join('\n')
+    : diffLines.join('\n');
+}
+
+/**
+ * Formats each file, optionally writing it back and keeping a `.bak` copy.
+ * Every file gets its own result so one broken file does not stop the batch.
+ * @param {string[]} filePaths
+ * @param {{ format: 'pretty' | 'minify' | 'sort-keys', write: boolean, backup: boolean }} options
+ */
+export async function formatJsonFiles(filePaths, options) {
+  const results = [];
+
+  for (const filePath of filePaths) {
+    try {
+      const beforeText = await Deno.readTextFile(filePath);
+      const trailingNewline = beforeText.endsWith('\n') ? '\n' : '';
+      const afterText = `${formatJson(parseJson(beforeText, 'JSON'), options.format)}${trailingNewline}`;
+      const changed = afterText !== beforeText;
+
+      if (changed && options.write) {
+        if (options.backup) {
+          await Deno.writeTextFile(`${filePath}.bak`, beforeText);
+        }
+        await Deno.writeTextFile(filePath, afterText);
+      }
+
+      results.push({
+        path: filePath,
+        status: changed ? (options.write ? 'written' : 'changed') : 'unchanged',
+        diff: changed && !options.write ? createLineDiff(beforeText, afterText) : '',
+      });
+    } catch (error) {
+      results.push({ path: filePath, status: 'error', error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  return results;
+}
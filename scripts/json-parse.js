@@ -0,0 +1,132 @@
+/**
+ * Returns the offset of the first syntax error in `text`. V8 only reports a
+ * position for some errors, so the location is found by scanning the text.
+ */
+function findJsonErrorOffset(text) {
+  let position = 0;
+
+  const skipWhitespace = () => {
+    while (/[ \t\n\r]/.test(text[position] || '')) position++;
+  };
+  const fail = () => {
+    throw position;
+  };
+
+  function scanString() {
+    position++;
+    while (position < text.length && text[position] !== '"') {
+      if (text[position] === '\\') {
+        position++;
+        if (!/["\\/bfnrtu]/.test(text[position] || '')) fail();
+        if (text[position] === 'u') {
+          if (!/^[0-9a-fA-F]{4}$/.test(text.slice(position + 1, position + 5))) fail();
+          position += 4;
+        }
+      } else if (text.charCodeAt(position) < 0x20) {
+        fail();
+      }
+      position++;
+    }
+    if (text[position] !== '"') fail();
+    position++;
+  }
+
+  function scanValue() {
+    skipWhitespace();
+    const character = text[position];
+
+    if (character === '{') {
+      position++;
+      skipWhitespace();
+      if (text[position] === '}') {
+        position++;
+        return;
+      }
+      while (true) {
+        skipWhitespace();
+        if (text[position] !== '"') fail();
+        scanString();
+        skipWhitespace();
+        if (text[position] !== ':') fail();
+        position++;
+        scanValue();
+        skipWhitespace();
+        if (text[position] === ',') {
+          position++;
+          continue;
+        }
+        if (text[position] !== '}') fail();
+        position++;
+        return;
+      }
+    }
+
+    if (character === '[') {
+      position++;
+      skipWhitespace();
+      if (text[position] === ']') {
+        position++;
+        return;
+      }
+      while (true) {
+        scanValue();
+        skipWhitespace();
+        if (text[position] === ',') {
+          position++;
+          continue;
+        }
+        if (text[position] !== ']') fail();
+        position++;
+        return;
+      }
+    }
+
+    if (character === '"') {
+      scanString();
+      return;
+    }
+
+    const literalMatch = text.slice(position).match(/^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+    if (!literalMatch) fail();
+    position += literalMatch[0].length;
+  }
+
+  try {
+    scanValue();
+    skipWhitespace();
+    return position < text.length ? position : null;
+  } catch (errorOffset) {
+    return errorOffset;
+  }
+}
+
+/**
+ * Converts `JSON.parse` errors into "line X, column Y" messages.
+ */
+function describeJsonParseError(text, error, label) {
+  const message = error instanceof Error ? error.message : String(error);
+  const reason = message
+    .replace(/, ".*" is not valid JSON$/s, '')
+    .replace(/\s*\(line \d+ column \d+\)/, '')
+    .replace(/\s*(?:in JSON )?at position \d+.*$/s, '');
+  const errorOffset = findJsonErrorOffset(text);
+
+  if (errorOffset === null) {
+    return `${label}: ${reason}`;
+  }
+
+  const lines = text.slice(0, errorOffset).split('\n');
+  return `${label} is invalid at line ${lines.length}, column ${lines[lines.length - 1].length + 1}: ${reason}`;
+}
+
+/**
+ * @param {string} text
+ * @param {string} label Prefix for error messages, e.g. "JSON" or "Schema"
+ */
+export function parseJson(text, label) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(describeJsonParseError(text, error, label));
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * JSONPath evaluator supporting `$`, `.name`, `['name']`, `[0]`, `[-1]`,
+ * `[start:end:step]`, `*`, `..` (descendants), unions (`[0,2]`) and filters
+ * such as `[?(@.price < 10 && @.tags)]`. jq-style paths like `.items[0].name`
+ * are accepted and treated as if they started with `$`.
+ */
+
+function createParser(expression) {
+  let position = 0;
+
+  const peek = (length = 1) => expression.slice(position, position + length);
+  const skipWhitespace = () => {
+    while (/\s/.test(expression[position] || '')) position++;
+  };
+  const fail = message => {
+    throw new Error(`${message} at position ${position + 1} of query`);
+  };
+  const expect = text => {
+    skipWhitespace();
+    if (peek(text.length) !== text) fail(`Expected "${text}"`);
+    position += text.length;
+  };
+
+  function readName() {
+    const nameMatch = expression.slice(position).match(/^[\p{L}\p{N}_$-]+/u);
+    if (!nameMatch) fail('Expected a property name');
+    position += nameMatch[0].length;
+    return nameMatch[0];
+  }
+
+  function readString() {
+    const quote = expression[position];
+    let text = '';
+    position++;
+    while (position < expression.length && expression[position] !== quote) {
+      if (expression[position] === '\\') position++;
+      text += expression[position];
+      position++;
+    }
+    if (expression[position] !== quote) fail('Unterminated string');
+    position++;
+    return text;
+  }
+
+  function readNumber() {
+    const numberMatch = expression.slice(position).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+    if (!numberMatch) fail('Expected a number');
+    position += numberMatch[0].length;
+    return Number(numberMatch[0]);
+  }
+
+  function parseSelector() {
+    skipWhitespace();
+    const character = expression[position];
+
+    if (character === '*') {
+      position++;
+      return { type: 'wildcard' };
+    }
+    if (character === '\'' || character === '"') {
+      return { type: 'name', name: readString() };
+    }
+    if (character === '?') {
+      position++;
+      skipWhitespace();
+      const wrapped = expression[position] === '(';
+      if (wrapped) position++;
+      const filter = parseOr();
+      if (wrapped) expect(')');
+      return { type: 'filter', filter };
+    }
+
+    const sliceMatch = expression.slice(position).match(/^(-?\d*)\s*:\s*(-?\d*)(?:\s*:\s*(-?\d*))?/);
+    if (sliceMatch) {
+      position += sliceMatch[0].length;
+      return {
+        type: 'slice',
+        start: sliceMatch[1] === '' ? undefined : Number(sliceMatch[1]),
+        end: sliceMatch[2] === '' ? undefined : Number(sliceMatch[2]),
+        step: sliceMatch[3] === undefined || sliceMatch[3] === '' ? 1 : Number(sliceMatch[3]),
+      };
+    }
+
+    if (/[-\d]/.test(character || '')) {
+      return { type: 'index', index: readNumber() };
+    }
+
+    fail('Unexpected selector');
+  }
+
+  function parseBracket() {
+    expect('[');
+    const selectors = [parseSelector()];
+    skipWhitespace();
+    while (expression[position] === ',') {
+      position++;
+      selectors.push(parseSelector());
+      skipWhitespace();
+    }
+    expect(']');
+    return selectors;
+  }
+
+  function parseSegments(stopCharacters) {
+    const segments = [];
+
+    while (position < expression.length) {
+      skipWhitespace();
+      if (stopCharacters.includes(expression[position]) || position >= expression.length) break;
+
+      if (peek(2) === '..') {
+        position += 2;
+        const selectors = expression[position] === '['
+          ? parseBracket()
+          : expression[position] === '*'
+            ? (position++, [{ type: 'wildcard' }])
+            : [{ type: 'name', name: readName() }];
+        segments.push({ descendant: true, selectors });
+      } else if (expression[position] === '.') {
+        position++;
+        if (expression[position] === '*') {
+          position++;
+          segments.push({ descendant: false, selectors: [{ type: 'wildcard' }] });
+        } else {
+          segments.push({ descendant: false, selectors: [{ type: 'name', name: readName() }] });
+        }
+      } else if (expression[position] === '[') {
+        segments.push({ descendant: false, selectors: parseBracket() });
+      } else {
+        break;
+      }
+    }
+
+    return segments;
+  }
+
+  function parseOperand() {
+    skipWhitespace();
+    const character = expression[position];
+
+    if (character === '(') {
+      position++;
+      const innerExpression = parseOr();
+      expect(')');
+      return innerExpression;
+    }
+    if (character === '!') {
+      position++;
+      return { type: 'not', operand: parseOperand() };
+    }
+    if (character === '@' || character === '$') {
+      position++;
+      return { type: 'path', relative: character === '@', segments: parseSegments([' ', ')', ']', ',', '=', '!', '<', '>', '&', '|']) };
+    }
+    if (character === '\'' || character === '"') {
+      return { type: 'literal', value: readString() };
+    }
+    if (/[-\d]/.test(character || '')) {
+      return { type: 'literal', value: readNumber() };
+    }
+
+    const keywordMatch = expression.slice(position).match(/^(true|false|null)\b/);
+    if (keywordMatch) {
+      position += keywordMatch[0].length;
+      return { type: 'literal', value: JSON.parse(keywordMatch[0]) };
+    }
+
+    fail('Unexpected token in filter');
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+    skipWhitespace();
+    const operatorMatch = expression.slice(position).match(/^(==|!=|<=|>=|<|>|=~)/);
+    if (!operatorMatch) return left;
+
+    position += operatorMatch[0].length;
+    skipWhitespace();
+    if (operatorMatch[0] === '=~') {
+      const regexMatch = expression.slice(position).match(/^\/((?:\\.|[^/])*)\/([a-z]*)/);
+      if (!regexMatch) fail('Expected a /regex/ after =~');
+      position += regexMatch[0].length;
+      return { type: 'regex', left, regex: new RegExp(regexMatch[1], regexMatch[2]) };
+    }
+    return { type: 'compare', operator: operatorMatch[0], left, right: parseOperand() };
+  }
+
+  function parseAnd() {
+    let left = parseComparison();
+    skipWhitespace();
+    while (peek(2) === '&&') {
+      position += 2;
+      left = { type: 'and', left, right: parseComparison() };
+      skipWhitespace();
+    }
+    return left;
+  }
+
+  function parseOr() {
+    let left = parseAnd();
+    skipWhitespace();
+    while (peek(2) === '||') {
+      position += 2;
+      left = { type: 'or', left, right: parseAnd() };
+      skipWhitespace();
+    }
+    return left;
+  }
+
+  return {
+    parseQuery() {
+      skipWhitespace();
+      if (expression[position] === '$') position++;
+      const segments = parseSegments([]);
+      skipWhitespace();
+      if (position < expression.length) fail('Unexpected character');
+      return segments;
+    },
+  };
+}
+
+function getChildren(value) {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === 'object') return Object.values(value);
+  return [];
+}
+
+function getDescendants(value) {
+  const descendants = [value];
+  for (const child of getChildren(value)) {
+    descendants.push(...getDescendants(child));
+  }
+  return descendants;
+}
+
+function applySelector(value, selector, rootValue) {
+  if (selector.type === 'wildcard') return getChildren(value);
+  if (selector.type === 'name') {
+    return value && typeof value === 'object' && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, selector.name)
+      ? [value[selector.name]]
+      : [];
+  }
+  if (!Array.isArray(value)) {
+    return selector.type === 'filter' && value && typeof value === 'object'
+      ? Object.values(value).filter(child => isTruthy(evaluateFilter(selector.filter, child, rootValue)))
+      : [];
+  }
+  if (selector.type === 'index') {
+    const index = selector.index < 0 ? value.length + selector.index : selector.index;
+    return index >= 0 && index < value.length ? [value[index]] : [];
+  }
+  if (selector.type === 'slice') {
+    const normalize = (index, fallback) => {
+      if (index === undefined) return fallback;
+      return index < 0 ? Math.max(value.length + index, 0) : Math.min(index, value.length);
+    };
+    const step = selector.step || 1;
+    const start = normalize(selector.start, step > 0 ? 0 : value.length - 1);
+    const end = normalize(selector.end, step > 0 ? value.length : -1);
+    const sliced = [];
+    for (let index = start; step > 0 ? index < end : index > end; index += step) {
+      sliced.push(value[index]);
+    }
+    return sliced;
+  }
+  return value.filter(child => isTruthy(evaluateFilter(selector.filter, child, rootValue)));
+}
+
+function evaluateSegments(segments, startValue, rootValue) {
+  let nodes = [startValue];
+  for (const segment of segments) {
+    const sourceNodes = segment.descendant ? nodes.flatMap(getDescendants) : nodes;
+    nodes = sourceNodes.flatMap(node => segment.selectors.flatMap(selector => applySelector(node, selector, rootValue)));
+  }
+  return nodes;
+}
+
+const missing = Symbol('missing');
+
+function isTruthy(value) {
+  return value !== missing && value !== false && value !== null && value !== undefined;
+}
+
+function evaluateFilter(filterNode, currentValue, rootValue) {
+  switch (filterNode.type) {
+    case 'literal':
+      return filterNode.value;
+    case 'path': {
+      const nodes = evaluateSegments(filterNode.segments, filterNode.relative ? currentValue : rootValue, rootValue);
+      return nodes.length > 0 ? nodes[0] : missing;
+    }
+    case 'not':
+      return !isTruthy(evaluateFilter(filterNode.operand, currentValue, rootValue));
+    case 'and':
+      return isTruthy(evaluateFilter(filterNode.left, currentValue, rootValue))
+        && isTruthy(evaluateFilter(filterNode.right, currentValue, rootValue));
+    case 'or':
+      return isTruthy(evaluateFilter(filterNode.left, currentValue, rootValue))
+        || isTruthy(evaluateFilter(filterNode.right, currentValue, rootValue));
+    case 'regex': {
+      const leftValue = evaluateFilter(filterNode.left, currentValue, rootValue);
+      return typeof leftValue === 'string' && filterNode.regex.test(leftValue);
+    }
+    case 'compare': {
+      const leftValue = evaluateFilter(filterNode.left, currentValue, rootValue);
+      const rightValue = evaluateFilter(filterNode.right, currentValue, rootValue);
+      if (leftValue === missing || rightValue === missing) return filterNode.operator === '!=';
+      switch (filterNode.operator) {
+        case '==': return JSON.stringify(leftValue) === JSON.stringify(rightValue);
+        case '!=': return JSON.stringify(leftValue) !== JSON.stringify(rightValue);
+        case '<': return leftValue < rightValue;
+        case '<=': return leftValue <= rightValue;
+        case '>': return leftValue > rightValue;
+        case '>=': return leftValue >= rightValue;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {unknown} value
+ * @param {string} expression
+ * @returns {unknown[]}
+ */
+export function queryJsonPath(value, expression) {
+  const trimmedExpression = expression.trim();
+  const normalizedExpression = trimmedExpression === '.'
+    ? '$'
+    : trimmedExpression.startsWith('.') || trimmedExpression.startsWith('[')
+      ? `$${trimmedExpression}`
+      : trimmedExpression;
+  const segments = createParser(normalizedExpression).parseQuery();
+  return evaluateSegments(segments, value, value);
+}
@@ -0,0 +1,212 @@
+/**
+ * Minimal JSON Schema (draft 2020-12) validator covering the assertion and
+ * applicator keywords used in everyday schemas. `format` is treated as an
+ * annotation and remote `$ref`s are not resolved.
+ */
+
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, expectedType) {
+  const actualType = getJsonType(value);
+  return actualType === expectedType || (expectedType === 'number' && actualType === 'integer');
+}
+
+function isDeepEqual(firstValue, secondValue) {
+  if (firstValue === secondValue) return true;
+  if (getJsonType(firstValue) !== getJsonType(secondValue)) return false;
+
+  if (Array.isArray(firstValue)) {
+    return firstValue.length === secondValue.length
+      && firstValue.every((item, itemIndex) => isDeepEqual(item, secondValue[itemIndex]));
+  }
+
+  if (firstValue && typeof firstValue === 'object') {
+    const firstKeys = Object.keys(firstValue);
+    return firstKeys.length === Object.keys(secondValue).length
+      && firstKeys.every(key => Object.prototype.hasOwnProperty.call(secondValue, key) && isDeepEqual(firstValue[key], secondValue[key]));
+  }
+
+  return false;
+}
+
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function resolveReference(rootSchema, reference) {
+  if (!reference.startsWith('#')) {
+    throw new Error(`Only local $ref values are supported: ${reference}`);
+  }
+
+  return reference
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map(token => decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((schemaNode, token) => {
+      if (!schemaNode || typeof schemaNode !== 'object' || !(token in schemaNode)) {
+        throw new Error(`Cannot resolve $ref: ${reference}`);
+      }
+      return schemaNode[token];
+    }, rootSchema);
+}
+
+/**
+ * @param {unknown} instance
+ * @param {unknown} schema
+ * @returns {{ instancePath: string, message: string }[]}
+ */
+export function validateJsonSchema(instance, schema) {
+  const errors = [];
+
+  function validate(value, schemaNode, instancePath) {
+    if (schemaNode === true) return true;
+    if (schemaNode === false) {
+      errors.push({ instancePath, message: 'must not be present' });
+      return false;
+    }
+    if (!schemaNode || typeof schemaNode !== 'object') return true;
+
+    const errorCountBefore = errors.length;
+    const fail = message => errors.push({ instancePath, message });
+    const isValidAgainst = (subValue, subSchema) => {
+      const savedErrors = errors.length;
+      const valid = validate(subValue, subSchema, instancePath);
+      errors.length = savedErrors;
+      return valid;
+    };
+
+    if (schemaNode.$ref) {
+      validate(value, resolveReference(schema, schemaNode.$ref), instancePath);
+    }
+
+    if (schemaNode.type !== undefined) {
+      const expectedTypes = Array.isArray(schemaNode.type) ? schemaNode.type : [schemaNode.type];
+      if (!expectedTypes.some(expectedType => matchesType(value, expectedType))) {
+        fail(`must be ${expectedTypes.join(' or ')}`);
+        return false;
+      }
+    }
+
+    if (schemaNode.enum && !schemaNode.enum.some(allowedValue => isDeepEqual(value, allowedValue))) {
+      fail(`must be one of ${JSON.stringify(schemaNode.enum)}`);
+    }
+    if ('const' in schemaNode && !isDeepEqual(value, schemaNode.const)) {
+      fail(`must be equal to ${JSON.stringify(schemaNode.const)}`);
+    }
+
+    if (typeof value === 'number') {
+      if (typeof schemaNode.minimum === 'number' && value < schemaNode.minimum) fail(`must be >= ${schemaNode.minimum}`);
+      if (typeof schemaNode.maximum === 'number' && value > schemaNode.maximum) fail(`must be <= ${schemaNode.maximum}`);
+      if (typeof schemaNode.exclusiveMinimum === 'number' && value <= schemaNode.exclusiveMinimum) fail(`must be > ${schemaNode.exclusiveMinimum}`);
+      if (typeof schemaNode.exclusiveMaximum === 'number' && value >= schemaNode.exclusiveMaximum) fail(`must be < ${schemaNode.exclusiveMaximum}`);
+      if (typeof schemaNode.multipleOf === 'number' && !Number.isInteger(value / schemaNode.multipleOf)) fail(`must be a multiple of ${schemaNode.multipleOf}`);
+    }
+
+    if (typeof value === 'string') {
+      const length = [...value].length;
+      if (typeof schemaNode.minLength === 'number' && length < schemaNode.minLength) fail(`must have at least ${schemaNode.minLength} characters`);
+      if (typeof schemaNode.maxLength === 'number' && length > schemaNode.maxLength) fail(`must have at most ${schemaNode.maxLength} characters`);
+      if (typeof schemaNode.pattern === 'string' && !new RegExp(schemaNode.pattern, 'u').test(value)) fail(`must match pattern "${schemaNode.pattern}"`);
+    }
+
+    if (Array.isArray(value)) {
+      const prefixItems = Array.isArray(schemaNode.prefixItems) ? schemaNode.prefixItems : [];
+      prefixItems.forEach((itemSchema, itemIndex) => {
+        if (itemIndex < value.length) validate(value[itemIndex], itemSchema, `${instancePath}/${itemIndex}`);
+      });
+      if (schemaNode.items !== undefined) {
+        for (let itemIndex = prefixItems.length; itemIndex < value.length; itemIndex++) {
+          validate(value[itemIndex], schemaNode.items, `${instancePath}/${itemIndex}`);
+        }
+      }
+      if (typeof schemaNode.minItems === 'number' && value.length < schemaNode.minItems) fail(`must have at least ${schemaNode.minItems} items`);
+      if (typeof schemaNode.maxItems === 'number' && value.length > schemaNode.maxItems) fail(`must have at most ${schemaNode.maxItems} items`);
+      if (schemaNode.uniqueItems === true && value.some((item, itemIndex) => value.findIndex(otherItem => isDeepEqual(item, otherItem)) !== itemIndex)) {
+        fail('must not contain duplicate items');
+      }
+      if (schemaNode.contains !== undefined) {
+        const matchCount = value.filter(item => isValidAgainst(item, schemaNode.contains)).length;
+        const minContains = typeof schemaNode.minContains === 'number' ? schemaNode.minContains : 1;
+        if (matchCount < minContains) fail(`must contain at least ${minContains} matching items`);
+        if (typeof schemaNode.maxContains === 'number' && matchCount > schemaNode.maxContains) fail(`must contain at most ${schemaNode.maxContains} matching items`);
+      }
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const keys = Object.keys(value);
+      const properties = schemaNode.properties || {};
+      const patternProperties = schemaNode.patternProperties || {};
+
+      for (const requiredKey of schemaNode.required || []) {
+        if (!Object.prototype.hasOwnProperty.call(value, requiredKey)) fail(`must have required property "${requiredKey}"`);
+      }
+      for (const [dependentKey, requiredKeys] of Object.entries(schemaNode.dependentRequired || {})) {
+        if (Object.prototype.hasOwnProperty.call(value, dependentKey)) {
+          for (const requiredKey of requiredKeys) {
+            if (!Object.prototype.hasOwnProperty.call(value, requiredKey)) fail(`must have property "${requiredKey}" when "${dependentKey}" is present`);
+          }
+        }
+      }
+      if (typeof schemaNode.minProperties === 'number' && keys.length < schemaNode.minProperties) fail(`must have at least ${schemaNode.minProperties} properties`);
+      if (typeof schemaNode.maxProperties === 'number' && keys.length > schemaNode.maxProperties) fail(`must have at most ${schemaNode.maxProperties} properties`);
+
+      for (const key of keys) {
+        const propertyPath = `${instancePath}/${escapePointerToken(key)}`;
+        let evaluated = false;
+
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+          validate(value[key], properties[key], propertyPath);
+          evaluated = true;
+        }
+        for (const [propertyPattern, propertySchema] of Object.entries(patternProperties)) {
+          if (new RegExp(propertyPattern, 'u').test(key)) {
+            validate(value[key], propertySchema, propertyPath);
+            evaluated = true;
+          }
+        }
+        if (!evaluated && schemaNode.additionalProperties !== undefined) {
+          if (schemaNode.additionalProperties === false) {
+            errors.push({ instancePath: propertyPath, message: 'must not be an additional property' });
+          } else {
+            validate(value[key], schemaNode.additionalProperties, propertyPath);
+          }
+        }
+        if (schemaNode.propertyNames !== undefined && !isValidAgainst(key, schemaNode.propertyNames)) {
+          errors.push({ instancePath: propertyPath, message: 'property name is invalid' });
+        }
+      }
+    }
+
+    for (const subSchema of schemaNode.allOf || []) {
+      validate(value, subSchema, instancePath);
+    }
+    if (Array.isArray(schemaNode.anyOf) && !schemaNode.anyOf.some(subSchema => isValidAgainst(value, subSchema))) {
+      fail('must match at least one schema in anyOf');
+    }
+    if (Array.isArray(schemaNode.oneOf)) {
+      const matchCount = schemaNode.oneOf.filter(subSchema => isValidAgainst(value, subSchema)).length;
+      if (matchCount !== 1) fail(`must match exactly one schema in oneOf (matched ${matchCount})`);
+    }
+    if (schemaNode.not !== undefined && isValidAgainst(value, schemaNode.not)) {
+      fail('must not match the schema in "not"');
+    }
+    if (schemaNode.if !== undefined) {
+      if (isValidAgainst(value, schemaNode.if)) {
+        if (schemaNode.then !== undefined) validate(value, schemaNode.then, instancePath);
+      } else if (schemaNode.else !== undefined) {
+        validate(value, schemaNode.else, instancePath);
+      }
+    }
+
+    return errors.length === errorCountBefore;
+  }
+
+  validate(instance, schema, '');
+  return errors;
+}
@@ -1,5 +1,44 @@
+import { formatJsonFiles } from './json-files.js';
+import { queryJsonPath } from './json-path.js';
+import { readPayloadText } from './payload.js';
+import { parseJson } from './json-parse.js';
+import { validateJsonSchema } from './json-schema.js';
+
 const action = Deno.args[0] || 'validate';
-const jsonInput = Deno.args[1] || '';
+const schemaFileArgument = Deno.args.find(argument => argument.startsWith('--schema-file='));
+
+if (action === 'format-files') {
+  const formatArgument = Deno.args.find(argument => argument.startsWith('--format='));
+  const filePaths = Deno.args.slice(1).filter(argument => !argument.startsWith('--'));
+  const results = await formatJsonFiles(filePaths, {
+    format: formatArgument ? formatArgument.slice('--format='.length) : 'pretty',
+    write: Deno.args.includes('--write'),
+    backup: Deno.args.includes('--backup'),
+  });
+
+  console.log(JSON.stringify({ results }));
+  Deno.exit(0);
+}
+
+/**
+ * Documents can be far larger than the OS command-line limit, so the payload
+ * `{ input, extra }` arrives as JSON on stdin or in a file instead of argv.
+ */
+async function readPayload() {
+  const payloadText = await readPayloadText();
+
+  if (!payloadText.trim()) {
+    return { input: '', extra: '' };
+  }
+
+  const payload = JSON.parse(payloadText);
+  return {
+    input: typeof payload.input === 'string' ? payload.input : '',
+    extra: typeof payload.extra === 'string' ? payload.extra : '',
+  };
+}
+
+const { input: jsonInput, extra: extraInput } = await readPayload();
 
 if (!jsonInput.trim()) {
   console.error('JSON input is required');
@@ -7,7 +46,7 @@ if (!jsonInput.trim()) {
 }
 
 try {
-  const parsedJson = JSON.parse(jsonInput);
+  const parsedJson = parseJson(jsonInput, 'JSON');
 
   if (action === 'validate') {
     console.log(JSON.stringify({ output: 'JSON is valid.' }));
@@ -24,6 +63,39 @@ try {
     Deno.exit(0);
   }
 
+  if (action === 'schema') {
+    const schemaText = schemaFileArgument
+      ? await Deno.readTextFile(schemaFileArgument.slice('--schema-file='.length))
+      : extraInput;
+
+    if (!schemaText.trim()) {
+      console.error('JSON Schema is required');
+      Deno.exit(1);
+    }
+
+    const errors = validateJsonSchema(parsedJson, parseJson(schemaText, 'Schema'));
+    const output = errors.length === 0
+      ? 'JSON matches the schema.'
+      : [
+        `JSON does not match the schema (${errors.length} ${errors.length === 1 ? 'error' : 'errors'}):`,
+        ...errors.map(validationError => `${validationError.instancePath || '/'}: ${validationError.message}`),
+      ].join('\n');
+
+    console.log(JSON.stringify({ output, errors }));
+    Deno.exit(0);
+  }
+
+  if (action === 'query') {
+    if (!extraInput.trim()) {
+      console.error('Query expression is required');
+      Deno.exit(1);
+    }
+
+    const matches = queryJsonPath(parsedJson, extraInput);
+    console.log(JSON.stringify({ output: JSON.stringify(matches, null, 2), matchCount: matches.length }));
+    Deno.exit(0);
+  }
+
   console.error(`Unsupported action: ${action}`);
   Deno.exit(1);
 } catch (error) {
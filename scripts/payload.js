@@ -0,0 +1,10 @@
+/**
+ * Reads the JSON payload text the extension sends: from stdin, or from the file named
+ * by `--input-file=<path>` when the host cannot pipe stdin to the process.
+ */
+export async function readPayloadText() {
+  const inputFileArgument = Deno.args.find(argument => argument.startsWith('--input-file='));
+  return inputFileArgument
+    ? await Deno.readTextFile(inputFileArgument.slice('--input-file='.length))
+    : await new Response(Deno.stdin.readable).text();
+}
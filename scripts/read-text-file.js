@@ -0,0 +1,18 @@
+const targetPath = Deno.args[0];
+
+if (!targetPath) {
+  console.error('Target path is required');
+  Deno.exit(1);
+}
+
+try {
+  // A missing file is not an error: `content` is null so callers can start from scratch.
+  const content = await Deno.readTextFile(targetPath).catch((error) => {
+    if (error instanceof Deno.errors.NotFound) return null;
+    throw error;
+  });
+  console.log(JSON.stringify({ path: targetPath, content }));
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
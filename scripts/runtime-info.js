@@ -1,3 +1,5 @@
+const manifestPath = Deno.args[0];
+
 try {
   const runtimeInfo = {
     os: Deno.build.os,
@@ -7,6 +9,7 @@ try {
     typescriptVersion: Deno.version.typescript,
     hostname: Deno.hostname(),
     homeDir: Deno.env.get('HOME') || Deno.env.get('USERPROFILE') || '',
+    extensionVersion: manifestPath ? JSON.parse(await Deno.readTextFile(manifestPath)).version || '' : '',
   };
 
   console.log(JSON.stringify(runtimeInfo));
@@ -0,0 +1,23 @@
+import { readPayloadText } from './payload.js';
+
+const targetPath = Deno.args[0];
+
+if (!targetPath) {
+  console.error('Target path is required');
+  Deno.exit(1);
+}
+
+try {
+  // The payload `{ content }` arrives as JSON on stdin (or in `--input-file`) so large reports do not hit argv limits.
+  const payload = JSON.parse(await readPayloadText());
+  const content = typeof payload.content === 'string' ? payload.content : '';
+  if (Deno.args.includes('--create-directory')) {
+    const separatorIndex = Math.max(targetPath.lastIndexOf('/'), targetPath.lastIndexOf('\\'));
+    await Deno.mkdir(targetPath.slice(0, separatorIndex), { recursive: true });
+  }
+  await Deno.writeTextFile(targetPath, content);
+  console.log(JSON.stringify({ path: targetPath, bytesWritten: new TextEncoder().encode(content).length }));
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
@@ -0,0 +1,216 @@
+import { createProgressReporter, joinPath } from './hashing.js';
+import { readPayloadText } from './payload.js';
+
+/**
+ * Searches the files under the given paths for `{ query, regex, caseSensitive,
+ * include, exclude, maxMatches }` read from stdin. Every matching line is printed
+ * as soon as it is found as `{ "match": { path, line, column, text } }`, and the
+ * last line is `{ "summary": { ... } }`. Binary files are skipped.
+ */
+
+const SNIPPET_LENGTH = 200;
+const SNIPPET_CONTEXT = 60;
+const BINARY_SNIFF_LENGTH = 8000;
+const caseInsensitivePaths = Deno.build.os === 'windows' || Deno.build.os === 'darwin';
+const targetPaths = Deno.args.filter(argument => !argument.startsWith('--'));
+
+if (targetPaths.length === 0) {
+  console.error('At least one path is required');
+  Deno.exit(1);
+}
+
+/**
+ * Supports `*`, `**`, `?`, `[abc]` and `{a,b}`. Patterns without a slash match a
+ * file or folder name anywhere; patterns with one match the path below the searched folder.
+ * @param {string} glob
+ */
+function globToRegExp(glob) {
+  const normalizedGlob = glob.replace(/\\/g, '/').replace(/^\.?\//, '');
+  let source = '';
+  let braceDepth = 0;
+
+  for (let index = 0; index < normalizedGlob.length; index++) {
+    const character = normalizedGlob[index];
+    if (character === '*' && normalizedGlob[index + 1] === '*') {
+      const followedBySlash = normalizedGlob[index + 2] === '/';
+      source += followedBySlash ? '(?:.*/)?' : '.*';
+      index += followedBySlash ? 2 : 1;
+    } else if (character === '*') {
+      source += '[^/]*';
+    } else if (character === '?') {
+      source += '[^/]';
+    } else if (character === '[') {
+      const closingIndex = normalizedGlob.indexOf(']', index + 1);
+      if (closingIndex < 0) {
+        source += '\\[';
+      } else {
+        source += `[${normalizedGlob.slice(index + 1, closingIndex).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        index = closingIndex;
+      }
+    } else if (character === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (character === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (character === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += character.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return {
+    matchesName: !normalizedGlob.includes('/'),
+    pattern: new RegExp(`^${source}$`, caseInsensitivePaths ? 'i' : ''),
+  };
+}
+
+/**
+ * @param {ReturnType<typeof globToRegExp>[]} globs
+ * @param {string} relativePath path below the searched folder, with forward slashes
+ */
+function matchesAnyGlob(globs, relativePath) {
+  const name = relativePath.slice(relativePath.lastIndexOf('/') + 1);
+  return globs.some(glob => glob.pattern.test(glob.matchesName ? name : relativePath));
+}
+
+function buildSearchPattern(options) {
+  const source = options.regex ? options.query : options.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, options.caseSensitive ? '' : 'i');
+}
+
+function getEntryName(path) {
+  return path.split(/[\\/]/).filter(Boolean).pop() || path;
+}
+
+/**
+ * Directories excluded by a glob are not entered at all. Symlinks are not followed.
+ */
+async function collectSearchFiles(paths, includeGlobs, excludeGlobs) {
+  const filePaths = [];
+
+  async function visitDirectory(directoryPath, relativeDirectory) {
+    for await (const directoryEntry of Deno.readDir(directoryPath)) {
+      const relativePath = relativeDirectory ? `${relativeDirectory}/${directoryEntry.name}` : directoryEntry.name;
+      if (matchesAnyGlob(excludeGlobs, relativePath)) continue;
+
+      const entryPath = joinPath(directoryPath, directoryEntry.name);
+      if (directoryEntry.isDirectory) {
+        await visitDirectory(entryPath, relativePath);
+      } else if (directoryEntry.isFile && (includeGlobs.length === 0 || matchesAnyGlob(includeGlobs, relativePath))) {
+        filePaths.push(entryPath);
+      }
+    }
+  }
+
+  for (const targetPath of paths) {
+    const fileInfo = await Deno.lstat(targetPath);
+    if (fileInfo.isDirectory) {
+      await visitDirectory(targetPath, '');
+    } else if (fileInfo.isFile) {
+      // Explicitly selected files are searched unless an exclude pattern names them
+      if (!matchesAnyGlob(excludeGlobs, getEntryName(targetPath))) filePaths.push(targetPath);
+    }
+  }
+
+  return [...new Set(filePaths)];
+}
+
+/**
+ * Long lines (minified files) are cut around the match.
+ */
+function getSnippet(lineText, column) {
+  if (lineText.length <= SNIPPET_LENGTH) return lineText.trim();
+
+  const start = Math.max(0, column - SNIPPET_CONTEXT);
+  const end = Math.min(lineText.length, start + SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${lineText.slice(start, end).trim()}${end < lineText.length ? '…' : ''}`;
+}
+
+/**
+ * Streams the file line by line. Returns false when it looks binary (a NUL byte near the start).
+ */
+async function searchFile(filePath, pattern, onMatch) {
+  const file = await Deno.open(filePath, { read: true });
+  const decoder = new TextDecoder('utf-8');
+  let pendingText = '';
+  let lineNumber = 0;
+  let sniffed = false;
+
+  const searchLine = (lineText) => {
+    lineNumber++;
+    const match = pattern.exec(lineText);
+    if (match) {
+      return onMatch({ path: filePath, line: lineNumber, column: match.index + 1, text: getSnippet(lineText, match.index) });
+    }
+    return true;
+  };
+
+  // The readable stream closes the file at the end and when the loop is left early
+  for await (const chunk of file.readable) {
+    if (!sniffed) {
+      sniffed = true;
+      if (chunk.subarray(0, BINARY_SNIFF_LENGTH).includes(0)) return false;
+    }
+
+    const lines = `${pendingText}${decoder.decode(chunk, { stream: true })}`.split('\n');
+    pendingText = lines.pop() || '';
+    for (const lineText of lines) {
+      if (!searchLine(lineText.replace(/\r$/, ''))) return true;
+    }
+  }
+
+  pendingText += decoder.decode();
+  if (pendingText) searchLine(pendingText.replace(/\r$/, ''));
+  return true;
+}
+
+try {
+  const options = JSON.parse(await readPayloadText());
+  if (typeof options.query !== 'string' || options.query === '') {
+    throw new Error('A search query is required');
+  }
+
+  const pattern = buildSearchPattern(options);
+  const includeGlobs = (Array.isArray(options.include) ? options.include : []).map(globToRegExp);
+  const excludeGlobs = (Array.isArray(options.exclude) ? options.exclude : []).map(globToRegExp);
+  const maxMatches = Math.max(1, Number(options.maxMatches) || 500);
+
+  const filePaths = await collectSearchFiles(targetPaths, includeGlobs, excludeGlobs);
+  const progressReporter = createProgressReporter(filePaths.length, 'processed');
+  const summary = { filesSearched: 0, filesMatched: 0, binarySkipped: 0, unreadable: 0, matchCount: 0, truncated: false };
+
+  const handleMatch = (match) => {
+    summary.matchCount++;
+    console.log(JSON.stringify({ match }));
+    if (summary.matchCount >= maxMatches) {
+      summary.truncated = true;
+      return false;
+    }
+    return true;
+  };
+
+  for (const filePath of filePaths) {
+    const matchCountBefore = summary.matchCount;
+    try {
+      if (await searchFile(filePath, pattern, handleMatch)) {
+        summary.filesSearched++;
+      } else {
+        summary.binarySkipped++;
+      }
+    } catch {
+      summary.unreadable++;
+    }
+
+    if (summary.matchCount > matchCountBefore) summary.filesMatched++;
+    progressReporter.advance(1);
+    if (summary.truncated) break;
+  }
+
+  progressReporter.finish();
+  console.log(JSON.stringify({ summary }));
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
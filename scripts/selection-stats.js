@@ -0,0 +1,109 @@
+import { createProgressReporter, joinPath } from './hashing.js';
+
+const options = Object.fromEntries(
+  Deno.args
+    .filter(argument => argument.startsWith('--') && argument.includes('='))
+    .map(argument => [argument.slice(2, argument.indexOf('=')), argument.slice(argument.indexOf('=') + 1)]),
+);
+const targetPaths = Deno.args.filter(argument => !argument.startsWith('--'));
+const largestFileCount = Math.max(Number(options.top) || 10, 1);
+
+if (targetPaths.length === 0) {
+  console.error('At least one path is required');
+  Deno.exit(1);
+}
+
+/**
+ * Lists files below the targets without following symlinks, so a link back up the
+ * tree cannot loop and linked folders are not counted twice.
+ */
+async function collectEntries(paths) {
+  const filePaths = [];
+  let folderCount = 0;
+  let unreadableCount = 0;
+
+  async function visitDirectory(directoryPath) {
+    folderCount++;
+    try {
+      for await (const directoryEntry of Deno.readDir(directoryPath)) {
+        const entryPath = joinPath(directoryPath, directoryEntry.name);
+        if (directoryEntry.isDirectory) {
+          await visitDirectory(entryPath);
+        } else if (directoryEntry.isFile) {
+          filePaths.push(entryPath);
+        }
+      }
+    } catch {
+      unreadableCount++;
+    }
+  }
+
+  for (const targetPath of paths) {
+    try {
+      const fileInfo = await Deno.lstat(targetPath);
+      if (fileInfo.isDirectory) {
+        await visitDirectory(targetPath);
+      } else if (fileInfo.isFile) {
+        filePaths.push(targetPath);
+      }
+    } catch {
+      unreadableCount++;
+    }
+  }
+
+  return { filePaths: [...new Set(filePaths)], folderCount, unreadableCount };
+}
+
+function getExtension(filePath) {
+  const name = filePath.split(/[\\/]/).pop() || '';
+  const extensionIndex = name.lastIndexOf('.');
+  return extensionIndex > 0 ? name.slice(extensionIndex + 1).toLowerCase() : '';
+}
+
+try {
+  const { filePaths, folderCount, unreadableCount: unreadableFolderCount } = await collectEntries(targetPaths);
+  const progressReporter = createProgressReporter(filePaths.length, 'processed');
+  const extensions = new Map();
+  const files = [];
+  let unreadableCount = unreadableFolderCount;
+  let totalBytes = 0;
+  let newest = null;
+  let oldest = null;
+
+  for (const filePath of filePaths) {
+    try {
+      const { size, mtime } = await Deno.lstat(filePath);
+      totalBytes += size;
+      files.push({ path: filePath, size });
+
+      const extension = getExtension(filePath);
+      const extensionStats = extensions.get(extension) || { extension, count: 0, bytes: 0 };
+      extensionStats.count++;
+      extensionStats.bytes += size;
+      extensions.set(extension, extensionStats);
+
+      if (mtime) {
+        if (!newest || mtime > newest.date) newest = { path: filePath, date: mtime };
+        if (!oldest || mtime < oldest.date) oldest = { path: filePath, date: mtime };
+      }
+    } catch {
+      unreadableCount++;
+    }
+    progressReporter.advance(1);
+  }
+
+  progressReporter.finish();
+  console.log(JSON.stringify({
+    fileCount: files.length,
+    folderCount,
+    unreadableCount,
+    totalBytes,
+    extensions: [...extensions.values()].sort((first, second) => second.bytes - first.bytes || second.count - first.count),
+    largestFiles: files.sort((first, second) => second.size - first.size).slice(0, largestFileCount),
+    newest: newest && { path: newest.path, modified: newest.date.toISOString() },
+    oldest: oldest && { path: oldest.path, modified: oldest.date.toISOString() },
+  }));
+} catch (error) {
+  console.error(error instanceof Error ? error.message : String(error));
+  Deno.exit(1);
+}
@@ -0,0 +1,176 @@
+/**
+ * Shared ZIP helpers for compress-zip.js and extract-zip.js. Only the parts of the
+ * format those scripts need are covered: stored and deflated entries, UTF-8 names,
+ * data descriptors, and no ZIP64.
+ */
+
+export const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+export const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+export const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+export const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+export const METHOD_STORED = 0;
+export const METHOD_DEFLATED = 8;
+
+export const FLAG_ENCRYPTED = 0x0001;
+export const FLAG_DATA_DESCRIPTOR = 0x0008;
+export const FLAG_UTF8 = 0x0800;
+
+/** Largest value a classic (non-ZIP64) size, offset or entry count field can hold. */
+export const ZIP32_MAX_SIZE = 0xffffffff;
+export const ZIP32_MAX_ENTRIES = 0xffff;
+
+const CRC32_TABLE = new Uint32Array(256).map((_, tableIndex) => {
+  let crc = tableIndex;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+export function createCrc32() {
+  let crc = 0xffffffff;
+  return {
+    update(chunk) {
+      for (let byteIndex = 0; byteIndex < chunk.length; byteIndex++) {
+        crc = CRC32_TABLE[(crc ^ chunk[byteIndex]) & 0xff] ^ (crc >>> 8);
+      }
+    },
+    digest() {
+      return (crc ^ 0xffffffff) >>> 0;
+    },
+  };
+}
+
+/**
+ * MS-DOS timestamps have two-second precision and cannot go before 1980.
+ * @param {Date | null} date
+ */
+export function toDosDateTime(date) {
+  const validDate = date instanceof Date && date.getFullYear() >= 1980 ? date : new Date(1980, 0, 1);
+  return {
+    time: (validDate.getHours() << 11) | (validDate.getMinutes() << 5) | Math.floor(validDate.getSeconds() / 2),
+    date: ((validDate.getFullYear() - 1980) << 9) | ((validDate.getMonth() + 1) << 5) | validDate.getDate(),
+  };
+}
+
+/**
+ * @param {number} dosDate
+ * @param {number} dosTime
+ */
+export function fromDosDateTime(dosDate, dosTime) {
+  return new Date(
+    ((dosDate >> 9) & 0x7f) + 1980,
+    ((dosDate >> 5) & 0x0f) - 1,
+    dosDate & 0x1f,
+    (dosTime >> 11) & 0x1f,
+    (dosTime >> 5) & 0x3f,
+    (dosTime & 0x1f) * 2,
+  );
+}
+
+/**
+ * Little-endian record builder: `createRecord(30).uint32(...).uint16(...).bytes()`.
+ * @param {number} length
+ */
+export function createRecord(length) {
+  const buffer = new Uint8Array(length);
+  const view = new DataView(buffer.buffer);
+  let offset = 0;
+  const record = {
+    uint16(value) {
+      view.setUint16(offset, value, true);
+      offset += 2;
+      return record;
+    },
+    uint32(value) {
+      view.setUint32(offset, value >>> 0, true);
+      offset += 4;
+      return record;
+    },
+    bytes(value) {
+      buffer.set(value, offset);
+      offset += value.length;
+      return record;
+    },
+    toBytes() {
+      return buffer;
+    },
+  };
+  return record;
+}
+
+/**
+ * Writes every chunk of a stream to an open file.
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {Deno.FsFile} file
+ */
+export async function writeStream(stream, file) {
+  let byteCount = 0;
+  for await (const chunk of stream) {
+    let written = 0;
+    while (written < chunk.length) {
+      written += await file.write(chunk.subarray(written));
+    }
+    byteCount += chunk.length;
+  }
+  return byteCount;
+}
+
+/**
+ * @param {Deno.FsFile} file
+ * @param {Uint8Array} bytes
+ */
+export async function writeBytes(file, bytes) {
+  let written = 0;
+  while (written < bytes.length) {
+    written += await file.write(bytes.subarray(written));
+  }
+}
+
+/**
+ * Passes chunks through unchanged while feeding them to `onChunk`.
+ * @param {(chunk: Uint8Array) => void} onChunk
+ */
+export function createTapStream(onChunk) {
+  return new TransformStream({
+    transform(chunk, controller) {
+      onChunk(chunk);
+      controller.enqueue(chunk);
+    },
+  });
+}
+
+/**
+ * `Name.ext` becomes `Name (2).ext`, `Name (3).ext`, ... until a free path is found.
+ * @param {string} path
+ * @param {(path: string) => Promise<boolean>} exists
+ */
+export async function getAvailablePath(path, exists) {
+  if (!(await exists(path))) return path;
+
+  const separatorIndex = Math.max(path.lastIndexOf('/'), path.lastIndexOf('\\'));
+  const directory = path.slice(0, separatorIndex + 1);
+  const name = path.slice(separatorIndex + 1);
+  const extensionIndex = name.lastIndexOf('.');
+  const stem = extensionIndex > 0 ? name.slice(0, extensionIndex) : name;
+  const extension = extensionIndex > 0 ? name.slice(extensionIndex) : '';
+
+  for (let copyNumber = 2; ; copyNumber++) {
+    const candidatePath = `${directory}${stem} (${copyNumber})${extension}`;
+    if (!(await exists(candidatePath))) return candidatePath;
+  }
+}
+
+/**
+ * @param {string} path
+ */
+export async function pathExists(path) {
+  try {
+    await Deno.lstat(path);
+    return true;
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) return false;
+    throw error;
+  }
+}